@@ -18,7 +18,8 @@ async function example1_BasicFutureSelf() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   // Enable post-quantum signatures
@@ -62,7 +63,8 @@ async function example2_WrapperPattern() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   client.usePostQuantum('ml-dsa-87');
@@ -103,7 +105,8 @@ async function example3_MemoryIntegration() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   client.usePostQuantum();
@@ -166,7 +169,8 @@ async function example4_MultiAgentOrchestration() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   client.usePostQuantum('ml-dsa-87');
@@ -234,7 +238,8 @@ async function example5_SelfAwareRetry() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   client.usePostQuantum();
@@ -272,7 +277,8 @@ async function example6_SchemaPlanning() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   const bridge = client.useFutureSelfBridge();
@@ -322,7 +328,8 @@ async function example7_AdvancedBridge() {
   console.log('════════════════════════════════════════════════════════════\n');
 
   const client = new SchemaICU({
-    apiKey: process.env.SCHEMA_ICU_API_KEY
+    apiKey: process.env.SCHEMA_ICU_API_KEY,
+    logLevel: 'info' // Show bridge and memory progress on stderr
   });
 
   client.usePostQuantum('ml-dsa-87');
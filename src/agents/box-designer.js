@@ -3,22 +3,24 @@
  */
 
 const { HTTPClient } = require('../utils/http');
+const { SignatureVerifier } = require('../crypto/signature-verifier');
 
 class BoxDesigner {
   constructor(config) {
     this.config = config;
     this.http = new HTTPClient(config);
+    this.verifier = new SignatureVerifier(config);
     this.endpoint = '/api/box';
   }
 
   /**
    * Design a box/component
    * @param {string} query - The box/component design request
-   * @param {object} context - Additional context (can include signatureAlgorithm)
+   * @param {object} context - Additional context (can include signatureAlgorithm, retry, signal, signaturePolicy, raw)
    */
   async design(query, context = {}) {
-    // Extract signatureAlgorithm from context if provided
-    const { signatureAlgorithm, ...restContext } = context;
+    // Extract signatureAlgorithm and per-call request options from context if provided
+    const { signatureAlgorithm, retry, signal, signaturePolicy, raw, ...restContext } = context;
     
     const requestBody = {
       query,
@@ -30,9 +32,11 @@ class BoxDesigner {
       requestBody.signatureAlgorithm = signatureAlgorithm;
     }
     
-    const response = await this.http.post(this.endpoint, requestBody);
+    const response = await this.http.post(this.endpoint, requestBody, true, { retry, signal });
 
-    return response.data;
+    const result = this.http.restore(this.verifier.enforce(response.data, signaturePolicy), response.redactor);
+    // raw: also return the response envelope (status, headers, request ID, latency, retries, sizes)
+    return raw ? { data: result, response: response.meta } : result;
   }
 }
 
@@ -3,22 +3,25 @@
  */
 
 const { HTTPClient } = require('../utils/http');
+const { SignatureVerifier } = require('../crypto/signature-verifier');
+const { streamAgentResponse } = require('../utils/stream');
 
 class ProjectPlanner {
   constructor(config) {
     this.config = config;
     this.http = new HTTPClient(config);
+    this.verifier = new SignatureVerifier(config);
     this.endpoint = '/api/project-planner';
   }
 
   /**
    * Plan a project
    * @param {string} query - The project planning request
-   * @param {object} context - Additional context (can include signatureAlgorithm)
+   * @param {object} context - Additional context (can include signatureAlgorithm, retry, signal, signaturePolicy, raw)
    */
   async plan(query, context = {}) {
-    // Extract signatureAlgorithm from context if provided
-    const { signatureAlgorithm, ...restContext } = context;
+    // Extract signatureAlgorithm and per-call request options from context if provided
+    const { signatureAlgorithm, retry, signal, signaturePolicy, raw, ...restContext } = context;
     
     const requestBody = {
       query,
@@ -30,9 +33,40 @@ class ProjectPlanner {
       requestBody.signatureAlgorithm = signatureAlgorithm;
     }
     
-    const response = await this.http.post(this.endpoint, requestBody);
+    const response = await this.http.post(this.endpoint, requestBody, true, { retry, signal });
 
-    return response.data;
+    const result = this.http.restore(this.verifier.enforce(response.data, signaturePolicy), response.redactor);
+    // raw: also return the response envelope (status, headers, request ID, latency, retries, sizes)
+    return raw ? { data: result, response: response.meta } : result;
+  }
+
+  /**
+   * Plan a project, streaming the response as it is written
+   * @param {string} query - The project planning request
+   * @param {object} context - Additional context (can include signatureAlgorithm, retry, signal, signaturePolicy)
+   * @returns {AsyncGenerator<Object>} `{ type: 'text', text }` chunks, then `{ type: 'result', text, result }`
+   *   with the signed result plan() would return
+   */
+  async *planStream(query, context = {}) {
+    const { signatureAlgorithm, retry, signal, signaturePolicy, ...restContext } = context;
+
+    const requestBody = {
+      query,
+      context: restContext
+    };
+    if (signatureAlgorithm) {
+      requestBody.signatureAlgorithm = signatureAlgorithm;
+    }
+
+    yield* streamAgentResponse({
+      http: this.http,
+      verifier: this.verifier,
+      endpoint: this.endpoint,
+      body: requestBody,
+      retry,
+      signal,
+      signaturePolicy
+    });
   }
 }
 
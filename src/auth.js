@@ -8,7 +8,8 @@ const { AuthenticationError } = require('./utils/errors');
 class AuthManager {
   constructor(config) {
     this.config = config;
-    this.http = new HTTPClient(config);
+    // Credentials must reach the server verbatim
+    this.http = new HTTPClient(config, { redact: false });
   }
 
   /**
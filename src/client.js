@@ -20,6 +20,9 @@ const { EmailAgent } = require('./agents/email-agent');
 const FutureSelfBridge = require('./core/future-self-bridge');
 const FutureSelfWrapper = require('./core/future-self-wrapper');
 const MemoryManager = require('./core/memory-manager');
+const { SessionRegistry } = require('./core/session-registry');
+const { SignatureVerifier, SIGNATURE_POLICIES } = require('./crypto/signature-verifier');
+const { KeyRegistry } = require('./crypto/key-registry');
 
 class SchemaICU {
   constructor(options = {}) {
@@ -43,6 +46,9 @@ class SchemaICU {
     this.summaryAgent = new SummaryAgent(this.config);
     this.emailAgent = new EmailAgent(this.config);
     
+    // Offline signature verification (client.verify.response(result))
+    this.verify = new SignatureVerifier(this.config);
+    
     // Default signature algorithm
     this.signatureAlgorithm = null; // null = API default (ECDSA)
     
@@ -50,6 +56,12 @@ class SchemaICU {
     this._futureSelfBridge = null;
     this._futureSelfWrapper = null;
     this._memoryManager = null;
+
+    // Memory sessions keyed by user or thread ID (options.sessions: { maxSessions, idleTimeout, onEvict })
+    this.sessions = new SessionRegistry({
+      ...options.sessions,
+      factory: (memoryOptions) => new MemoryManager(this._memoryOptions(memoryOptions))
+    });
   }
 
   /**
@@ -67,15 +79,58 @@ class SchemaICU {
       baseUrl: this.config.baseUrl,
       hasApiKey: !!this.config.apiKey,
       hasJwtToken: !!this.config.jwtToken,
-      email: this.config.email
+      email: this.config.email,
+      signaturePolicy: this.config.signaturePolicy,
+      trustedKeys: this.config.keyRegistry ? this.config.keyRegistry.list().length : 0,
+      memoryEncryption: !!this.config.memoryEncryptionKey
     };
   }
 
+  /**
+   * Add request/response middleware, run in the order added for every agent, AuthManager and bridge call
+   *
+   * `fn(context, next)` receives `{ endpoint, method, body, headers, stream, signal }`
+   * and returns the response: usually `await next()`, possibly rewritten,
+   * or its own `{ statusCode, data, headers }` to skip the request.
+   * next() rejects with the call's error, after any retries.
+   *
+   * @param {Function} fn - `async (context, next) => response`
+   * @returns {SchemaICU} This client, for chaining
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Middleware must be a function: async (context, next) => response');
+    }
+    this.config.middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Last known rate limits and quota, from the headers of the most recent responses
+   * @returns {Object|null} `{ limit, remaining, resetAt, retryAfter, updatedAt, bucket }` (times in ms),
+   *   or null before any response carried rate-limit headers
+   */
+  getRateLimitState() {
+    return this.config.rateLimiter.getState();
+  }
+
+  /**
+   * Metadata of the most recent call: `{ endpoint, method, statusCode, headers, requestId,
+   * startedAt, latency, attempts, retries, bytesSent, bytesReceived }`, or null before any call
+   * Set for failed calls too. With concurrent calls, pass `{ raw: true }` to an agent instead.
+   */
+  get lastResponse() {
+    return this.config.lastResponse || null;
+  }
+
   /**
    * Update configuration
+   * Options are resolved as in the constructor, so a new `transport`, `redaction` or `logger`
+   * takes effect on the next call of every agent.
+   * @param {Object} options - Constructor options to change
    */
   updateConfig(options) {
-    Object.assign(this.config, options);
+    this.config.update(options);
   }
 
   /**
@@ -115,6 +170,28 @@ class SchemaICU {
     return this;
   }
 
+  /**
+   * Set how agent responses are checked against their signatures
+   * @param {string} policy - 'off' (default), 'flag' (attach verdict) or 'strict' (throw SignatureError)
+   */
+  setSignaturePolicy(policy) {
+    if (!SIGNATURE_POLICIES.includes(policy)) {
+      throw new Error(`Invalid signature policy. Use: ${SIGNATURE_POLICIES.join(', ')}`);
+    }
+    this.config.signaturePolicy = policy;
+    return this;
+  }
+
+  /**
+   * Pin trusted Schema.ICU signing keys
+   * @param {KeyRegistry|Array<Object>} keys - Registry or key definitions
+   * @returns {KeyRegistry} Active key registry
+   */
+  useKeyRegistry(keys) {
+    this.config.keyRegistry = KeyRegistry.from(keys);
+    return this.config.keyRegistry;
+  }
+
   /**
    * Enable Future Self Bridge architecture
    * Returns bridge instance for advanced usage
@@ -144,22 +221,44 @@ class SchemaICU {
    * @returns {MemoryManager} Memory manager instance
    */
   createMemorySession(options = {}) {
-    const memoryOptions = {
+    this._memoryManager = new MemoryManager(this._memoryOptions(options));
+    return this._memoryManager;
+  }
+
+  /**
+   * Apply client defaults to MemoryManager options
+   * @param {Object} options - MemoryManager options
+   * @returns {Object} Options with defaults
+   */
+  _memoryOptions(options = {}) {
+    return {
       signatureAlgorithm: this.signatureAlgorithm || 'PQ',
       summaryAgent: this.summaryAgent,
+      // Encrypt persisted memory when a key is configured (memoryEncryptionKey or SCHEMA_ICU_MEMORY_KEY)
+      encryption: this.config.memoryEncryptionKey ? { key: this.config.memoryEncryptionKey } : null,
+      // The client's rules with a vault per session; executeWithMemory restores the session's placeholders
+      redaction: this.config.redactor ? this.config.redactor.scope() : null,
+      logger: this.config.logger,
       ...options
     };
-    
-    this._memoryManager = new MemoryManager(memoryOptions);
-    return this._memoryManager;
   }
 
   /**
-   * Get current memory session
+   * Create a memory-aware session and wait until its stored history is loaded
+   * @param {Object} options - MemoryManager options
+   * @returns {Promise<MemoryManager>} Ready memory manager
+   */
+  async openMemorySession(options = {}) {
+    return this.createMemorySession(options).ready();
+  }
+
+  /**
+   * Get current memory session, or a registry session by ID
+   * @param {string} sessionId - Session ID in client.sessions (optional)
    * @returns {MemoryManager|null} Memory manager or null if not initialized
    */
-  getMemorySession() {
-    return this._memoryManager;
+  getMemorySession(sessionId = null) {
+    return sessionId ? this.sessions.get(sessionId) : this._memoryManager;
   }
 
   /**
@@ -191,15 +290,19 @@ class SchemaICU {
   /**
    * Wrap agent with memory context
    * @param {string} agentType - Type of agent to wrap
-   * @param {Object} memoryManager - MemoryManager instance (optional, uses current session if not provided)
+   * @param {Object|string} memoryManager - MemoryManager instance or session ID (optional, uses current session if not provided)
    * @returns {Object} Memory-aware wrapped agent
    */
   wrapAgentWithMemory(agentType, memoryManager = null) {
     const wrapper = this.getFutureSelfWrapper();
-    const memory = memoryManager || this._memoryManager;
+    const memory = typeof memoryManager === 'string'
+      ? this.sessions.get(memoryManager)
+      : memoryManager || this._memoryManager;
     
     if (!memory) {
-      throw new Error('No memory session available. Call createMemorySession() first.');
+      throw new Error(typeof memoryManager === 'string'
+        ? `No memory session "${memoryManager}". Call client.sessions.open() first.`
+        : 'No memory session available. Call createMemorySession() first.');
     }
     
     return wrapper.wrapWithMemory(agentType, memory);
@@ -18,14 +18,31 @@
  */
 
 const { HTTPClient } = require('../utils/http');
+const { SignatureVerifier } = require('../crypto/signature-verifier');
+const { SignatureError, AbortError } = require('../utils/errors');
+const { Logger } = require('../utils/logger');
 
 class FutureSelfBridge {
   constructor(config) {
     this.config = config;
     this.http = new HTTPClient(config);
-    this.baseUrl = config.baseUrl || 'https://api.schema.icu';
-    this.schemaEndpoint = `${this.baseUrl}/schema/generate`;
-    this.executeEndpoint = `${this.baseUrl}/agent/execute`;
+    this.verifier = new SignatureVerifier(config);
+    this._logger = null;
+    this._loggerSource = null;
+    // Paths under config.baseUrl, resolved by HTTPClient like every agent endpoint
+    this.schemaEndpoint = '/schema/generate';
+    this.executeEndpoint = '/agent/execute';
+  }
+
+  /**
+   * Logger for bridge events, following config.logger when updateConfig() replaces it
+   */
+  get logger() {
+    if (!this._logger || this._loggerSource !== this.config.logger) {
+      this._loggerSource = this.config.logger;
+      this._logger = Logger.from(this.config.logger).child({ component: 'bridge' });
+    }
+    return this._logger;
   }
 
   /**
@@ -39,7 +56,11 @@ class FutureSelfBridge {
    * @param {boolean} options.autoRetry - Auto-retry if missing context detected (default: true)
    * @param {number} options.maxRetries - Maximum retry attempts (default: 3)
    * @param {Object} options.schemaHints - Hints for schema generation
+   * @param {string} options.signaturePolicy - Signature policy override ('off', 'flag', 'strict')
+   * @param {AbortSignal} options.signal - Cancels the in-flight request and any further attempts
+   * @param {Redactor} options.redactor - Redactor for the requests (default: a fresh scope of config.redactor per request)
    * @returns {Promise<Object>} Enhanced response with schema awareness
+   * @throws {AbortError} If the signal aborts
    */
   async execute(agentType, query, options = {}) {
     const {
@@ -47,7 +68,10 @@ class FutureSelfBridge {
       signatureAlgorithm = 'PQ', // Default to ML-DSA-87
       autoRetry = true,
       maxRetries = 3,
-      schemaHints = {}
+      schemaHints = {},
+      signaturePolicy = null,
+      signal = null,
+      redactor = null
     } = options;
 
     let attempt = 0;
@@ -55,28 +79,35 @@ class FutureSelfBridge {
 
     while (attempt <= maxRetries) {
       try {
+        AbortError.throwIfAborted(signal);
+
         // STEP 1: Current Self - Plan the schema
-        console.log(`🧠 Step 1/${attempt + 1}: Current Self planning schema...`);
+        this.logger.debug('bridge.plan', `Step 1/${attempt + 1}: Current Self planning schema`, { agentType, attempt: attempt + 1 });
         const schema = await this.planSchema(agentType, query, {
           context: accumulatedContext,
-          hints: schemaHints
+          hints: schemaHints,
+          signal,
+          redactor
         });
 
         // STEP 2: Future Self - Execute with schema guidance
-        console.log(`🚀 Step 2/${attempt + 1}: Future Self executing with schema...`);
+        this.logger.debug('bridge.execute', `Step 2/${attempt + 1}: Future Self executing with schema`, { agentType, attempt: attempt + 1 });
         const execution = await this.executeWithSchema(agentType, query, {
           schema,
           context: accumulatedContext,
-          signatureAlgorithm
+          signatureAlgorithm,
+          signaturePolicy,
+          signal,
+          redactor
         });
 
         // STEP 3: Self-awareness check
-        console.log(`🔍 Step 3/${attempt + 1}: Checking for missing context...`);
+        this.logger.debug('bridge.check', `Step 3/${attempt + 1}: Checking for missing context`, { agentType, attempt: attempt + 1 });
         const awareness = this.analyzeSelfAwareness(execution);
 
         // If execution is complete, return result
         if (awareness.complete) {
-          console.log(`✅ Execution complete!`);
+          this.logger.info('bridge.complete', 'Execution complete', { agentType, attempts: attempt + 1 });
           return {
             ...execution,
             futureSelfBridge: {
@@ -90,7 +121,11 @@ class FutureSelfBridge {
 
         // If auto-retry disabled or max retries reached, return partial result
         if (!autoRetry || attempt >= maxRetries) {
-          console.log(`⚠️  Execution incomplete after ${attempt + 1} attempt(s)`);
+          this.logger.warn('bridge.incomplete', `Execution incomplete after ${attempt + 1} attempt(s)`, {
+            agentType,
+            attempts: attempt + 1,
+            missingContext: awareness.missingContext
+          });
           return {
             ...execution,
             futureSelfBridge: {
@@ -104,7 +139,7 @@ class FutureSelfBridge {
         }
 
         // Accumulate missing context for next iteration
-        console.log(`🔄 Retry ${attempt + 2}: Adding missing context...`);
+        this.logger.info('bridge.retry', `Retry ${attempt + 2}: Adding missing context`, { agentType, attempt: attempt + 2, missingContext: awareness.missingContext });
         accumulatedContext = {
           ...accumulatedContext,
           previousAttempts: (accumulatedContext.previousAttempts || 0) + 1,
@@ -115,6 +150,9 @@ class FutureSelfBridge {
 
         attempt++;
       } catch (error) {
+        if (error instanceof SignatureError || error instanceof AbortError) {
+          throw error;
+        }
         throw new Error(`Future Self Bridge execution failed: ${error.message}`);
       }
     }
@@ -129,7 +167,7 @@ class FutureSelfBridge {
    * @returns {Promise<Object>} Generated schema
    */
   async planSchema(agentType, query, options = {}) {
-    const { context = {}, hints = {} } = options;
+    const { context = {}, hints = {}, signal = null, redactor = null } = options;
 
     const schemaQuery = `Generate a JSON schema for ${agentType} agent to respond to this query: "${query}"`;
 
@@ -152,10 +190,13 @@ class FutureSelfBridge {
     };
 
     try {
-      const response = await this.http.post(this.schemaEndpoint, requestBody);
+      const response = await this.http.post(this.schemaEndpoint, requestBody, true, { signal, redactor });
       return response.data.schema || this.getDefaultSchema(agentType);
     } catch (error) {
-      console.warn(`Schema planning failed, using default schema: ${error.message}`);
+      if (error instanceof AbortError) {
+        throw error; // Cancelled, not failed: no fallback
+      }
+      this.logger.warn('bridge.plan.fallback', `Schema planning failed, using default schema: ${error.message}`, { agentType, error: error.message });
       return this.getDefaultSchema(agentType);
     }
   }
@@ -169,7 +210,7 @@ class FutureSelfBridge {
    * @returns {Promise<Object>} Execution result
    */
   async executeWithSchema(agentType, query, options = {}) {
-    const { schema, context = {}, signatureAlgorithm } = options;
+    const { schema, context = {}, signatureAlgorithm, signaturePolicy = null, signal = null, redactor = null } = options;
 
     const requestBody = {
       query,
@@ -185,14 +226,19 @@ class FutureSelfBridge {
       requestBody.signatureAlgorithm = signatureAlgorithm;
     }
 
-    const agentEndpoint = `${this.baseUrl}/${this.getAgentEndpointPath(agentType)}`;
+    const agentEndpoint = `/${this.getAgentEndpointPath(agentType)}`;
 
+    let response;
     try {
-      const response = await this.http.post(agentEndpoint, requestBody);
-      return response.data;
+      response = await this.http.post(agentEndpoint, requestBody, true, { signal, redactor });
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
       throw new Error(`Agent execution failed: ${error.message}`);
     }
+
+    return this.http.restore(this.verifier.enforce(response.data, signaturePolicy), response.redactor);
   }
 
   /**
@@ -319,16 +365,43 @@ class FutureSelfBridge {
    * @param {string} agentType - Type of agent
    * @param {string} query - User query
    * @param {Object} options - Execution options
+   * @param {Object} options.memoryContext - Options for memoryManager.buildContext (e.g. { maxTokens })
+   * @param {number|boolean} options.recall - Include the top-k older memories relevant to the query (true = 3)
+   * @param {string} options.branch - Switch the memory to this branch first (default: its active branch)
+   * @param {AbortSignal} options.signal - Cancels execution and the memory compression that storing may trigger
    * @returns {Promise<Object>} Execution result with memory storage
    */
   async executeWithMemory(memoryManager, agentType, query, options = {}) {
-    // Add memory context to execution
-    const memoryContext = memoryManager ? memoryManager.buildContext() : {};
+    // Add memory context to execution (options.memoryContext tunes the token budget)
+    let memoryContext = {};
+    if (memoryManager) {
+      if (options.branch && options.branch !== memoryManager.branch) {
+        await memoryManager.switchBranch(options.branch);
+      }
+      const contextOptions = { ...options.memoryContext };
+      if (options.recall) {
+        contextOptions.recallK = options.recall === true ? 3 : options.recall;
+        if (memoryManager.embed) {
+          // Over-fetch: matches already in the recent window are skipped by buildContext
+          const k = contextOptions.recallK + memoryManager.getStats().activeInteractions;
+          contextOptions.recalled = await memoryManager.recall(query, { k, from: new Date(0) });
+        } else {
+          contextOptions.query = query;
+        }
+      }
+      memoryContext = memoryManager.buildContext(contextOptions);
+    }
     const enhancedOptions = {
       ...options,
+      // The session's vault: placeholders in its stored memory restore in the response, no one else's do
+      redactor: (memoryManager && memoryManager.redactor) || options.redactor || null,
       context: {
         ...options.context,
-        memory: memoryContext
+        memory: memoryContext,
+        // Threads earlier summaries left open, listed on their own so the agent can follow up
+        ...(memoryContext.openThreads && memoryContext.openThreads.length > 0
+          ? { openThreads: memoryContext.openThreads.map(thread => thread.text) }
+          : {})
       }
     };
 
@@ -341,7 +414,7 @@ class FutureSelfBridge {
         role: 'user',
         text: query,
         ts: Date.now()
-      });
+      }, { signal: options.signal });
 
       await memoryManager.addInteraction({
         role: 'assistant',
@@ -353,7 +426,7 @@ class FutureSelfBridge {
           signatureAlgorithm: result.signatureAlgorithm,
           futureSelfBridge: result.futureSelfBridge
         }
-      });
+      }, { signal: options.signal });
     }
 
     return result;
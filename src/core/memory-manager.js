@@ -8,119 +8,666 @@
  * Architecture:
  * - Keeps last 21 interactions in active memory
  * - Compresses older interactions into summaries (max 3 summaries)
- * - Each interaction and summary is cryptographically signed
- * - Supports ML-DSA-65, ML-DSA-87 post-quantum signatures
- * - Persists to daily JSON files
+ * - Each interaction and summary is hashed and signed with a local keypair
+ * - Entries form a hash chain: each commits to the previous entry's hash,
+ *   and summaries commit to the hashes of the entries they compress
+ * - Supports ML-DSA-65, ML-DSA-87, ECDSA and Ed25519 signers, or a custom signer
+ * - Persists daily records through a pluggable storage adapter (JSON files by default),
+ *   optionally encrypted at rest with AES-256-GCM
+ * - Writes are serialized in-process and, for file adapters, under a cross-process lock;
+ *   changes written by another process are reloaded before appending
+ * - Recalls relevant older entries with an offline BM25 index or user-supplied embeddings
+ * - Optionally redacts PII from interactions and summaries before they are hashed and stored
+ * - Retention limits are applied by prune(); forget() erases entries and appends a signed
+ *   tombstone so the remaining chain still verifies
+ * - Conversations can be forked at an interaction into named branches; a branch stores only
+ *   its own entries plus a pointer to its parent, and shares the history before the fork
+ * - Key points and unresolved threads reported by the SummaryAgent are kept in signed
+ *   summaries and accumulate in a facts/open-threads store surfaced by buildContext
+ * - Silent unless a `logger` is given; operations are reported as structured events
+ *
+ * Use `await MemoryManager.open(options)`, or `await memory.ready()`, so the stored
+ * history is loaded before first use.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const crypto = require('crypto');
+const { canonicalHash } = require('../crypto/canonical');
+const { createSigner, verifySignature, isSigner } = require('../crypto/signers');
+const { createStorage, JsonFileStorage, EncryptedStorage, isEncryptedRecord } = require('../storage');
+const { serializeMemory, createBundle, parseMemory, bundleDigestMatches } = require('./memory-transfer');
+const { EncryptionError, IntegrityError, AbortError } = require('../utils/errors');
+const { createTokenCounter, truncateToTokens } = require('../utils/tokens');
+const { BM25Index, cosineSimilarity } = require('../utils/text-index');
+const { Redactor } = require('../utils/redactor');
+const { Logger } = require('../utils/logger');
+
+// prevHash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Framing cost of one message in the agent context (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Below this a truncated message carries too little to be worth including
+const MIN_TRUNCATED_TOKENS = 16;
+
+// Daily record keys (YYYY-MM-DD)
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Branch every session starts on
+const MAIN_BRANCH = 'main';
+
+// Record (in the owner's storage session) listing the owner's branches
+const BRANCH_INDEX_KEY = 'branches';
+
+// Record (in the owner's encrypted storage session) holding the generated signing key
+const SIGNING_KEYS_KEY = 'signing-keys';
+
+// File-name-safe branch names
+const BRANCH_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
 
 class MemoryManager {
   constructor(options = {}) {
     const {
       maxInteractions = 21,
       maxSummaries = 3,
+      maxFacts = 50, // Key points kept from summaries, oldest dropped first
+      maxOpenThreads = 10, // Unresolved threads kept from summaries, oldest dropped first
       tokenLimit = 100000,
+      tokenizer = null, // (text) => number, { count(text) } or { encode(text) }; heuristic by default
+      embed = null, // Optional async (text) => number[] used by recall() instead of BM25
+      redaction = null, // Redactor, Redactor options or true to strip PII before storing
       persistToFile = true,
       memoryDir = './memory',
+      storage = null, // Storage adapter or 'memory' | 'file' | 'jsonl' | 'directory'
+      encryption = null, // { key | keyProvider, keyId?, previousKeys? } to encrypt persisted records
+      continueAcrossDays = true, // Resume from the most recent day when today has no record
+      retention = null, // { maxAge (ms), maxDays, maxBytes } applied by prune()
       ownerName = 'default',
       signatureAlgorithm = 'PQ', // Default to ML-DSA-87
-      summaryAgent = null // Optional SummaryAgent instance for compression
+      signer = null, // Signer instance or algorithm name (defaults to signatureAlgorithm)
+      signingKeys = null, // Existing key material for a built-in signer
+      signingKeyProvider = null, // async () => key material for a built-in signer, e.g. from a KMS
+      trustedKeys = [], // Further signer public keys whose entries verifyIntegrity() and import() accept
+      summaryAgent = null, // Optional SummaryAgent instance for compression
+      waitFor = null, // Promise to settle before loading stored history, e.g. a replaced manager's flush()
+      logger = null // Logger, sink, pino/winston-style logger or level (default: silent)
     } = options;
 
     this.maxInteractions = maxInteractions;
     this.maxSummaries = maxSummaries;
+    this.maxFacts = maxFacts;
+    this.maxOpenThreads = maxOpenThreads;
     this.tokenLimit = tokenLimit;
-    this.persistToFile = persistToFile;
+    this._countTokens = createTokenCounter(tokenizer);
+    this.embed = embed;
+    this.redactor = Redactor.from(redaction);
     this.memoryDir = memoryDir;
+    this.storage = storage
+      ? createStorage(storage, { dir: memoryDir })
+      : (persistToFile ? new JsonFileStorage({ dir: memoryDir }) : null);
+    if (this.storage && encryption) {
+      this.storage = new EncryptedStorage({ ...encryption, storage: this.storage });
+    }
+    this.persistToFile = !!this.storage;
+    this.continueAcrossDays = continueAcrossDays;
+    this.retention = retention || {};
     this.ownerName = ownerName;
     this.signatureAlgorithm = signatureAlgorithm;
     this.summaryAgent = summaryAgent;
+    this.logger = Logger.from(logger).child({ component: 'memory', owner: ownerName });
+    this.signer = this._createSigner(signer, signingKeys);
+    this._signingKeyProvider = signingKeyProvider;
+    this._signerConfigured = (!!signer && typeof signer === 'object') || !!signingKeys || !!signingKeyProvider;
+    this.trustedKeys = new Set([...trustedKeys, this.signer.publicKey]); // Trust anchors; never read from storage
 
-    this.interactions = []; // [{ role, text, ts, signature, hash }]
-    this.summaries = [];    // [{ range, text, ts, signature, hash }]
+    this.interactions = []; // [{ role, text, ts, seq, prevHash, hash, signature }]
+    this.summaries = [];    // [{ range, text, ts, seq, prevHash, compressedHashes, hash, signature }]
+    this.tombstones = [];   // [{ ts, reason, forgotten, rewritten, seq, prevHash, hash, signature }]
+    this.shared = { interactions: [], summaries: [] }; // Compressed out of the window, still shared by child branches
+    this.facts = [];        // [{ id, text, source, seq, ts }] key points from summaries
+    this.openThreads = [];  // [{ id, text, source, seq, openedAt }] unresolved threads from summaries
     this.totalCount = 0;
+    this.chainHead = { seq: 0, hash: GENESIS_HASH }; // Last entry appended to the chain
+    this.branch = MAIN_BRANCH; // Active branch
+    this.branches = new Map(); // name -> { name, parent, forkedAt: { seq, hash }, createdAt }
+    this._base = null; // Active branch's history up to its fork point, shared with the parent
+    this._branchStates = new Map(); // Inactive branches' state when not persisting
+    this._recallIndex = null; // BM25 index over active entries, rebuilt when the chain head moves
+    this._memoryIndex = null; // BM25 index over active entries and older history, for buildContext()
+    this._history = null; // Stored entries of the active lineage, hash -> { type, entry } (null: not loaded)
+    this._compressed = { interactions: [], summaries: [] }; // Compressed out of the window in this process
+    this._branchArchives = new Map(); // Inactive branches' compressed entries
+    this._embeddings = new Map(); // Entry hash -> embedding vector
+    this._writeQueue = Promise.resolve(); // Serializes mutations within this process
+    this._compressing = null; // Compression run in progress { controller, waiters, promise }, shared by adds that arrive meanwhile
+    this._closed = false; // Set by close(); later mutations are rejected
+    this._waitFor = waitFor;
+
+    // Resolve the signing key and initialize persistence if enabled
+    this._initialized = this._initialize();
+    // Key provider and decryption failures reject _initialized for callers that await it, without an unhandled rejection
+    this._initialized.catch(() => {});
+  }
+
+  /**
+   * Create a memory manager and wait until its stored history is loaded
+   * @param {Object} options - MemoryManager options
+   * @returns {Promise<MemoryManager>} Ready memory manager
+   * @throws {EncryptionError} If stored records cannot be decrypted
+   * @throws {Error} If `signingKeyProvider` fails
+   */
+  static async open(options = {}) {
+    return new MemoryManager(options).ready();
+  }
+
+  /**
+   * Wait until the stored history is loaded
+   * @returns {Promise<MemoryManager>} This memory manager
+   * @throws {EncryptionError} If stored records cannot be decrypted
+   * @throws {Error} If `signingKeyProvider` fails
+   */
+  async ready() {
+    await this._initialized;
+    return this;
+  }
+
+  /**
+   * Wait until queued writes and any compression in progress have finished
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (;;) {
+      const queue = this._writeQueue;
+      const compressing = this._compressing;
+      await queue;
+      if (compressing) {
+        // An aborted compression has nothing left to write
+        await compressing.promise.catch(() => {});
+      }
+      if (queue === this._writeQueue && !this._compressing) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Finish pending writes, then reject further changes to this session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    this._closed = true;
+  }
+
+  /**
+   * Resolve the signer used for interactions and summaries
+   * @param {Object|string|null} signer - Signer instance or algorithm name
+   * @param {Object|null} signingKeys - Key material for a built-in signer
+   * @returns {Object} Signer
+   */
+  _createSigner(signer, signingKeys) {
+    if (signer && typeof signer === 'object') {
+      if (!isSigner(signer)) {
+        throw new Error('Custom signer must provide algorithm, publicKey, sign() and verify()');
+      }
+      return signer;
+    }
+
+    const algorithm = signer || (signingKeys && signingKeys.algorithm) || this.signatureAlgorithm;
+    try {
+      return createSigner(algorithm, signingKeys || {});
+    } catch (error) {
+      // Server-side labels without a local equivalent fall back to ML-DSA-87
+      return createSigner('ml-dsa-87', signingKeys || {});
+    }
+  }
 
-    // Initialize file persistence if enabled
+  /**
+   * Resolve provided signing keys, then load stored history
+   */
+  async _initialize() {
+    if (this._waitFor) {
+      await this._waitFor;
+    }
+    if (this._signingKeyProvider) {
+      const keys = await this._signingKeyProvider();
+      if (!keys) {
+        throw new Error('signingKeyProvider returned no signing keys');
+      }
+      this.trustedKeys.delete(this.signer.publicKey);
+      this.signer = this._createSigner(null, keys);
+      this.trustedKeys.add(this.signer.publicKey);
+    }
     if (this.persistToFile) {
-      this._initializeFileSystem();
+      await this._initializeStorage();
     }
   }
 
   /**
-   * Initialize file system for memory persistence
+   * Initialize storage for memory persistence
    */
-  async _initializeFileSystem() {
+  async _initializeStorage() {
     try {
-      await fs.mkdir(this.memoryDir, { recursive: true });
-      console.log(`📁 Memory directory initialized: ${this.memoryDir}`);
-      await this._loadFromFile();
+      if (typeof this.storage.init === 'function') {
+        await this.storage.init(this.ownerName);
+      }
+      this.logger.debug('memory.storage.initialized', `Memory storage initialized: ${this.storage.constructor.name}`, { storage: this.storage.constructor.name });
+      await this._loadSigningKeys();
+      await this._loadBranches();
+      await this._loadFromStorage();
+      await this._loadHistory();
     } catch (error) {
-      console.error(`❌ Failed to create memory directory: ${error.message}`);
+      this.logger.error('memory.storage.failed', `Failed to initialize memory storage: ${error.message}`, { error: error.message });
       this.persistToFile = false;
+      // Never continue as a fresh session over records we could not decrypt
+      if (error instanceof EncryptionError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Reuse the owner's stored signing key, storing a generated key on first use
+   *
+   * A generated private key is only stored when encryption is on, in the owner's
+   * encrypted SIGNING_KEYS_KEY record, so entries written before a restart are
+   * still signed by a trusted key. Without encryption it lasts for this process;
+   * `signingKeys` or `signingKeyProvider` keep one across restarts. Configured
+   * signers and key material are never stored. Trusted keys come from the
+   * `trustedKeys` option only, never from storage.
+   */
+  async _loadSigningKeys() {
+    const release = typeof this.storage.lock === 'function'
+      ? await this.storage.lock(this.ownerName)
+      : null;
+    try {
+      const stored = await this.storage.read(this.ownerName, SIGNING_KEYS_KEY);
+      if (isEncryptedRecord(stored)) {
+        throw new EncryptionError(
+          `Memory record ${this.ownerName}/${SIGNING_KEYS_KEY} is encrypted; configure the encryption key to load it`,
+          'key-required'
+        );
+      }
+
+      const record = stored || {};
+      const encrypted = this.storage instanceof EncryptedStorage;
+      // Checked below the decryption layer: with allowPlaintext, a plaintext record could carry a planted key
+      const sealed = encrypted && !!stored && isEncryptedRecord(await this.storage.storage.read(this.ownerName, SIGNING_KEYS_KEY));
+      if (!this._signerConfigured && sealed && record.signer && record.signer.algorithm === this.signer.algorithm) {
+        this.trustedKeys.delete(this.signer.publicKey);
+        this.signer = createSigner(record.signer.algorithm, record.signer);
+        this.trustedKeys.add(this.signer.publicKey);
+      }
+
+      const storeSigner = !this._signerConfigured && encrypted && typeof this.signer.exportKeys === 'function';
+      if (!this._signerConfigured && !encrypted) {
+        this.logger.warn('memory.signing.ephemeral', 'Generated signing key is not stored without encryption; entries signed by it fail verification after a restart unless signingKeys or signingKeyProvider is set', { algorithm: this.signer.algorithm });
+      }
+
+      if (storeSigner) {
+        const signerKeys = this.signer.exportKeys();
+        if (!sealed || !record.signer || record.signer.publicKey !== signerKeys.publicKey || record.trustedKeys) {
+          // Replaced in full so append-only adapters do not keep an older private key
+          await this._replaceRecord(this.ownerName, SIGNING_KEYS_KEY, { signer: signerKeys });
+        }
+      } else if (stored) {
+        // Drops a plaintext private key or trust list left by an earlier version
+        await this.storage.remove(this.ownerName, SIGNING_KEYS_KEY);
+      }
+    } finally {
+      if (release) await release();
+    }
+  }
+
+  /**
+   * Trust the signers of entries adopted from an import, for the lifetime of this instance
+   * Trust is not persisted; pass the keys in `trustedKeys` to keep accepting them after a restart.
+   * @param {Array<Object>} entries - Adopted entries
+   */
+  _trustSigners(entries) {
+    for (const entry of entries) {
+      if (entry.signature && entry.signature.publicKey) {
+        this.trustedKeys.add(entry.signature.publicKey);
+      }
     }
   }
 
   /**
-   * Get memory file path for a specific date
+   * Get the storage record key for a specific date
    * @param {Date|null} date - Target date (defaults to today)
-   * @returns {string} File path
+   * @returns {string} Record key (YYYY-MM-DD)
    */
-  _getMemoryFilePath(date = null) {
+  _getStorageKey(date = null) {
     const targetDate = date || new Date();
-    const dateStr = targetDate.toISOString().split('T')[0]; // YYYY-MM-DD
-    const fileName = `${this.ownerName}-memory-${dateStr}.json`;
-    return path.join(this.memoryDir, fileName);
+    return targetDate.toISOString().split('T')[0];
+  }
+
+  /**
+   * Normalize a Date or 'YYYY-MM-DD' string into a record key
+   * @param {Date|string} value - Day
+   * @returns {string} Record key
+   */
+  _toDayKey(value) {
+    if (value instanceof Date) {
+      return this._getStorageKey(value);
+    }
+    if (typeof value === 'string' && DAY_KEY_PATTERN.test(value)) {
+      return value;
+    }
+    throw new Error(`Invalid day "${value}". Use a Date or 'YYYY-MM-DD'`);
+  }
+
+  /**
+   * Storage session holding a branch's records (the owner name for the main branch)
+   * @param {string} branch - Branch name (default: active branch)
+   * @returns {string} Storage session name
+   */
+  _session(branch = this.branch) {
+    return branch === MAIN_BRANCH ? this.ownerName : `${this.ownerName}@${branch}`;
+  }
+
+  /**
+   * List the days that have a stored record for this owner
+   * @param {string} branch - Branch whose records to list (default: active branch)
+   * @returns {Promise<Array<string>>} Sorted record keys (YYYY-MM-DD)
+   */
+  async listDays(branch = this.branch) {
+    if (!this.storage) return [];
+    const keys = await this.storage.list(this._session(branch));
+    return keys.filter(key => DAY_KEY_PATTERN.test(key)).sort();
   }
 
   /**
-   * Load memory from file
+   * Load memory from storage
+   * Reads today's record; if there is none, resumes from the most recent earlier day
+   * so sessions carry over midnight and process restarts.
    */
-  async _loadFromFile() {
+  async _loadFromStorage() {
     try {
-      const filePath = this._getMemoryFilePath();
-      console.log(`🔄 Loading memory from: ${filePath}`);
+      const today = this._getStorageKey();
+      const session = this._session();
+      let key = today;
+      this.logger.debug('memory.loading', `Loading memory: ${session}/${key}`, { session, day: key });
       
-      const data = await fs.readFile(filePath, 'utf8');
-      const memoryData = JSON.parse(data);
+      let memoryData = await this.storage.read(session, key);
+      if (!memoryData && this.continueAcrossDays) {
+        const previousDays = (await this.listDays()).filter(day => day < today);
+        if (previousDays.length > 0) {
+          key = previousDays[previousDays.length - 1];
+          this.logger.info('memory.resumed', `Resuming memory from ${session}/${key}`, { session, day: key });
+          memoryData = await this.storage.read(session, key);
+        }
+      }
+
+      if (!memoryData && !this._base) {
+        this.logger.info('memory.fresh', 'No existing memory found, starting fresh session', { session });
+        return;
+      }
+      if (isEncryptedRecord(memoryData)) {
+        throw new EncryptionError(
+          `Memory record ${session}/${key} is encrypted; configure the encryption key to load it`,
+          'key-required'
+        );
+      }
       
-      this.interactions = memoryData.interactions || [];
-      this.summaries = memoryData.summaries || [];
-      this.totalCount = memoryData.totalCount || 0;
+      this._applyRecord(memoryData);
       
-      console.log(`✅ Memory loaded: ${this.interactions.length} interactions, ${this.summaries.length} summaries, totalCount: ${this.totalCount}`);
+      this.logger.info('memory.loaded', `Memory loaded: ${this.interactions.length} interactions, ${this.summaries.length} summaries, totalCount: ${this.totalCount}`, {
+        session,
+        interactions: this.interactions.length,
+        summaries: this.summaries.length,
+        totalCount: this.totalCount
+      });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log(`📝 No existing memory file found, starting fresh session`);
-      } else {
-        console.error(`❌ Error loading memory: ${error.message}`);
+      this.logger.error('memory.load.failed', `Error loading memory: ${error.message}`, { error: error.message });
+      if (error instanceof EncryptionError) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Replay stored history for a range of days without touching the active session
+   * Entries are merged across daily records, de-duplicated by hash and ordered by chain sequence.
+   * On a branch, the history before the fork point is read from its ancestors' records.
+   * @param {Date|string} from - First day (inclusive)
+   * @param {Date|string} to - Last day (inclusive, defaults to today)
+   * @returns {Promise<Object>} `{ from, to, days, interactions, summaries }`
+   */
+  async loadRange(from, to = new Date()) {
+    const fromKey = this._toDayKey(from);
+    const toKey = this._toDayKey(to);
+    const days = new Set();
+
+    const interactions = new Map();
+    const summaries = new Map();
+
+    for (const { branch, maxSeq } of this._lineage()) {
+      const session = this._session(branch);
+      for (const day of (await this.listDays(branch)).filter(key => key >= fromKey && key <= toKey)) {
+        const memoryData = await this.storage.read(session, day);
+        if (!memoryData) continue;
+        if (isEncryptedRecord(memoryData)) {
+          throw new EncryptionError(`Memory record ${session}/${day} is encrypted; configure the encryption key to load it`, 'key-required');
+        }
+        days.add(day);
+
+        for (const entry of memoryData.interactions || []) {
+          if ((entry.seq ?? 0) <= maxSeq) interactions.set(entry.hash, entry);
+        }
+        for (const entry of memoryData.summaries || []) {
+          if ((entry.seq ?? 0) <= maxSeq) summaries.set(entry.hash, entry);
+        }
+      }
+    }
+
+    const bySeq = (a, b) => (a.seq ?? a.ts) - (b.seq ?? b.ts);
+
+    return {
+      from: fromKey,
+      to: toKey,
+      days: [...days].sort(),
+      interactions: [...interactions.values()].sort(bySeq),
+      summaries: [...summaries.values()].sort(bySeq)
+    };
+  }
+
+  /**
+   * Switch to a new encryption key and re-encrypt every stored day of every branch with it
+   * The old key remains available for reading until the process exits.
+   * @param {Buffer|string} key - New 32-byte key
+   * @param {Object} options - Rotation options
+   * @param {string} options.keyId - ID stored with records (default: key fingerprint)
+   * @param {boolean} options.reencrypt - Rewrite existing records with the new key (default: true)
+   * @returns {Promise<Object>} `{ keyId, reencrypted }`
+   */
+  async rotateEncryptionKey(key, options = {}) {
+    const { keyId = null, reencrypt = true } = options;
+    if (!(this.storage instanceof EncryptedStorage)) {
+      throw new EncryptionError('Memory encryption is not enabled for this session', 'not-encrypted');
+    }
+
+    return this._withWriteLock(async () => {
+      // Read everything with the old key before switching
+      const records = [];
+      if (reencrypt) {
+        for (const branch of [MAIN_BRANCH, ...this.branches.keys()]) {
+          const session = this._session(branch);
+          for (const day of await this.listDays(branch)) {
+            records.push({ session, key: day, data: await this.storage.read(session, day) });
+          }
+        }
+        for (const recordKey of [BRANCH_INDEX_KEY, SIGNING_KEYS_KEY]) {
+          const data = await this.storage.read(this.ownerName, recordKey);
+          if (data) {
+            records.push({ session: this.ownerName, key: recordKey, data });
+          }
+        }
+      }
+
+      const newKeyId = this.storage.rotateKey(key, { keyId });
+      for (const { session, key: recordKey, data } of records) {
+        // Replaced in full so append-only adapters do not keep old ciphertext
+        await this._replaceRecord(session, recordKey, data);
+      }
+
+      this.logger.info('memory.key.rotated', `Memory encryption key rotated (${newKeyId}), ${records.length} records re-encrypted`, { keyId: newKeyId, reencrypted: records.length });
+      return { keyId: newKeyId, reencrypted: records.length };
+    });
+  }
+
+  /**
+   * Run a mutation after earlier ones, with stored history loaded and the storage lock held
+   * @param {Function} task - Async mutation
+   * @returns {Promise<*>} Task result
+   */
+  _withWriteLock(task) {
+    if (this._closed) {
+      return Promise.reject(new Error(`Memory session "${this.ownerName}" is closed`));
+    }
+
+    const run = this._writeQueue.then(async () => {
+      await this._initialized;
+      if (!this.persistToFile) {
+        return task();
+      }
+
+      // One lock per owner, shared by all branches
+      const release = typeof this.storage.lock === 'function'
+        ? await this.storage.lock(this.ownerName)
+        : null;
+      try {
+        await this._refreshFromStorage();
+        const result = await task();
+        if (this._history === null) {
+          await this._loadHistory();
+        }
+        return result;
+      } finally {
+        if (release) await release();
       }
+    });
+
+    // A failed mutation must not block the ones queued after it
+    this._writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Adopt today's stored record if another writer moved the chain past our copy
+   */
+  async _refreshFromStorage() {
+    await this._loadBranches();
+    const memoryData = await this.storage.read(this._session(), this._getStorageKey());
+    if (!memoryData || !memoryData.chainHead || memoryData.chainHead.hash === this.chainHead.hash) {
+      return;
     }
+
+    // Stored head is one of our own entries: we are ahead (e.g. an earlier save failed)
+    const known = [...this.interactions, ...this.summaries, ...this.tombstones].some(entry => entry.hash === memoryData.chainHead.hash);
+    if (known) return;
+
+    this._applyRecord(memoryData);
+    this.logger.info('memory.reloaded', `Memory changed by another writer, reloaded at seq ${this.chainHead.seq}`, { seq: this.chainHead.seq });
   }
 
   /**
-   * Save memory to file
+   * Save memory to storage
    */
-  async _saveToFile() {
+  async _saveToStorage() {
     if (!this.persistToFile) return;
 
     try {
-      const filePath = this._getMemoryFilePath();
-      const memoryData = {
-        interactions: this.interactions,
-        summaries: this.summaries,
-        totalCount: this.totalCount,
-        lastUpdated: new Date().toISOString(),
-        signatureAlgorithm: this.signatureAlgorithm
-      };
-
-      await fs.writeFile(filePath, JSON.stringify(memoryData, null, 2), 'utf8');
-      console.log(`💾 Memory saved: ${this.interactions.length} interactions, ${this.summaries.length} summaries`);
+      await this.storage.write(this._session(), this._getStorageKey(), this._toStoredRecord());
+      this.logger.debug('memory.saved', `Memory saved: ${this.interactions.length} interactions, ${this.summaries.length} summaries`, {
+        interactions: this.interactions.length,
+        summaries: this.summaries.length
+      });
     } catch (error) {
-      console.error(`❌ Error saving memory: ${error.message}`);
+      this.logger.error('memory.save.failed', `Error saving memory: ${error.message}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Apply the configured redactor (summaries from the agent may quote restored values)
+   * @param {*} value - Text or metadata
+   * @returns {*} Redacted value
+   */
+  _redact(value) {
+    return this.redactor ? this.redactor.redact(value) : value;
+  }
+
+  /**
+   * Current state in the persisted record shape
+   * @returns {Object} Memory record
+   */
+  _toRecord() {
+    return {
+      interactions: this.interactions,
+      summaries: this.summaries,
+      tombstones: this.tombstones,
+      facts: this.facts,
+      openThreads: this.openThreads,
+      totalCount: this.totalCount,
+      chainHead: this.chainHead,
+      lastUpdated: new Date().toISOString(),
+      signatureAlgorithm: this.signatureAlgorithm
+    };
+  }
+
+  /**
+   * State as stored for the active branch: a branch keeps only the entries after its fork point
+   * @returns {Object} Memory record
+   */
+  _toStoredRecord() {
+    const record = this._toRecord();
+    if (this.shared.interactions.length > 0 || this.shared.summaries.length > 0) {
+      record.shared = this.shared;
+    }
+    if (!this._base) return record;
+
+    const { seq } = this._base.forkedAt;
+    const own = entry => entry.seq > seq;
+    return {
+      ...record,
+      interactions: record.interactions.filter(own),
+      summaries: record.summaries.filter(own),
+      tombstones: record.tombstones.filter(own),
+      branch: this.branches.get(this.branch)
+    };
+  }
+
+  /**
+   * Adopt a stored record as the active state, on a branch on top of its shared history
+   * @param {Object|null} memoryData - Stored record (null: a branch with no entries of its own)
+   */
+  _applyRecord(memoryData) {
+    const record = memoryData || {};
+    const interactions = record.interactions || [];
+    const summaries = record.summaries || [];
+    const tombstones = record.tombstones || [];
+
+    if (this._base) {
+      // Shared entries the branch has since compressed or forgotten drop out
+      const dropped = new Set([
+        ...summaries.flatMap(summary => summary.compressedHashes || []),
+        ...this._tombstoneIndex(tombstones).forgotten
+      ]);
+      const kept = entry => !dropped.has(entry.hash);
+      this.interactions = [...this._base.interactions.filter(kept), ...interactions];
+      this.summaries = [...this._base.summaries.filter(kept), ...summaries]
+        .sort((a, b) => (a.range.start - b.range.start) || (a.seq - b.seq));
+      this.tombstones = [...this._base.tombstones, ...tombstones];
+    } else {
+      this.interactions = interactions;
+      this.summaries = summaries;
+      this.tombstones = tombstones;
     }
+
+    this.shared = record.shared || { interactions: [], summaries: [] };
+    this.facts = record.facts || [];
+    this.openThreads = record.openThreads || [];
+    this.totalCount = record.totalCount || (this._base ? this._base.totalCount : 0);
+    this.chainHead = record.chainHead || this._findChainHead();
   }
 
   /**
@@ -130,144 +677,362 @@ class MemoryManager {
    * @param {string} interaction.text - Interaction text
    * @param {number} interaction.ts - Timestamp
    * @param {Object} interaction.metadata - Optional metadata
+   * @param {Object} options - Add options
+   * @param {AbortSignal} options.signal - Stops waiting for compression; the SummaryAgent call is cancelled
+   *   once every add waiting on it has aborted
+   * @throws {AbortError} If the signal aborted while compression was pending; the interaction is still
+   *   stored, and compression runs again on the next add if it was cancelled
    */
-  async addInteraction(interaction) {
+  async addInteraction(interaction, options = {}) {
     const { role, text, ts = Date.now(), metadata = {} } = interaction;
+    const { signal = null } = options;
+
+    await this._withWriteLock(async () => {
+      await this._pushInteraction({ role, text, ts, metadata });
+
+      // Persist
+      await this._saveToStorage();
+    });
+
+    await this._compress(signal);
+  }
+
+  /**
+   * Chain, sign and append an interaction
+   * Callers hold the write lock, persist afterwards and then call _compress().
+   */
+  async _pushInteraction({ role, text, ts, metadata }) {
+    text = this._redact(text);
+    metadata = this._redact(metadata);
 
-    // Create hash of interaction
-    const hash = this._createHash({ role, text, ts });
+    // Chain, hash and sign the interaction content
+    const { seq, prevHash, hash, signature } = await this._appendEntry({ role, text, ts, metadata });
 
     // Create signed interaction
     const signedInteraction = {
       role,
       text,
       ts,
+      seq,
+      prevHash,
       hash,
+      signature,
       metadata,
-      signatureAlgorithm: this.signatureAlgorithm
+      signatureAlgorithm: this.signer.algorithm
     };
 
     // Add to interactions array
     this.interactions.push(signedInteraction);
     this.totalCount++;
 
-    console.log(`📝 Added ${role} interaction (${this.interactions.length}/${this.maxInteractions})`);
+    this.logger.debug('memory.interaction.added', `Added ${role} interaction (${this.interactions.length}/${this.maxInteractions})`, { role, seq, active: this.interactions.length });
+  }
+
+  /**
+   * Compress old interactions, then old summaries, while they overflow
+   *
+   * A SummaryAgent call is a network round trip, so it runs without the write
+   * lock: the entries to compress are picked under the lock, summarized
+   * outside it, and the summary is committed under the lock again only if
+   * they are still the oldest entries (another writer may have compressed
+   * them meanwhile, in which case they are picked again). Adds arriving
+   * during a compression wait for it instead of starting another.
+   *
+   * An aborted signal stops this caller waiting and rethrows. The shared run is
+   * cancelled only once every caller waiting on it has aborted, leaving the
+   * window uncompressed (no basic-summary fallback).
+   */
+  async _compress(signal = null) {
+    if (!this._compressing) {
+      const run = { controller: new AbortController(), waiters: 0, promise: null };
+      run.promise = this._runCompression(run.controller.signal).finally(() => {
+        if (this._compressing === run) {
+          this._compressing = null;
+        }
+      });
+      this._compressing = run;
+    }
+    return this._awaitCompression(this._compressing, signal);
+  }
+
+  /**
+   * Summarize and commit overflowing entries until nothing overflows
+   * @param {AbortSignal} signal - Cancels the run
+   */
+  async _runCompression(signal) {
+    for (;;) {
+      const plan = await this._withWriteLock(async () => this._planCompression());
+      if (!plan) return;
+
+      const content = plan.collection === 'interactions'
+        ? await this._summarizeInteractions(plan.entries, signal)
+        : await this._summarizeSummaries(plan.entries, signal);
+
+      await this._withWriteLock(async () => {
+        AbortError.throwIfAborted(signal);
+        if (!this._isPlanCurrent(plan)) {
+          this.logger.debug('memory.compress.stale', 'Entries changed while summarizing; compressing again', { collection: plan.collection });
+          return;
+        }
+        if (plan.collection === 'interactions') {
+          await this._commitInteractionSummary(plan.entries, content);
+        } else {
+          await this._commitMetaSummary(plan.entries, content);
+        }
+        await this._saveToStorage();
+      });
+    }
+  }
+
+  /**
+   * Wait for a shared compression run until it settles or `signal` aborts
+   * The last waiter to abort cancels the run; later adds then start a fresh one.
+   */
+  _awaitCompression(run, signal) {
+    run.waiters++;
+    if (!signal) {
+      return run.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        run.waiters--;
+        if (run.waiters === 0) {
+          run.controller.abort(signal.reason);
+          if (this._compressing === run) {
+            this._compressing = null;
+          }
+        }
+        reject(AbortError.fromSignal(signal));
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      run.promise.then(
+        (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+        (error) => { signal.removeEventListener('abort', onAbort); reject(error); }
+      );
+    });
+  }
 
-    // Check if we need to compress old interactions
+  /**
+   * Pick the oldest entries of whichever collection overflows; callers hold the write lock
+   * @returns {Object|null} `{ collection, branch, entries }`, or null if nothing overflows
+   */
+  _planCompression() {
     if (this.interactions.length > this.maxInteractions) {
-      await this._compressOldInteractions();
+      this.logger.debug('memory.compress.start', `Compressing old interactions (${this.interactions.length} > ${this.maxInteractions})`, { active: this.interactions.length });
+      const entries = this.interactions.slice(0, this.interactions.length - this.maxInteractions + 1);
+      return { collection: 'interactions', branch: this.branch, entries };
+    }
+    if (this.summaries.length > this.maxSummaries) {
+      this.logger.debug('memory.meta.start', `Compressing old summaries (${this.summaries.length} > ${this.maxSummaries})`, { summaries: this.summaries.length });
+      const entries = this.summaries.slice(0, this.summaries.length - this.maxSummaries + 1);
+      return { collection: 'summaries', branch: this.branch, entries };
     }
+    return null;
+  }
 
-    // Save to file
-    await this._saveToFile();
+  /**
+   * Whether a plan's entries are still the oldest of their collection on the same branch
+   */
+  _isPlanCurrent({ collection, branch, entries }) {
+    return branch === this.branch && entries.every((entry, index) => {
+      const current = this[collection][index];
+      return !!current && current.hash === entry.hash;
+    });
   }
 
   /**
-   * Compress old interactions into summary
+   * Summarize interactions with the SummaryAgent, or a basic summary without one
+   * @returns {Promise<Object>} `{ text, structured }`
    */
-  async _compressOldInteractions() {
-    console.log(`🗜️  Compressing old interactions (${this.interactions.length} > ${this.maxInteractions})...`);
+  async _summarizeInteractions(toCompress, signal = null) {
+    if (!this.summaryAgent) {
+      return { text: this._createBasicSummary(toCompress), structured: {} };
+    }
 
-    // Take the oldest interactions to compress
-    const toCompress = this.interactions.slice(0, this.interactions.length - this.maxInteractions + 1);
-    
-    if (toCompress.length === 0) return;
+    try {
+      const conversationText = toCompress
+        .map(i => `${i.role}: ${i.text}`)
+        .join('\n\n');
 
-    // Create summary using SummaryAgent if available
-    let summaryText;
-    if (this.summaryAgent) {
-      try {
-        const conversationText = toCompress
-          .map(i => `${i.role}: ${i.text}`)
-          .join('\n\n');
-        
-        const result = await this.summaryAgent.summarize(
-          `Compress this conversation into a concise summary:\n\n${conversationText}`,
-          { signatureAlgorithm: this.signatureAlgorithm }
-        );
-        
-        summaryText = result.summary || result.response;
-      } catch (error) {
-        console.warn(`⚠️  SummaryAgent compression failed, using basic summary: ${error.message}`);
-        summaryText = this._createBasicSummary(toCompress);
+      const result = await this.summaryAgent.summarize(
+        `Compress this conversation into a concise summary:\n\n${conversationText}`,
+        { signatureAlgorithm: this.signatureAlgorithm, signal }
+      );
+
+      return { text: this._redact(result.summary || result.response), structured: this._summaryFields(result) };
+    } catch (error) {
+      if (error instanceof AbortError) {
+        this.logger.info('memory.compress.aborted', 'Compression aborted; interactions stay uncompressed', { active: this.interactions.length });
+        throw error;
       }
-    } else {
-      summaryText = this._createBasicSummary(toCompress);
+      this.logger.warn('memory.compress.fallback', `SummaryAgent compression failed, using basic summary: ${error.message}`, { error: error.message });
+      return { text: this._createBasicSummary(toCompress), structured: {} };
     }
+  }
 
-    // Create summary object
+  /**
+   * Chain and sign a summary of interactions and drop them from the window; callers hold the write lock
+   */
+  async _commitInteractionSummary(toCompress, { text: summaryText, structured }) {
+    // Create signed summary object
+    const range = {
+      start: toCompress[0].ts,
+      end: toCompress[toCompress.length - 1].ts,
+      count: toCompress.length
+    };
+    const ts = Date.now();
+    const compressedHashes = toCompress.map(i => i.hash);
+    const { seq, prevHash, hash, signature } = await this._appendEntry({ range, text: summaryText, ts, compressedHashes, ...structured });
     const summary = {
-      range: {
-        start: toCompress[0].ts,
-        end: toCompress[toCompress.length - 1].ts,
-        count: toCompress.length
-      },
+      range,
       text: summaryText,
-      ts: Date.now(),
-      hash: this._createHash({ text: summaryText, ts: Date.now() }),
-      signatureAlgorithm: this.signatureAlgorithm
+      ts,
+      seq,
+      prevHash,
+      compressedHashes,
+      ...structured,
+      hash,
+      signature,
+      signatureAlgorithm: this.signer.algorithm
     };
 
     // Add summary and remove compressed interactions
+    this._pinShared('interactions', toCompress);
+    this._compressed.interactions.push(...toCompress);
     this.summaries.push(summary);
+    this._collectFacts(summary);
     this.interactions = this.interactions.slice(toCompress.length);
 
-    console.log(`✅ Compressed ${toCompress.length} interactions into summary`);
-
-    // Check if we need to compress old summaries
-    if (this.summaries.length > this.maxSummaries) {
-      await this._compressOldSummaries();
-    }
+    this.logger.info('memory.compressed', `Compressed ${toCompress.length} interactions into summary`, { count: toCompress.length, seq });
   }
 
   /**
-   * Compress old summaries into meta-summary
+   * Summarize summaries into a meta-summary with the SummaryAgent, or join them without one
+   * @returns {Promise<Object>} `{ text, structured }`
    */
-  async _compressOldSummaries() {
-    console.log(`🗜️  Compressing old summaries (${this.summaries.length} > ${this.maxSummaries})...`);
+  async _summarizeSummaries(toCompress, signal = null) {
+    if (!this.summaryAgent) {
+      return { text: toCompress.map(s => s.text).join(' | '), structured: {} };
+    }
 
-    // Take oldest summaries to compress
-    const toCompress = this.summaries.slice(0, this.summaries.length - this.maxSummaries + 1);
-    
-    if (toCompress.length === 0) return;
+    try {
+      const combinedText = toCompress.map(s => s.text).join('\n\n');
+      const result = await this.summaryAgent.summarize(
+        `Create a comprehensive meta-summary of these summaries:\n\n${combinedText}`,
+        { signatureAlgorithm: this.signatureAlgorithm, signal }
+      );
 
-    // Create meta-summary
-    let metaSummaryText;
-    if (this.summaryAgent) {
-      try {
-        const combinedText = toCompress.map(s => s.text).join('\n\n');
-        const result = await this.summaryAgent.summarize(
-          `Create a comprehensive meta-summary of these summaries:\n\n${combinedText}`,
-          { signatureAlgorithm: this.signatureAlgorithm }
-        );
-        
-        metaSummaryText = result.summary || result.response;
-      } catch (error) {
-        console.warn(`⚠️  Meta-summary compression failed, using basic: ${error.message}`);
-        metaSummaryText = toCompress.map(s => s.text).join(' | ');
+      return { text: this._redact(result.summary || result.response), structured: this._summaryFields(result) };
+    } catch (error) {
+      if (error instanceof AbortError) {
+        this.logger.info('memory.meta.aborted', 'Meta-summary compression aborted; summaries stay uncompressed', { summaries: this.summaries.length });
+        throw error;
       }
-    } else {
-      metaSummaryText = toCompress.map(s => s.text).join(' | ');
+      this.logger.warn('memory.meta.fallback', `Meta-summary compression failed, using basic: ${error.message}`, { error: error.message });
+      return { text: toCompress.map(s => s.text).join(' | '), structured: {} };
     }
+  }
 
-    // Create meta-summary object
+  /**
+   * Chain and sign a meta-summary in place of the summaries it compresses; callers hold the write lock
+   */
+  async _commitMetaSummary(toCompress, { text: metaSummaryText, structured }) {
+    // Create signed meta-summary object
+    const range = {
+      start: toCompress[0].range.start,
+      end: toCompress[toCompress.length - 1].range.end,
+      count: toCompress.reduce((sum, s) => sum + s.range.count, 0),
+      metaLevel: true
+    };
+    const ts = Date.now();
+    const compressedHashes = toCompress.map(s => s.hash);
+    const { seq, prevHash, hash, signature } = await this._appendEntry({ range, text: metaSummaryText, ts, compressedHashes, ...structured });
     const metaSummary = {
-      range: {
-        start: toCompress[0].range.start,
-        end: toCompress[toCompress.length - 1].range.end,
-        count: toCompress.reduce((sum, s) => sum + s.range.count, 0),
-        metaLevel: true
-      },
+      range,
       text: metaSummaryText,
-      ts: Date.now(),
-      hash: this._createHash({ text: metaSummaryText, ts: Date.now() }),
-      signatureAlgorithm: this.signatureAlgorithm
+      ts,
+      seq,
+      prevHash,
+      compressedHashes,
+      ...structured,
+      hash,
+      signature,
+      signatureAlgorithm: this.signer.algorithm
     };
 
     // Replace compressed summaries with meta-summary
+    this._pinShared('summaries', toCompress);
+    this._compressed.summaries.push(...toCompress);
     this.summaries = [metaSummary, ...this.summaries.slice(toCompress.length)];
+    this._collectFacts(metaSummary);
+
+    this.logger.info('memory.meta.compressed', `Compressed ${toCompress.length} summaries into meta-summary`, { count: toCompress.length, seq });
+  }
+
+  /**
+   * Key points and context metadata from a SummaryAgent result, redacted
+   * @param {Object} result - SummaryAgent response
+   * @returns {Object} `{ keyPoints, contextMeta }`, each only if the agent returned it
+   */
+  _summaryFields(result) {
+    const strings = value => (Array.isArray(value) ? value : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => this._redact(item.trim()));
+
+    const fields = {};
+    if (Array.isArray(result.keyPoints)) {
+      fields.keyPoints = strings(result.keyPoints);
+    }
+    const meta = result.contextMeta;
+    if (meta && typeof meta === 'object') {
+      fields.contextMeta = {
+        dominantThemes: strings(meta.dominantThemes),
+        unresolvedThreads: strings(meta.unresolvedThreads),
+        toneSummary: typeof meta.toneSummary === 'string' ? this._redact(meta.toneSummary) : ''
+      };
+    }
+    return fields;
+  }
+
+  /**
+   * Add a summary's key points and unresolved threads to the facts store
+   * @param {Object} summary - New summary or meta-summary
+   */
+  _collectFacts(summary) {
+    const add = (list, text, extra) => {
+      const id = factId(text);
+      if (list.some(item => item.id === id)) return;
+      list.push({ id, text, source: summary.hash, seq: summary.seq, ...extra });
+    };
+
+    for (const text of summary.keyPoints || []) {
+      add(this.facts, text, { ts: summary.ts });
+    }
+    for (const text of (summary.contextMeta && summary.contextMeta.unresolvedThreads) || []) {
+      add(this.openThreads, text, { openedAt: summary.ts });
+    }
+    this.facts = this.facts.slice(-this.maxFacts);
+    this.openThreads = this.openThreads.slice(-this.maxOpenThreads);
+  }
+
+  /**
+   * Keep entries leaving the window when a child branch forked after them still shares them
+   * @param {string} collection - 'interactions' or 'summaries'
+   * @param {Array} entries - Entries being compressed
+   */
+  _pinShared(collection, entries) {
+    const forks = [...this.branches.values()]
+      .filter(meta => meta.parent === this.branch)
+      .map(meta => meta.forkedAt.seq);
+    if (forks.length === 0) return;
 
-    console.log(`✅ Compressed ${toCompress.length} summaries into meta-summary`);
+    const newestFork = Math.max(...forks);
+    this.shared[collection].push(...entries.filter(entry => entry.seq <= newestFork));
   }
 
   /**
@@ -283,44 +1048,1113 @@ class MemoryManager {
   }
 
   /**
-   * Create SHA-256 hash
+   * Create SHA-256 hash of the canonical JSON form
    * @param {Object} data - Data to hash
    * @returns {string} Hex hash
    */
   _createHash(data) {
-    return crypto.createHash('sha256')
-      .update(JSON.stringify(data))
-      .digest('hex');
+    return canonicalHash(data);
   }
 
   /**
-   * Build context object for agent execution
-   * @returns {Object} Memory context
+   * Link entry content to the chain head, then hash and sign it
+   * @param {Object} content - Signed fields of the entry
+   * @returns {Promise<Object>} `{ seq, prevHash, hash, signature: { algorithm, publicKey, signature, signedAt } }`
    */
-  buildContext() {
-    const recentInteractions = this.interactions.slice(-10); // Last 10 interactions
-    const allSummaries = this.summaries;
+  async _appendEntry(content) {
+    const seq = this.chainHead.seq + 1;
+    const prevHash = this.chainHead.hash;
+    const hash = this._createHash({ ...content, seq, prevHash });
+    const value = await this.signer.sign(Buffer.from(hash, 'hex'));
+
+    this.chainHead = { seq, hash };
 
     return {
-      totalInteractions: this.totalCount,
-      recentInteractions: recentInteractions.map(i => ({
-        role: i.role,
-        text: i.text,
-        ts: i.ts
-      })),
-      summaries: allSummaries.map(s => ({
-        text: s.text,
-        range: s.range,
-        ts: s.ts
-      })),
+      seq,
+      prevHash,
+      hash,
+      signature: {
+        algorithm: this.signer.algorithm,
+        publicKey: this.signer.publicKey,
+        signature: value,
+        signedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Get the fields covered by an entry's hash
+   * @param {Object} entry - Interaction, summary or tombstone
+   * @param {string} type - 'interaction', 'summary' or 'tombstone'
+   * @returns {Object} Signed content
+   */
+  _entryContent(entry, type) {
+    const link = { seq: entry.seq, prevHash: entry.prevHash };
+    if (type === 'summary') {
+      // Structured fields are only hashed when present, so older summaries keep their hashes
+      const structured = {
+        ...(entry.keyPoints ? { keyPoints: entry.keyPoints } : {}),
+        ...(entry.contextMeta ? { contextMeta: entry.contextMeta } : {})
+      };
+      return { range: entry.range, text: entry.text, ts: entry.ts, compressedHashes: entry.compressedHashes, ...structured, ...link };
+    }
+    if (type === 'tombstone') {
+      return { ts: entry.ts, reason: entry.reason, forgotten: entry.forgotten, rewritten: entry.rewritten, ...link };
+    }
+    return { role: entry.role, text: entry.text, ts: entry.ts, metadata: entry.metadata || {}, ...link };
+  }
+
+  /**
+   * Find the newest chained entry (used when a file has no stored chainHead)
+   * @returns {Object} `{ seq, hash }`
+   */
+  _findChainHead() {
+    return [...this.summaries, ...this.interactions, ...this.tombstones]
+      .filter(entry => typeof entry.seq === 'number')
+      .reduce((head, entry) => (entry.seq > head.seq ? { seq: entry.seq, hash: entry.hash } : head),
+        { seq: 0, hash: GENESIS_HASH });
+  }
+
+  /**
+   * Get the current chain head
+   * Store it outside the memory file to detect truncation of the newest entries.
+   * @returns {Object} `{ seq, hash }`
+   */
+  getChainHead() {
+    return { ...this.chainHead };
+  }
+
+  /**
+   * Verify the hash chain across retained interactions and summaries
+   *
+   * Every entry must hash to its stored hash, and its prevHash must point at
+   * the entry with the previous sequence number - either still retained,
+   * committed to by a summary's compressedHashes, or erased by a tombstone.
+   * Summaries rewritten by forget() must hash to the content hash their
+   * tombstone records. Interactions must appear in sequence order, and the
+   * newest entry must match the chain head.
+   *
+   * @param {Object} options - Verification options
+   * @param {Object} options.expectedHead - Externally anchored `{ seq, hash }` to check against
+   * @param {Object} options.entries - `{ interactions, summaries, tombstones, chainHead }` to verify instead of this session
+   * @returns {Object} `{ valid, length, head, brokenAt, breaks: [{ type, index, seq, hash, reason, expected, actual }] }`
+   */
+  verifyChain(options = {}) {
+    const { expectedHead = null } = options;
+    const { interactions, summaries, tombstones = [], chainHead } = options.entries || this;
+    const entries = [
+      ...summaries.map((entry, index) => ({ entry, index, type: 'summary' })),
+      ...interactions.map((entry, index) => ({ entry, index, type: 'interaction' })),
+      ...tombstones.map((entry, index) => ({ entry, index, type: 'tombstone' }))
+    ].sort((a, b) => (a.entry.seq || 0) - (b.entry.seq || 0));
+    const erased = this._tombstoneIndex(tombstones);
+
+    const bySeq = new Map();
+    const compressed = new Set();
+    const breaks = [];
+    const report = ({ entry, index, type }, reason, expected = null, actual = null) =>
+      breaks.push({ type, index, seq: entry.seq ?? null, hash: entry.hash, reason, expected, actual });
+
+    for (const item of entries) {
+      if (typeof item.entry.seq !== 'number') {
+        report(item, 'unchained');
+      } else if (bySeq.has(item.entry.seq)) {
+        report(item, 'duplicate-seq');
+      } else {
+        bySeq.set(item.entry.seq, item.entry);
+      }
+      for (const hash of item.entry.compressedHashes || []) {
+        compressed.add(hash);
+      }
+    }
+
+    for (const item of entries) {
+      const { entry, type } = item;
+      if (typeof entry.seq !== 'number') continue;
+
+      const hash = this._createHash(this._entryContent(entry, type));
+      if (hash !== entry.hash && erased.rewritten.get(entry.hash) !== hash) {
+        report(item, 'hash-mismatch', entry.hash, hash);
+        continue;
+      }
+
+      if (entry.seq === 1) {
+        if (entry.prevHash !== GENESIS_HASH) {
+          report(item, 'broken-link', GENESIS_HASH, entry.prevHash);
+        }
+        continue;
+      }
+
+      const previous = bySeq.get(entry.seq - 1);
+      if (previous) {
+        if (entry.prevHash !== previous.hash) {
+          report(item, 'broken-link', previous.hash, entry.prevHash);
+        }
+      } else if (!compressed.has(entry.prevHash) && !erased.forgotten.has(entry.prevHash)) {
+        report(item, 'missing-previous', null, entry.prevHash);
+      }
+    }
+
+    for (let i = 1; i < interactions.length; i++) {
+      const previous = interactions[i - 1].seq;
+      const current = interactions[i].seq;
+      if (typeof previous === 'number' && typeof current === 'number' && current <= previous) {
+        report({ entry: interactions[i], index: i, type: 'interaction' }, 'out-of-order', `> ${previous}`, current);
+      }
+    }
+
+    const newest = entries.length > 0 ? entries[entries.length - 1].entry : null;
+    const heads = [chainHead, expectedHead].filter(Boolean);
+    for (const head of heads) {
+      if (head.seq > 0 && (!newest || newest.seq !== head.seq || newest.hash !== head.hash)) {
+        breaks.push({
+          type: 'head',
+          index: null,
+          seq: head.seq,
+          hash: head.hash,
+          reason: 'head-mismatch',
+          expected: head.hash,
+          actual: newest ? newest.hash : null
+        });
+      }
+    }
+
+    breaks.sort((a, b) => (a.seq ?? Infinity) - (b.seq ?? Infinity));
+
+    return {
+      valid: breaks.length === 0,
+      length: chainHead.seq,
+      head: { ...chainHead },
+      brokenAt: breaks.length > 0 ? breaks[0] : null,
+      breaks
+    };
+  }
+
+  /**
+   * Verify the hash and signature of every interaction, summary and tombstone, and the hash chain
+   * A summary rewritten by forget() keeps its original signature; its new content is
+   * vouched for by the signed tombstone.
+   * @param {Object} options - Verification options
+   * @param {Array<string>} options.publicKeys - Accepted signer keys (default: this.trustedKeys - the session's
+   *   own and configured `trustedKeys`, plus signers of imports trusted by this instance; never read from
+   *   storage, so a history re-signed with any other key fails as untrusted-key)
+   * @param {Object} options.expectedHead - Externally anchored chain head (see verifyChain)
+   * @param {Object} options.entries - `{ interactions, summaries, tombstones, chainHead }` to verify instead of this session
+   * @returns {Promise<Object>} `{ valid, checked, failures: [{ type, index, hash, reason }], chain }`
+   */
+  async verifyIntegrity(options = {}) {
+    const publicKeys = options.publicKeys || [...this.trustedKeys];
+    const { interactions, summaries, tombstones = [] } = options.entries || this;
+    const entries = [
+      ...summaries.map((entry, index) => ({ entry, index, type: 'summary' })),
+      ...interactions.map((entry, index) => ({ entry, index, type: 'interaction' })),
+      ...tombstones.map((entry, index) => ({ entry, index, type: 'tombstone' }))
+    ];
+    const { rewritten } = this._tombstoneIndex(tombstones);
+    const failures = [];
+
+    for (const { entry, index, type } of entries) {
+      const report = (reason) => failures.push({ type, index, ts: entry.ts, hash: entry.hash, reason });
+      const hash = this._createHash(this._entryContent(entry, type));
+
+      if (hash !== entry.hash && rewritten.get(entry.hash) !== hash) {
+        report('hash-mismatch');
+        continue;
+      }
+
+      const signature = entry.signature;
+      if (!signature || typeof signature !== 'object' || !signature.signature) {
+        report('unsigned');
+        continue;
+      }
+
+      if (!publicKeys.includes(signature.publicKey)) {
+        report('untrusted-key');
+        continue;
+      }
+
+      const valid = await this._verifySignature(signature, Buffer.from(entry.hash, 'hex'));
+
+      if (valid === null) {
+        report('unsupported-algorithm');
+      } else if (!valid) {
+        report('signature-invalid');
+      }
+    }
+
+    const chain = this.verifyChain(options);
+
+    return {
+      valid: failures.length === 0 && chain.valid,
+      checked: entries.length,
+      failures,
+      chain
+    };
+  }
+
+  /**
+   * Verify a signature object produced by this or another session's signer
+   * @param {Object} signature - `{ algorithm, publicKey, signature }`
+   * @param {Buffer} data - Signed bytes
+   * @returns {Promise<boolean|null>} Validity, or null for an unsupported algorithm
+   */
+  async _verifySignature(signature, data) {
+    return signature.algorithm === this.signer.algorithm
+      ? this.signer.verify(data, signature.signature, signature.publicKey)
+      : verifySignature(signature.algorithm, data, signature.signature, signature.publicKey);
+  }
+
+  /**
+   * Export memory in a portable format
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'json' (native record), 'jsonl', 'markdown' or 'bundle' (signed)
+   * @returns {Promise<string>} Serialized memory
+   */
+  async export(options = {}) {
+    const { format = 'json' } = options;
+
+    await this._initialized;
+    await this._writeQueue;
+
+    const record = { ownerName: this.ownerName, exportedAt: new Date().toISOString(), ...this._toRecord() };
+    if (format !== 'bundle') {
+      return serializeMemory(record, format);
+    }
+
+    return createBundle(record, async (digest) => ({
+      algorithm: this.signer.algorithm,
+      publicKey: this.signer.publicKey,
+      signature: await this.signer.sign(digest),
+      signedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Import exported memory after verifying its hashes, chain and signatures
+   *
+   * - replace: the imported history becomes this session's history
+   * - merge: if one history extends the other, the longer one is kept; otherwise imported
+   *   entries missing here are appended to this chain (re-signed, original hash and signer
+   *   kept in `metadata.imported`, summaries as 'system' entries)
+   *
+   * @param {string|Object} input - Exported memory (json, jsonl or bundle)
+   * @param {Object} options - Import options
+   * @param {string} options.format - Input format (default: 'auto')
+   * @param {string} options.mode - 'merge' (default) or 'replace'
+   * @param {Array<string>} options.publicKeys - Accepted signer keys for entries and bundle
+   *   (default: this.trustedKeys); a replaced or fast-forwarded history's signers become trusted
+   * @param {boolean} options.trust - Accept and trust the keys the export was signed with (default: false)
+   * @param {boolean} options.verify - Verify before importing (default: true)
+   * @returns {Promise<Object>} `{ format, mode, strategy, imported, skipped }`
+   * @throws {IntegrityError} If verification fails
+   */
+  async import(input, options = {}) {
+    const { format = 'auto', mode = 'merge', publicKeys = null, trust = false, verify = true } = options;
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Unknown import mode "${mode}". Use: merge, replace`);
+    }
+
+    const parsed = parseMemory(input, format);
+    const { record } = parsed;
+    const interactions = record.interactions || [];
+    const summaries = record.summaries || [];
+    const tombstones = record.tombstones || [];
+    const newest = [...interactions, ...summaries, ...tombstones].sort((a, b) => (b.seq || 0) - (a.seq || 0))[0];
+    const incoming = {
+      interactions,
+      summaries,
+      tombstones,
+      chainHead: record.chainHead || (newest ? { seq: newest.seq, hash: newest.hash } : { seq: 0, hash: GENESIS_HASH }),
+      totalCount: record.totalCount ?? interactions.length
+    };
+
+    if (verify) {
+      await this._verifyImport(incoming, parsed.bundle, publicKeys, trust);
+    }
+
+    const imported = await this._withWriteLock(async () => {
+      const ours = new Set([...this.interactions, ...this.summaries, ...this.tombstones].map(entry => entry.hash));
+      const theirs = new Set([...interactions, ...summaries, ...tombstones].map(entry => entry.hash));
+      const result = { format: parsed.format, mode, strategy: null, imported: 0, skipped: 0 };
+
+      if (mode === 'replace' || this.chainHead.seq === 0 || theirs.has(this.chainHead.hash)) {
+        if (this._base) {
+          throw new Error(`Branch "${this.branch}" shares its history with "${this._lineage()[0].branch}"; imports into a branch can only append`);
+        }
+        result.strategy = mode === 'replace' ? 'replace' : 'fast-forward';
+        result.imported = interactions.length + summaries.length;
+        this.interactions = interactions.map(entry => ({ ...entry }));
+        this.summaries = summaries.map(entry => ({ ...entry }));
+        this.tombstones = tombstones.map(entry => ({ ...entry }));
+        this.facts = (record.facts || []).map(fact => ({ ...fact }));
+        this.openThreads = (record.openThreads || []).map(thread => ({ ...thread }));
+        this.chainHead = { ...incoming.chainHead };
+        this.totalCount = incoming.totalCount;
+        this._compressed = { interactions: [], summaries: [] };
+        // Signers the caller vouched for keep verifying after the swap
+        if (publicKeys || trust) {
+          this._trustSigners([...interactions, ...summaries, ...tombstones]);
+        }
+      } else if (incoming.chainHead.seq === 0 || ours.has(incoming.chainHead.hash)) {
+        result.strategy = 'up-to-date';
+        result.skipped = interactions.length + summaries.length;
+      } else {
+        result.strategy = 'append';
+        for (const entry of this.interactions) {
+          if (entry.metadata && entry.metadata.imported) ours.add(entry.metadata.imported.hash);
+        }
+
+        const pending = [
+          ...summaries.map(entry => ({ entry, type: 'summary' })),
+          ...interactions.map(entry => ({ entry, type: 'interaction' }))
+        ].sort((a, b) => (a.entry.seq || 0) - (b.entry.seq || 0));
+
+        for (const { entry, type } of pending) {
+          if (ours.has(entry.hash)) {
+            result.skipped++;
+            continue;
+          }
+          await this._pushInteraction({
+            role: type === 'summary' ? 'system' : entry.role,
+            text: entry.text,
+            ts: entry.ts,
+            metadata: {
+              ...entry.metadata,
+              imported: {
+                type,
+                hash: entry.hash,
+                seq: entry.seq,
+                ownerName: record.ownerName || null,
+                publicKey: entry.signature ? entry.signature.publicKey : null
+              }
+            }
+          });
+          result.imported++;
+        }
+
+        // Imported facts keep their source hashes, which point into the imported history
+        const merge = (list, items, limit) => {
+          const known = new Set(list.map(item => item.id));
+          return [...list, ...items.filter(item => !known.has(item.id))].slice(-limit);
+        };
+        this.facts = merge(this.facts, record.facts || [], this.maxFacts);
+        this.openThreads = merge(this.openThreads, record.openThreads || [], this.maxOpenThreads);
+      }
+
+      await this._saveToStorage();
+      this.logger.info('memory.imported', `Memory imported (${result.strategy}): ${result.imported} entries, ${result.skipped} skipped`, result);
+      return result;
+    });
+
+    // Appended entries can overflow the window
+    if (imported.strategy === 'append') {
+      await this._compress();
+    }
+    return imported;
+  }
+
+  /**
+   * Check an import's bundle signature, entry hashes, signatures and chain
+   * @param {Object} incoming - Imported entries and chain head
+   * @param {Object|null} bundle - Signed bundle envelope
+   * @param {Array<string>|null} publicKeys - Accepted signer keys (default: this.trustedKeys)
+   * @param {boolean} trust - Accept the keys the export was signed with instead
+   * @throws {IntegrityError} On the first failing check
+   */
+  async _verifyImport(incoming, bundle, publicKeys, trust) {
+    // A self-signed export proves nothing about its origin, so its own keys only count when trusted explicitly
+    const signers = [...incoming.interactions, ...incoming.summaries, ...incoming.tombstones]
+      .map(entry => entry.signature && entry.signature.publicKey)
+      .filter(Boolean);
+    const accepted = publicKeys || (trust ? null : [...this.trustedKeys]);
+
+    if (bundle) {
+      if (!bundleDigestMatches(bundle)) {
+        throw new IntegrityError('Memory bundle digest does not match its contents', { reason: 'digest-mismatch' });
+      }
+      const signature = bundle.signature || {};
+      if (accepted && !accepted.includes(signature.publicKey)) {
+        throw new IntegrityError('Memory bundle was signed by an untrusted key', { reason: 'untrusted-key' });
+      }
+      if (!signature.signature || !(await this._verifySignature(signature, Buffer.from(bundle.digest, 'hex')))) {
+        throw new IntegrityError('Memory bundle signature is invalid', { reason: 'signature-invalid' });
+      }
+    }
+
+    const report = await this.verifyIntegrity({ entries: incoming, publicKeys: accepted || signers });
+    if (!report.valid) {
+      const first = report.failures[0] || report.chain.brokenAt;
+      throw new IntegrityError(`Imported memory failed verification: ${first.reason} (${first.type})`, report);
+    }
+  }
+
+  /**
+   * Fork the conversation at an interaction of the active branch
+   *
+   * The new branch shares the parent's history up to and including that
+   * interaction, and stores only a pointer to the parent plus what is added
+   * to it afterwards. Its chain continues from the parent's chain head
+   * (`forkedAt`) with a signed fork marker - a tombstone with reason 'fork' -
+   * that drops the parent's interactions after the fork point from the
+   * branch, so the branch verifies on its own. The parent keeps entries the
+   * branch shares even after compressing them. The active branch stays the
+   * same unless `switchTo` is set.
+   *
+   * @param {string} atInteractionId - Hash of an interaction in the active window (default: newest)
+   * @param {Object} options - Fork options
+   * @param {string} options.name - Branch name (default: 'branch-<n>')
+   * @param {boolean} options.switchTo - Make the new branch active (default: false)
+   * @returns {Promise<Object>} `{ name, parent, at, forkedAt: { seq, hash, totalCount }, createdAt }`
+   */
+  async fork(atInteractionId = null, options = {}) {
+    const { name = null, switchTo = false } = options;
+
+    return this._withWriteLock(async () => {
+      const at = atInteractionId
+        ? this.interactions.find(entry => entry.hash === atInteractionId)
+        : this.interactions[this.interactions.length - 1];
+      if (!at) {
+        throw new Error(atInteractionId
+          ? `Interaction ${atInteractionId} is not in the active window of branch "${this.branch}"`
+          : `Branch "${this.branch}" has no interactions to fork from`);
+      }
+
+      const branchName = name || this._nextBranchName();
+      if (typeof branchName !== 'string' || !BRANCH_NAME_PATTERN.test(branchName)) {
+        throw new Error(`Invalid branch name "${branchName}". Use letters, digits, ".", "_" or "-" (max 64 characters)`);
+      }
+      if (branchName === MAIN_BRANCH || this.branches.has(branchName)) {
+        throw new Error(`Branch "${branchName}" already exists`);
+      }
+
+      const meta = {
+        name: branchName,
+        parent: this.branch,
+        at: at.hash,
+        forkedAt: { seq: this.chainHead.seq, hash: this.chainHead.hash, totalCount: this.totalCount },
+        createdAt: new Date().toISOString()
+      };
+      this.branches.set(branchName, meta);
+      await this._saveBranches();
+
+      // Everything after the fork point is still in the window
+      const rewound = this.interactions.filter(entry => entry.seq > at.seq).map(entry => entry.hash);
+      const { facts, openThreads } = this; // Summaries all precede the fork point, so their facts carry over
+      await this._onBranch(branchName, async () => {
+        const content = { ts: Date.now(), reason: 'fork', forgotten: rewound, rewritten: [] };
+        const { seq, prevHash, hash, signature } = await this._appendEntry(content);
+        this.tombstones.push({ ...content, seq, prevHash, hash, signature, signatureAlgorithm: this.signer.algorithm });
+        this.interactions = this.interactions.filter(entry => !rewound.includes(entry.hash));
+        this.totalCount -= rewound.length;
+        this.facts = facts.map(fact => ({ ...fact }));
+        this.openThreads = openThreads.map(thread => ({ ...thread }));
+        await this._saveToStorage();
+      });
+
+      if (switchTo) {
+        await this._checkout(branchName);
+      }
+
+      this.logger.info('memory.branch.forked', `Forked branch "${branchName}" from "${meta.parent}" at interaction #${at.seq}`, { branch: branchName, parent: meta.parent, at: at.hash });
+      return { ...meta, forkedAt: { ...meta.forkedAt } };
+    });
+  }
+
+  /**
+   * List branches, main first
+   * @returns {Promise<Array<Object>>} `[{ name, parent, at, forkedAt, createdAt, active }]`
+   */
+  async listBranches() {
+    await this._initialized;
+    await this._writeQueue;
+    await this._loadBranches();
+
+    return [
+      { name: MAIN_BRANCH, parent: null, at: null, forkedAt: null, createdAt: null },
+      ...this.branches.values()
+    ].map(meta => ({ ...meta, active: meta.name === this.branch }));
+  }
+
+  /**
+   * Make another branch active; buildContext(), recall() and new interactions use it
+   * @param {string} name - Branch name ('main' for the original conversation)
+   * @returns {Promise<Object>} `{ branch, activeInteractions, chainHead }`
+   */
+  async switchBranch(name) {
+    return this._withWriteLock(async () => {
+      if (name !== this.branch) {
+        await this._checkout(name);
+      }
+
+      this.logger.info('memory.branch.switched', `Switched to branch "${this.branch}" at seq ${this.chainHead.seq}`, { branch: this.branch, seq: this.chainHead.seq });
+      return { branch: this.branch, activeInteractions: this.interactions.length, chainHead: { ...this.chainHead } };
+    });
+  }
+
+  /**
+   * Load a branch as the active state; callers hold the write lock
+   * @param {string} name - Branch name
+   */
+  async _checkout(name) {
+    if (name !== MAIN_BRANCH && !this.branches.has(name)) {
+      throw new Error(`Unknown branch "${name}". Use: ${[MAIN_BRANCH, ...this.branches.keys()].join(', ')}`);
+    }
+
+    if (!this.persistToFile) {
+      this._branchStates.set(this.branch, {
+        interactions: this.interactions,
+        summaries: this.summaries,
+        tombstones: this.tombstones,
+        shared: this.shared,
+        facts: this.facts,
+        openThreads: this.openThreads,
+        totalCount: this.totalCount,
+        chainHead: this.chainHead,
+        base: this._base
+      });
+    }
+
+    this._branchArchives.set(this.branch, this._compressed);
+    this._compressed = this._branchArchives.get(name) || { interactions: [], summaries: [] };
+    this._history = null; // Reloaded for the new lineage once the write lock is released
+
+    this.branch = name;
+    this.interactions = [];
+    this.summaries = [];
+    this.tombstones = [];
+    this.shared = { interactions: [], summaries: [] };
+    this.facts = [];
+    this.openThreads = [];
+    this.totalCount = 0;
+    this.chainHead = { seq: 0, hash: GENESIS_HASH };
+
+    const saved = this.persistToFile ? null : this._branchStates.get(name);
+    if (saved) {
+      ({
+        interactions: this.interactions,
+        summaries: this.summaries,
+        tombstones: this.tombstones,
+        shared: this.shared,
+        facts: this.facts,
+        openThreads: this.openThreads,
+        totalCount: this.totalCount,
+        chainHead: this.chainHead,
+        base: this._base
+      } = saved);
+      return;
+    }
+
+    this._base = await this._resolveBase(name);
+    if (this.persistToFile) {
+      await this._loadFromStorage();
+    } else if (this._base) {
+      this._applyRecord(null);
+    }
+  }
+
+  /**
+   * Run a task with another branch active, then switch back; callers hold the write lock
+   */
+  async _onBranch(name, task) {
+    if (name === this.branch) {
+      return task();
+    }
+
+    const active = this.branch;
+    await this._checkout(name);
+    try {
+      return await task();
+    } finally {
+      await this._checkout(active);
+    }
+  }
+
+  /**
+   * Run a task on every branch, children before their parents
+   * (a child still sees the shared entries its parent is about to change)
+   * @returns {Promise<Array<Object>>} `[{ branch, ...result }]`
+   */
+  async _eachBranch(task) {
+    const depth = name => this._lineage(name).length;
+    const names = [MAIN_BRANCH, ...this.branches.keys()].sort((a, b) => depth(b) - depth(a));
+
+    const results = [];
+    for (const name of names) {
+      results.push({ branch: name, ...(await this._onBranch(name, task)) });
+    }
+    return results;
+  }
+
+  /**
+   * A branch and its ancestors, root first, with the last sequence number each contributes
+   * @param {string} name - Branch name (default: active branch)
+   * @returns {Array<Object>} `[{ branch, maxSeq }]`
+   */
+  _lineage(name = this.branch) {
+    const lineage = [];
+    let maxSeq = Infinity;
+    for (let branch = name; branch;) {
+      lineage.unshift({ branch, maxSeq });
+      const meta = this.branches.get(branch);
+      if (!meta) break;
+      maxSeq = Math.min(maxSeq, meta.forkedAt.seq);
+      branch = meta.parent;
+    }
+    return lineage;
+  }
+
+  /**
+   * Every known entry on a branch's chain: its stored days (including shared entries),
+   * its ancestors' up to the fork points, and the in-process state
+   * @param {string} name - Branch name
+   * @returns {Promise<Map>} hash -> `{ entry, type }`
+   */
+  async _branchHistory(name) {
+    const entries = new Map();
+    const add = (record, maxSeq) => {
+      if (!record) return;
+      for (const [collection, type] of [['interactions', 'interaction'], ['summaries', 'summary'], ['tombstones', 'tombstone']]) {
+        for (const entry of record[collection] || []) {
+          if ((entry.seq ?? 0) <= maxSeq) entries.set(entry.hash, { entry, type });
+        }
+      }
+    };
+
+    for (const { branch, maxSeq } of this._lineage(name)) {
+      const records = [];
+      if (this.persistToFile) {
+        for (const day of await this.listDays(branch)) {
+          records.push(await this.storage.read(this._session(branch), day));
+        }
+      }
+      records.push(branch === this.branch ? this : this._branchStates.get(branch));
+      for (const record of records.filter(Boolean)) {
+        add(record, maxSeq);
+        add(record.shared, maxSeq);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Reconstruct the parent's state at a branch's fork point
+   * @param {string} name - Branch name
+   * @returns {Promise<Object|null>} `{ forkedAt, totalCount, interactions, summaries, tombstones }`, null for main
+   */
+  async _resolveBase(name) {
+    const meta = this.branches.get(name);
+    if (!meta) return null;
+
+    const history = [...(await this._branchHistory(meta.parent)).values()]
+      .filter(({ entry }) => entry.seq <= meta.forkedAt.seq);
+    const ofType = type => history
+      .filter(item => item.type === type)
+      .map(item => item.entry)
+      .sort((a, b) => a.seq - b.seq);
+
+    // Live at the fork point: not compressed or forgotten by an entry before it
+    const tombstones = ofType('tombstone');
+    const gone = new Set([
+      ...history.flatMap(({ entry }) => entry.compressedHashes || []),
+      ...this._tombstoneIndex(tombstones).forgotten
+    ]);
+    const live = entry => !gone.has(entry.hash);
+
+    return {
+      forkedAt: meta.forkedAt,
+      totalCount: meta.forkedAt.totalCount,
+      interactions: ofType('interaction').filter(live),
+      summaries: ofType('summary').filter(live).sort((a, b) => (a.range.start - b.range.start) || (a.seq - b.seq)),
+      tombstones
+    };
+  }
+
+  async _loadBranches() {
+    if (!this.persistToFile) return;
+    const index = await this.storage.read(this.ownerName, BRANCH_INDEX_KEY);
+    this.branches = new Map(((index && index.branches) || []).map(meta => [meta.name, meta]));
+  }
+
+  async _saveBranches() {
+    if (!this.persistToFile) return;
+    await this.storage.write(this.ownerName, BRANCH_INDEX_KEY, { branches: [...this.branches.values()] });
+  }
+
+  _nextBranchName() {
+    let index = this.branches.size + 1;
+    while (this.branches.has(`branch-${index}`)) index++;
+    return `branch-${index}`;
+  }
+
+  /**
+   * Build context object for agent execution
+   *
+   * Packs memory into a token budget:
+   * 1. The newest interaction is always included (truncated if it alone exceeds the budget)
+   * 2. Open threads from summaries, newest first, up to `threadRatio` of the budget
+   * 3. Summaries, newest first, up to `summaryRatio` of the budget
+   * 4. Older interactions, newest first, until the budget is spent
+   * Messages above `maxMessageTokens` are shortened, keeping their beginning and end.
+   * With `query` (or `recalled` results from `recall()`), the entries most relevant to it
+   * that did not make the recent window are added as `relevantMemories`. `query` searches
+   * the active window, entries compressed out of it and the stored days of the branch.
+   *
+   * @param {Object} options - Context options
+   * @param {number} options.maxTokens - Token budget (default: tokenLimit)
+   * @param {number} options.maxInteractions - Cap on included interactions (default: all active)
+   * @param {number} options.summaryRatio - Share of the budget summaries may use (default: 0.3)
+   * @param {number} options.threadRatio - Share of the budget open threads may use (default: 0.1; 0 leaves them out)
+   * @param {number} options.maxMessageTokens - Per-message cap before truncation (default: 25% of budget)
+   * @param {string} options.query - Text to recall relevant older entries for (BM25 over all history)
+   * @param {number} options.recallK - Maximum relevant entries to include (default: 3)
+   * @param {Array} options.recalled - Results from `recall()` to include instead of searching
+   * @param {number} options.relevantRatio - Share of the budget reserved for relevant entries (default: 0.2)
+   * @returns {Object} Memory context with `tokenUsage`
+   */
+  buildContext(options = {}) {
+    const {
+      maxTokens = this.tokenLimit,
+      maxInteractions = this.interactions.length,
+      summaryRatio = 0.3,
+      threadRatio = 0.1,
+      maxMessageTokens = Math.floor(maxTokens * 0.25),
+      query = null,
+      recallK = 3,
+      recalled = null,
+      relevantRatio = 0.2
+    } = options;
+
+    const wantsRelevant = !!(query || recalled) && recallK > 0;
+    let relevantBudget = wantsRelevant ? Math.floor(maxTokens * relevantRatio) : 0;
+    let remaining = maxTokens;
+    let truncatedCount = 0;
+
+    // Fit one entry into `available` tokens; oversized messages (or forced ones) are shortened
+    const fit = (text, available, force = false) => {
+      const limit = Math.min(maxMessageTokens, available) - MESSAGE_OVERHEAD_TOKENS;
+      const tokens = this.countTokens(text);
+      if (tokens <= limit) {
+        return { text, tokens: tokens + MESSAGE_OVERHEAD_TOKENS, truncated: false };
+      }
+      if (limit < MIN_TRUNCATED_TOKENS || (!force && tokens <= maxMessageTokens)) {
+        return null;
+      }
+      const shortened = truncateToTokens(text, limit, this._countTokens);
+      return { ...shortened, tokens: shortened.tokens + MESSAGE_OVERHEAD_TOKENS };
+    };
+
+    const candidates = this.interactions.slice(-maxInteractions).reverse();
+    const pickedInteractions = [];
+    const pickedThreads = [];
+    const pickedSummaries = [];
+    const pickedRelevant = [];
+    let interactionTokens = 0;
+    let threadTokens = 0;
+    let summaryTokens = 0;
+    let relevantTokens = 0;
+
+    // 1. Newest interaction
+    if (candidates.length > 0) {
+      const newest = fit(candidates[0].text, remaining, true);
+      if (newest) {
+        pickedInteractions.push({ entry: candidates[0], ...newest });
+        interactionTokens += newest.tokens;
+        remaining -= newest.tokens;
+      }
+    }
+
+    // 2. Open threads within their share, so the next call can pick them up
+    let threadBudget = Math.floor(maxTokens * threadRatio);
+    for (const thread of [...this.openThreads].reverse()) {
+      const packed = fit(thread.text, Math.min(remaining, threadBudget));
+      if (!packed) break;
+      pickedThreads.push({ entry: thread, ...packed });
+      threadTokens += packed.tokens;
+      threadBudget -= packed.tokens;
+      remaining -= packed.tokens;
+    }
+
+    // 3. Summaries within their share
+    let summaryBudget = Math.floor(maxTokens * summaryRatio);
+    for (const summary of [...this.summaries].sort((a, b) => b.ts - a.ts)) {
+      const packed = fit(summary.text, Math.min(remaining, summaryBudget));
+      if (!packed) break;
+      pickedSummaries.push({ entry: summary, ...packed });
+      summaryTokens += packed.tokens;
+      summaryBudget -= packed.tokens;
+      remaining -= packed.tokens;
+    }
+
+    // 4. Older interactions, stopping at the first that does not fit (relevant share held back)
+    for (const interaction of candidates.slice(pickedInteractions.length)) {
+      const packed = fit(interaction.text, remaining - relevantBudget);
+      if (!packed) break;
+      pickedInteractions.push({ entry: interaction, ...packed });
+      interactionTokens += packed.tokens;
+      remaining -= packed.tokens;
+    }
+
+    // 5. Relevant entries that are not already in the context
+    if (wantsRelevant) {
+      const included = new Set([...pickedInteractions, ...pickedSummaries].map(({ entry }) => entry.hash));
+      const matches = recalled
+        ? recalled.filter(result => !included.has(result.hash)).slice(0, recallK)
+        : this._searchMemory(query, { k: recallK, exclude: included });
+
+      relevantBudget = Math.min(relevantBudget, remaining);
+      for (const match of matches) {
+        const packed = fit(match.text, relevantBudget);
+        if (!packed) continue;
+        pickedRelevant.push({ entry: match, ...packed });
+        relevantTokens += packed.tokens;
+        relevantBudget -= packed.tokens;
+        remaining -= packed.tokens;
+      }
+    }
+
+    const recentInteractions = pickedInteractions.reverse().map(({ entry, text, truncated }) => {
+      if (truncated) truncatedCount++;
+      return { role: entry.role, text, ts: entry.ts, ...(truncated ? { truncated: true } : {}) };
+    });
+    const summaries = pickedSummaries
+      .sort((a, b) => a.entry.ts - b.entry.ts)
+      .map(({ entry, text, truncated }) => {
+        if (truncated) truncatedCount++;
+        return { text, range: entry.range, ts: entry.ts, ...(truncated ? { truncated: true } : {}) };
+      });
+    const openThreads = pickedThreads.reverse().map(({ entry, text, truncated }) => {
+      if (truncated) truncatedCount++;
+      return { id: entry.id, text, openedAt: entry.openedAt, ...(truncated ? { truncated: true } : {}) };
+    });
+    const relevantMemories = pickedRelevant.map(({ entry, text, truncated }) => {
+      if (truncated) truncatedCount++;
+      return { ...entry, text, ...(truncated ? { truncated: true } : {}) };
+    });
+
+    return {
+      totalInteractions: this.totalCount,
+      recentInteractions,
+      summaries,
+      openThreads,
+      ...(wantsRelevant ? { relevantMemories } : {}),
       memoryStats: {
         activeInteractions: this.interactions.length,
         totalSummaries: this.summaries.length,
         totalCount: this.totalCount
+      },
+      tokenUsage: {
+        budget: maxTokens,
+        used: interactionTokens + threadTokens + summaryTokens + relevantTokens,
+        interactions: interactionTokens,
+        threads: threadTokens,
+        summaries: summaryTokens,
+        relevant: relevantTokens,
+        truncated: truncatedCount,
+        omittedInteractions: this.interactions.length - recentInteractions.length,
+        omittedSummaries: this.summaries.length - summaries.length,
+        omittedThreads: this.openThreads.length - openThreads.length
+      }
+    };
+  }
+
+  /**
+   * Rank past interactions and summaries by relevance to a query
+   * Uses an offline BM25 index, or cosine similarity over `embed` vectors when an
+   * embedding function is configured. Entries with no overlap with the query are left out.
+   *
+   * @param {string} query - What to look for
+   * @param {Object} options - Recall options
+   * @param {number} options.k - Maximum results (default: 5)
+   * @param {Array<string>} options.types - Entry types to search (default: ['interaction', 'summary'])
+   * @param {Date|string} options.from - Also search stored days from this day on (see loadRange)
+   * @param {Date|string} options.to - Last stored day to search (default: today)
+   * @param {Function|false} options.embed - Embedding function for this call (false forces BM25)
+   * @returns {Promise<Array<Object>>} `[{ type, score, text, ts, seq, hash, role | range }]`, best first
+   */
+  async recall(query, options = {}) {
+    const {
+      k = 5,
+      types = ['interaction', 'summary'],
+      from = null,
+      to = new Date(),
+      embed = this.embed
+    } = options;
+
+    await this._initialized;
+
+    const searchStored = !!(from && this.storage);
+    let documents = this._activeDocuments();
+    if (searchStored) {
+      const range = await this.loadRange(from, to);
+      documents = new Map([...this._toDocuments(range.interactions, range.summaries), ...this._archivedDocuments(), ...documents]);
+    }
+
+    const filter = (id) => types.includes(documents.get(id).type);
+    let ranked;
+    if (embed) {
+      ranked = await this._rankByEmbedding(query, documents, { k, filter, embed });
+    } else {
+      // Stored history is indexed per call; the active window reuses the cached index
+      const index = searchStored ? new BM25Index() : this._getRecallIndex();
+      if (searchStored) {
+        for (const [id, { entry }] of documents) {
+          index.add(id, entry.text);
+        }
+      }
+      ranked = index.search(query, { k, filter });
+    }
+
+    return ranked.map(({ id, score }) => this._toRecalled(documents.get(id), score));
+  }
+
+  /**
+   * BM25 search over active entries and older history (synchronous, used by buildContext)
+   * @param {string} query - What to look for
+   * @param {Object} options - `{ k, exclude }` where exclude is a Set of entry hashes
+   * @returns {Array<Object>} Recalled entries
+   */
+  _searchMemory(query, options = {}) {
+    const { k = 5, exclude = new Set() } = options;
+    const documents = new Map([...(this._history || []), ...this._archivedDocuments(), ...this._activeDocuments()]);
+
+    // Rebuilt when the chain head moves or stored history is reloaded
+    const cached = this._memoryIndex;
+    if (!cached || cached.head !== this.chainHead.hash || cached.history !== this._history || cached.index.size !== documents.size) {
+      const index = new BM25Index();
+      for (const [id, { entry }] of documents) {
+        index.add(id, entry.text);
+      }
+      this._memoryIndex = { head: this.chainHead.hash, history: this._history, index };
+    }
+
+    return this._memoryIndex.index
+      .search(query, { k, filter: (id) => !exclude.has(id) })
+      .map(({ id, score }) => this._toRecalled(documents.get(id), score));
+  }
+
+  /**
+   * Entries that left the active window but are still held in memory:
+   * pinned for child branches, or compressed away in this process
+   * @returns {Map<string, Object>} hash -> { type, entry }
+   */
+  _archivedDocuments() {
+    return this._toDocuments(
+      [...this.shared.interactions, ...this._compressed.interactions],
+      [...this.shared.summaries, ...this._compressed.summaries]
+    );
+  }
+
+  /**
+   * Load the stored days of the active branch and its ancestors for buildContext() to search
+   * A record that cannot be read leaves stored history out of the search instead of failing.
+   */
+  async _loadHistory() {
+    this._memoryIndex = null;
+    if (!this.persistToFile) {
+      this._history = new Map();
+      return;
+    }
+
+    try {
+      const range = await this.loadRange(new Date(0));
+      this._history = this._toDocuments(range.interactions, range.summaries);
+    } catch (error) {
+      this.logger.warn('memory.history.failed', `Stored history not searchable: ${error.message}`, { error: error.message });
+      this._history = new Map();
+    }
+  }
+
+  /**
+   * Active interactions and summaries keyed by entry hash
+   * @returns {Map<string, Object>} hash -> { type, entry }
+   */
+  _activeDocuments() {
+    return this._toDocuments(this.interactions, this.summaries);
+  }
+
+  /**
+   * Key entries by hash (entries from older records without one fall back to type and position)
+   */
+  _toDocuments(interactions, summaries) {
+    const documents = new Map();
+    for (const entry of interactions) {
+      documents.set(entry.hash || `interaction:${entry.seq ?? entry.ts}`, { type: 'interaction', entry });
+    }
+    for (const entry of summaries) {
+      documents.set(entry.hash || `summary:${entry.seq ?? entry.ts}`, { type: 'summary', entry });
+    }
+    return documents;
+  }
+
+  /**
+   * Get the BM25 index over active entries, rebuilding it if memory changed since it was built
+   * @returns {BM25Index} Index
+   */
+  _getRecallIndex() {
+    const documents = this._activeDocuments();
+    const cached = this._recallIndex;
+    if (cached && cached.head === this.chainHead.hash && cached.index.size === documents.size) {
+      return cached.index;
+    }
+
+    const index = new BM25Index();
+    for (const [id, { entry }] of documents) {
+      index.add(id, entry.text);
+    }
+    this._recallIndex = { head: this.chainHead.hash, index };
+    return index;
+  }
+
+  /**
+   * Rank documents by cosine similarity of their embeddings to the query's
+   * Vectors are cached by entry hash, so each entry is embedded once.
+   */
+  async _rankByEmbedding(query, documents, { k, filter, embed }) {
+    const queryVector = await embed(query);
+    const results = [];
+
+    for (const [id, { entry }] of documents) {
+      if (!filter(id)) continue;
+
+      let vector = this._embeddings.get(id);
+      if (!vector) {
+        vector = await embed(entry.text);
+        this._embeddings.set(id, vector);
+      }
+
+      const score = cosineSimilarity(queryVector, vector);
+      if (score > 0) {
+        results.push({ id, score });
       }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Shape a recall result
+   */
+  _toRecalled({ type, entry }, score) {
+    return {
+      type,
+      score,
+      text: entry.text,
+      ts: entry.ts,
+      seq: entry.seq,
+      hash: entry.hash,
+      ...(type === 'interaction' ? { role: entry.role } : { range: entry.range })
     };
   }
 
+  /**
+   * Count tokens with the configured tokenizer
+   * @param {string} text - Text to measure
+   * @returns {number} Token count
+   */
+  countTokens(text) {
+    return this._countTokens(text);
+  }
+
   /**
    * Get recent interactions
    * @param {number} count - Number of interactions to retrieve
@@ -339,15 +2173,411 @@ class MemoryManager {
   }
 
   /**
-   * Clear all memory (use with caution)
+   * Get key points accumulated from summaries, oldest first
+   * @returns {Array} `[{ id, text, source, seq, ts }]` (source: hash of the summary)
+   */
+  getFacts() {
+    return this.facts;
+  }
+
+  /**
+   * Get unresolved threads reported by summaries, oldest first
+   * @returns {Array} `[{ id, text, source, seq, openedAt }]`
+   */
+  getOpenThreads() {
+    return this.openThreads;
+  }
+
+  /**
+   * Mark an open thread as resolved, removing it from the store
+   *
+   * A later summary that reports the same thread as unresolved opens it again.
+   *
+   * @param {string} idOrText - Thread ID, or its text (case-insensitive)
+   * @returns {Promise<boolean>} True if an open thread was removed
+   */
+  async resolveThread(idOrText) {
+    return this._withWriteLock(async () => {
+      const id = this.openThreads.some(thread => thread.id === idOrText) ? idOrText : factId(String(idOrText));
+      const remaining = this.openThreads.filter(thread => thread.id !== id);
+      if (remaining.length === this.openThreads.length) return false;
+
+      this.openThreads = remaining;
+      await this._saveToStorage();
+      return true;
+    });
+  }
+
+  /**
+   * Apply the retention policy to stored days and the active session
+   *
+   * - maxAge: days older than this many ms are removed; older retained entries are forgotten
+   * - maxDays: only the newest this many days are kept
+   * - maxBytes: the oldest days are removed until the stored total fits
+   *
+   * Limits apply to each branch's own records. The most recent day, which
+   * sessions resume from, is never removed. Removing a day leaves the chain
+   * intact because summaries commit to what they compressed.
+   *
+   * @param {Object} overrides - Limits for this run (default: the `retention` option)
+   * @returns {Promise<Object>} `{ removedDays, forgotten, rewritten, tombstone, days, bytes, branches }`
+   *   for the active branch, with `branches: [{ branch, ...result }]` for all of them
+   */
+  async prune(overrides = {}) {
+    const limits = { ...this.retention, ...overrides };
+
+    return this._withWriteLock(async () => {
+      const branches = await this._eachBranch(() => this._prune(limits));
+      return { ...branches.find(result => result.branch === this.branch), branches };
+    });
+  }
+
+  /**
+   * prune() body for the active branch; callers hold the write lock
+   */
+  async _prune({ maxAge = null, maxDays = null, maxBytes = null }) {
+    const result = { removedDays: [], forgotten: 0, rewritten: 0, tombstone: null, days: [], bytes: null };
+    let days = await this.listDays();
+    const protectedDays = new Set([this._getStorageKey(), days[days.length - 1]]);
+
+    const removeDays = async (selected) => {
+      for (const day of selected) {
+        if (protectedDays.has(day)) continue;
+        await this.storage.remove(this._session(), day);
+        result.removedDays.push(day);
+        this._history = null;
+      }
+      days = days.filter(day => !result.removedDays.includes(day));
+    };
+
+    if (maxAge) {
+      const cutoff = Date.now() - maxAge;
+      await removeDays(days.filter(day => day < this._getStorageKey(new Date(cutoff))));
+
+      const erased = await this._forget({ before: cutoff, reason: 'retention' });
+      Object.assign(result, { forgotten: erased.forgotten, rewritten: erased.rewritten, tombstone: erased.tombstone });
+      days = await this.listDays(); // forget() may have written today's record
+    }
+
+    if (maxDays) {
+      await removeDays(days.slice(0, Math.max(0, days.length - maxDays)));
+    }
+
+    if (maxBytes) {
+      const sizes = new Map();
+      for (const day of days) {
+        sizes.set(day, await this._recordSize(day));
+      }
+      let total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+      const oversized = [];
+      for (const day of days) {
+        if (total <= maxBytes) break;
+        if (protectedDays.has(day)) continue;
+        oversized.push(day);
+        total -= sizes.get(day);
+      }
+      await removeDays(oversized);
+      result.bytes = total;
+    }
+
+    result.days = days;
+    this.logger.info('memory.pruned', `Memory pruned: ${result.removedDays.length} days removed, ${result.forgotten} entries forgotten`, {
+      removedDays: result.removedDays,
+      forgotten: result.forgotten
+    });
+    return result;
+  }
+
+  /**
+   * Bytes a stored day occupies (adapter-reported, or its JSON size)
+   * @param {string} day - Record key
+   * @returns {Promise<number>} Size in bytes
+   */
+  async _recordSize(day) {
+    if (typeof this.storage.size === 'function') {
+      const size = await this.storage.size(this._session(), day);
+      if (typeof size === 'number') return size;
+    }
+    const data = await this.storage.read(this._session(), day);
+    return data ? Buffer.byteLength(JSON.stringify(data)) : 0;
+  }
+
+  /**
+   * Erase interactions and summaries from the session and every stored day, on every branch
+   *
+   * Criteria combine: an entry is forgotten when it meets every one given.
+   * `match` selects interactions; `before` and `ids` also select summaries,
+   * and forgetting a summary forgets what it compressed. Summaries covering
+   * forgotten entries, or whose text matches `match`, are rewritten with the
+   * forgotten text replaced by `[forgotten]` (paraphrases by a SummaryAgent
+   * are only caught by `match`). Their key points and context metadata are
+   * rewritten the same way; stored facts and open threads that came from
+   * forgotten summaries or repeat forgotten text are dropped.
+   *
+   * A tombstone listing the erased hashes and the rewritten summaries' new
+   * content hashes is appended to the chain and signed, so verifyChain() and
+   * verifyIntegrity() keep passing. Every stored day is then rewritten in
+   * full, so append-only adapters drop the erased content as well.
+   *
+   * @param {Object} selector - What to forget
+   * @param {string|RegExp|Function} selector.match - Text (case-insensitive), pattern or `(interaction) => boolean`
+   * @param {Date|number|string} selector.before - Entries older than this
+   * @param {Array<string>} selector.ids - Entry hashes
+   * @param {string} selector.reason - Recorded in the tombstone (default: 'forget')
+   * @returns {Promise<Object>} `{ forgotten, rewritten, facts, days, tombstone: { seq, hash } | null, branches }`
+   *   for the active branch, with `branches: [{ branch, ...result }]` for all of them
+   */
+  async forget(selector = {}) {
+    return this._withWriteLock(async () => {
+      const branches = await this._eachBranch(() => this._forget(selector));
+      return { ...branches.find(result => result.branch === this.branch), branches };
+    });
+  }
+
+  /**
+   * forget() body; callers hold the write lock
+   */
+  async _forget({ match = null, before = null, ids = null, reason = 'forget' }) {
+    if (match === null && before === null && ids === null) {
+      throw new Error('forget() needs match, before or ids');
+    }
+
+    const cutoff = before === null ? null : new Date(before).getTime();
+    if (Number.isNaN(cutoff)) {
+      throw new Error(`Invalid before "${before}". Use a Date, timestamp or ISO string`);
+    }
+    const pattern = typeof match === 'string'
+      ? new RegExp(match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi')
+      : (match instanceof RegExp ? new RegExp(match.source, match.flags.includes('g') ? match.flags : `${match.flags}g`) : null);
+    const selected = (entry, type) => {
+      if (ids && !ids.includes(entry.hash)) return false;
+      if (cutoff !== null && (type === 'summary' ? entry.range.end : entry.ts) >= cutoff) return false;
+      if (match === null) return true;
+      if (type === 'summary') return false; // Summaries are rewritten, not dropped, on a text match
+      return typeof match === 'function' ? !!match(entry) : matchesPattern(pattern, entry.text);
+    };
+
+    // The same entries appear in the session and in every day it was saved on
+    const records = [{ day: null, data: this }];
+    const today = this._getStorageKey();
+    for (const day of this.persistToFile ? await this.listDays() : []) {
+      const data = day === today ? null : await this.storage.read(this._session(), day);
+      if (data) {
+        records.push({ day, data });
+      }
+    }
+
+    // Entries pinned for child branches, or compressed away in this process, are erased along with the rest
+    const containers = [...records.flatMap(({ data }) => [data, data.shared].filter(Boolean)), this._compressed];
+
+    const known = new Map(); // hash -> { entry, type }
+    for (const data of containers) {
+      for (const entry of data.interactions || []) known.set(entry.hash, { entry, type: 'interaction' });
+      for (const entry of data.summaries || []) known.set(entry.hash, { entry, type: 'summary' });
+    }
+
+    const forgotten = new Set();
+    const forgetEntry = (hash) => {
+      if (forgotten.has(hash)) return;
+      forgotten.add(hash);
+      const item = known.get(hash);
+      // What a forgotten summary compressed goes with it
+      for (const compressed of (item && item.entry.compressedHashes) || []) {
+        forgetEntry(compressed);
+      }
+    };
+    for (const { entry, type } of known.values()) {
+      if (selected(entry, type)) forgetEntry(entry.hash);
+    }
+
+    // Forgotten text an entry may have passed on: its own text if forgotten (and the
+    // excerpt basic summaries quote), plus whatever the entries it compressed passed on
+    const quoted = new Map();
+    const quotedBy = (hash) => {
+      const item = known.get(hash);
+      if (!item) return [];
+      if (!quoted.has(hash)) {
+        const { entry, type } = item;
+        const own = !forgotten.has(hash) ? [] : (type === 'interaction' ? [entry.text, entry.text.substring(0, 50)] : [entry.text]);
+        quoted.set(hash, [...own, ...(entry.compressedHashes || []).flatMap(quotedBy)]);
+      }
+      return quoted.get(hash);
+    };
+
+    const scrubber = (values) => (text) => {
+      let result = values.reduce((current, value) => current.split(value).join('[forgotten]'), text);
+      if (pattern) {
+        pattern.lastIndex = 0;
+        result = result.replace(pattern, '[forgotten]');
+      }
+      return result;
+    };
+
+    // Rewrite the summaries that survive but quote forgotten text or match the pattern
+    const rewrites = new Map(); // summary hash -> { fields, contentHash }
+    for (const { entry: summary, type } of known.values()) {
+      if (type !== 'summary' || forgotten.has(summary.hash)) continue;
+
+      const values = [...new Set((summary.compressedHashes || []).flatMap(quotedBy))]
+        .filter(value => value && value.trim())
+        .sort((a, b) => b.length - a.length);
+      const scrub = scrubber(values);
+      const fields = { text: scrub(summary.text) };
+      if (summary.keyPoints) {
+        fields.keyPoints = summary.keyPoints.map(scrub);
+      }
+      if (summary.contextMeta) {
+        const { dominantThemes, unresolvedThreads, toneSummary } = summary.contextMeta;
+        fields.contextMeta = {
+          dominantThemes: dominantThemes.map(scrub),
+          unresolvedThreads: unresolvedThreads.map(scrub),
+          toneSummary: scrub(toneSummary)
+        };
+      }
+      const rewritten = { ...summary, ...fields };
+      const contentHash = this._createHash(this._entryContent(rewritten, 'summary'));
+      if (contentHash === this._createHash(this._entryContent(summary, 'summary'))) continue;
+      rewrites.set(summary.hash, { fields, contentHash });
+    }
+
+    // Facts and threads drawn from forgotten entries, or repeating forgotten text, are dropped
+    const scrubErased = scrubber([...new Set([...forgotten].flatMap(quotedBy))].filter(value => value && value.trim()));
+    const keepFact = item => !forgotten.has(item.source) && scrubErased(item.text) === item.text;
+    const droppedFacts = [...this.facts, ...this.openThreads].filter(item => !keepFact(item)).length;
+
+    const erased = [...forgotten].filter(hash => known.has(hash)).length;
+    if (erased === 0 && rewrites.size === 0 && droppedFacts === 0) {
+      return { forgotten: 0, rewritten: 0, facts: 0, days: [], tombstone: null };
+    }
+
+    let tombstone = null;
+    if (erased > 0 || rewrites.size > 0) {
+      const content = {
+        ts: Date.now(),
+        reason,
+        forgotten: [...forgotten],
+        rewritten: [...rewrites].map(([hash, { contentHash }]) => ({ hash, contentHash }))
+      };
+      const { seq, prevHash, hash, signature } = await this._appendEntry(content);
+      tombstone = { ...content, seq, prevHash, hash, signature, signatureAlgorithm: this.signer.algorithm };
+    }
+
+    // Every day is rewritten: append-only logs can hold erased entries no current state references
+    for (const data of containers) {
+      data.interactions = (data.interactions || []).filter(entry => !forgotten.has(entry.hash));
+      data.summaries = (data.summaries || [])
+        .filter(entry => !forgotten.has(entry.hash))
+        .map(entry => (rewrites.has(entry.hash) ? { ...entry, ...rewrites.get(entry.hash).fields } : entry));
+    }
+
+    const days = [];
+    for (const { day, data } of records) {
+      if (tombstone) {
+        data.tombstones = [...(data.tombstones || []), tombstone];
+      }
+      if (data.facts) data.facts = data.facts.filter(keepFact);
+      if (data.openThreads) data.openThreads = data.openThreads.filter(keepFact);
+      if (day !== null) {
+        await this._rewriteDay(day, data);
+        days.push(day);
+      }
+    }
+
+    for (const hash of [...forgotten, ...rewrites.keys()]) {
+      this._embeddings.delete(hash);
+    }
+    this._recallIndex = null;
+    this._history = null;
+
+    if (this.persistToFile) {
+      await this._rewriteDay(today, this._toStoredRecord());
+      days.push(today);
+    }
+
+    this.logger.info('memory.forgotten', `Forgot ${erased} entries, rewrote ${rewrites.size} summaries, dropped ${droppedFacts} facts`, {
+      forgotten: erased,
+      rewritten: rewrites.size,
+      facts: droppedFacts,
+      reason
+    });
+    return {
+      forgotten: erased,
+      rewritten: rewrites.size,
+      facts: droppedFacts,
+      days: days.sort(),
+      tombstone: tombstone && { seq: tombstone.seq, hash: tombstone.hash }
+    };
+  }
+
+  /**
+   * Replace a stored day in full, so append-only adapters drop the old content
+   */
+  async _rewriteDay(day, data) {
+    await this._replaceRecord(this._session(), day, data);
+  }
+
+  /**
+   * Rewrite a record through the adapter's atomic replace(), or write() if it has none
+   * The old record is never removed first, so a failed rewrite leaves it in place.
+   */
+  async _replaceRecord(session, key, data) {
+    if (typeof this.storage.replace === 'function') {
+      await this.storage.replace(session, key, data);
+    } else {
+      await this.storage.write(session, key, data);
+    }
+  }
+
+  /**
+   * Index the hashes tombstones erased and the content hashes of rewritten summaries
+   * @param {Array} tombstones - Tombstones in chain order
+   * @returns {Object} `{ forgotten: Set<hash>, rewritten: Map<hash, contentHash> }`
+   */
+  _tombstoneIndex(tombstones = []) {
+    const forgotten = new Set();
+    const rewritten = new Map();
+    for (const tombstone of [...tombstones].sort((a, b) => a.seq - b.seq)) {
+      (tombstone.forgotten || []).forEach(hash => forgotten.add(hash));
+      for (const { hash, contentHash } of tombstone.rewritten || []) {
+        rewritten.set(hash, contentHash); // A later rewrite of the same summary supersedes earlier ones
+      }
+    }
+    return { forgotten, rewritten };
+  }
+
+  /**
+   * Clear all memory (use with caution); a branch goes back to its fork point
+   *
+   * Branches forked from the active branch share its history, so it cannot be
+   * cleared while they exist; use forget() instead.
    */
   async clearMemory() {
-    this.interactions = [];
-    this.summaries = [];
-    this.totalCount = 0;
-    
-    await this._saveToFile();
-    console.log(`🧹 Memory cleared`);
+    return this._withWriteLock(async () => {
+      const children = [...this.branches.values()].filter(meta => meta.parent === this.branch);
+      if (children.length > 0) {
+        throw new Error(`Cannot clear branch "${this.branch}": branches ${children.map(meta => `"${meta.name}"`).join(', ')} were forked from it`);
+      }
+
+      this.interactions = [];
+      this.summaries = [];
+      this.tombstones = [];
+      this.shared = { interactions: [], summaries: [] };
+      this.facts = [];
+      this.openThreads = [];
+      this.totalCount = 0;
+      this.chainHead = { seq: 0, hash: GENESIS_HASH };
+      if (this._base) {
+        this._applyRecord(null);
+      }
+      this._compressed = { interactions: [], summaries: [] };
+      this._history = new Map(); // Older stored days belong to the cleared chain
+      this._recallIndex = null;
+      this._memoryIndex = null;
+      this._embeddings.clear();
+
+      await this._saveToStorage();
+      this.logger.info('memory.cleared', 'Memory cleared');
+    });
   }
 
   /**
@@ -360,12 +2590,41 @@ class MemoryManager {
       maxInteractions: this.maxInteractions,
       totalSummaries: this.summaries.length,
       maxSummaries: this.maxSummaries,
+      tombstones: this.tombstones.length,
+      facts: this.facts.length,
+      openThreads: this.openThreads.length,
       totalCount: this.totalCount,
+      branch: this.branch,
+      branches: this.branches.size + 1,
       signatureAlgorithm: this.signatureAlgorithm,
+      signerAlgorithm: this.signer.algorithm,
+      signerPublicKey: this.signer.publicKey,
       persistToFile: this.persistToFile,
+      storage: this.storage ? this.storage.constructor.name : null,
+      encrypted: this.storage instanceof EncryptedStorage,
       memoryDir: this.memoryDir
     };
   }
 }
 
+/**
+ * Stable ID for a fact or thread; case and whitespace differences map to the same ID
+ */
+function factId(text) {
+  return canonicalHash(text.trim().toLowerCase().replace(/\s+/g, ' ')).slice(0, 16);
+}
+
+/**
+ * Test a global pattern without leaving lastIndex behind
+ */
+function matchesPattern(pattern, text) {
+  if (!pattern || typeof text !== 'string') return false;
+  pattern.lastIndex = 0;
+  const found = pattern.test(text);
+  pattern.lastIndex = 0;
+  return found;
+}
+
 module.exports = MemoryManager;
+module.exports.GENESIS_HASH = GENESIS_HASH;
+module.exports.MAIN_BRANCH = MAIN_BRANCH;
@@ -0,0 +1,197 @@
+/**
+ * Memory Export/Import Formats
+ *
+ * - json:     the native record shape, as persisted by the storage adapters
+ * - jsonl:    one header line, then one line per summary and interaction in chain order
+ * - markdown: human-readable transcript for analysts (export only)
+ * - bundle:   the native record plus a digest signed by the exporting session's key
+ *
+ * Every format except markdown keeps entry hashes and signatures, so imports
+ * can be verified with MemoryManager.verifyIntegrity().
+ */
+
+const { canonicalHash } = require('../crypto/canonical');
+
+const FORMATS = ['json', 'jsonl', 'markdown', 'bundle'];
+const BUNDLE_FORMAT = 'schema-icu-memory-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Serialize a memory record
+ * @param {Object} record - `{ ownerName, interactions, summaries, totalCount, chainHead, ... }`
+ * @param {string} format - 'json' | 'jsonl' | 'markdown'
+ * @returns {string} Serialized memory
+ */
+function serializeMemory(record, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(record, null, 2);
+    case 'jsonl':
+      return toJsonl(record);
+    case 'markdown':
+      return toMarkdown(record);
+    default:
+      throw new Error(`Unknown export format "${format}". Use: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Wrap a record in a signed bundle
+ * @param {Object} record - Memory record
+ * @param {Function} sign - `async (digestBytes) => signature object`
+ * @returns {Promise<string>} Bundle JSON
+ */
+async function createBundle(record, sign) {
+  const digest = canonicalHash(record);
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    digest,
+    signature: await sign(Buffer.from(digest, 'hex')),
+    record
+  }, null, 2);
+}
+
+/**
+ * Parse exported memory
+ * @param {string|Object} input - Serialized memory or an already parsed object
+ * @param {string} format - Format, or 'auto' to detect
+ * @returns {Object} `{ format, record, bundle }` (bundle only for signed bundles)
+ */
+function parseMemory(input, format = 'auto') {
+  const detected = format === 'auto' ? detectFormat(input) : format;
+
+  if (detected === 'markdown') {
+    throw new Error('Markdown transcripts are export-only; import json, jsonl or bundle exports');
+  }
+  if (detected === 'jsonl') {
+    return { format: detected, record: fromJsonl(String(input)), bundle: null };
+  }
+  if (!FORMATS.includes(detected)) {
+    throw new Error(`Unknown import format "${detected}". Use: json, jsonl, bundle`);
+  }
+
+  const parsed = typeof input === 'string' ? JSON.parse(input) : input;
+  if (detected === 'bundle') {
+    if (!parsed || parsed.format !== BUNDLE_FORMAT || !parsed.record) {
+      throw new Error('Not a memory bundle');
+    }
+    return { format: detected, record: parsed.record, bundle: parsed };
+  }
+  return { format: detected, record: parsed, bundle: null };
+}
+
+/**
+ * Check a bundle's digest against its record
+ * @param {Object} bundle - Parsed bundle
+ * @returns {boolean} True if the record is unchanged
+ */
+function bundleDigestMatches(bundle) {
+  return canonicalHash(bundle.record) === bundle.digest;
+}
+
+function detectFormat(input) {
+  if (input && typeof input === 'object') {
+    return input.format === BUNDLE_FORMAT ? 'bundle' : 'json';
+  }
+
+  const text = String(input).trim();
+  if (text.startsWith('#')) {
+    return 'markdown';
+  }
+  try {
+    return JSON.parse(text).format === BUNDLE_FORMAT ? 'bundle' : 'json';
+  } catch (error) {
+    return 'jsonl'; // Several JSON documents, one per line
+  }
+}
+
+function toJsonl(record) {
+  const { interactions = [], summaries = [], ...header } = record;
+  const lines = [{ type: 'header', ...header }];
+  const entries = [
+    ...summaries.map(entry => ({ type: 'summary', entry })),
+    ...interactions.map(entry => ({ type: 'interaction', entry }))
+  ].sort((a, b) => (a.entry.seq ?? a.entry.ts) - (b.entry.seq ?? b.entry.ts));
+
+  for (const { type, entry } of entries) {
+    lines.push({ type, ...entry });
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function fromJsonl(text) {
+  const record = { interactions: [], summaries: [] };
+
+  text.split('\n').forEach((raw, index) => {
+    if (!raw.trim()) return;
+
+    let line;
+    try {
+      line = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid JSONL on line ${index + 1}: ${error.message}`);
+    }
+
+    const { type, ...fields } = line;
+    if (type === 'header') {
+      Object.assign(record, fields);
+    } else if (type === 'interaction') {
+      record.interactions.push(fields);
+    } else if (type === 'summary') {
+      record.summaries.push(fields);
+    }
+  });
+
+  return record;
+}
+
+function toMarkdown(record) {
+  const { ownerName, interactions = [], summaries = [], facts = [], openThreads = [], chainHead } = record;
+  const lines = [
+    `# Memory Transcript: ${ownerName}`,
+    '',
+    `- Exported: ${record.exportedAt || new Date().toISOString()}`,
+    `- Entries: ${interactions.length} interactions, ${summaries.length} summaries`
+  ];
+  if (chainHead && chainHead.seq > 0) {
+    lines.push(`- Chain head: #${chainHead.seq} \`${chainHead.hash}\``);
+  }
+
+  if (summaries.length > 0) {
+    lines.push('', '## Summaries');
+    for (const summary of summaries) {
+      const range = summary.range || {};
+      const covered = `${range.count} ${range.metaLevel ? 'summaries' : 'interactions'}`;
+      lines.push('', `### ${covered}, ${formatTime(range.start)} – ${formatTime(range.end)}`, '', summary.text);
+    }
+  }
+
+  if (openThreads.length > 0) {
+    lines.push('', '## Open Threads', '', ...openThreads.map(thread => `- ${thread.text}`));
+  }
+  if (facts.length > 0) {
+    lines.push('', '## Key Facts', '', ...facts.map(fact => `- ${fact.text}`));
+  }
+
+  lines.push('', '## Transcript');
+  for (const interaction of interactions) {
+    const role = interaction.role ? interaction.role[0].toUpperCase() + interaction.role.slice(1) : 'Unknown';
+    lines.push('', `**${role}** · ${formatTime(interaction.ts)}`, '', interaction.text);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatTime(ts) {
+  const date = new Date(ts);
+  return isNaN(date.getTime()) ? String(ts) : date.toISOString();
+}
+
+module.exports = {
+  EXPORT_FORMATS: FORMATS,
+  serializeMemory,
+  createBundle,
+  parseMemory,
+  bundleDigestMatches
+};
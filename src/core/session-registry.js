@@ -0,0 +1,202 @@
+/**
+ * Session Registry - Many memory sessions keyed by user or thread ID
+ *
+ * Each session is its own MemoryManager whose ownerName is the session ID,
+ * so storage adapters keep their records apart (`<id>-memory-<day>.json`).
+ * IDs are restricted to file-name-safe characters to rule out path tricks.
+ *
+ * The registry holds at most `maxSessions` sessions, evicting the least
+ * recently used one beyond that, and evicts sessions unused for
+ * `idleTimeout` ms. Eviction only drops the in-process manager; stored
+ * history stays and is reloaded the next time the session is opened,
+ * after the evicted manager's pending writes have finished.
+ */
+
+const MemoryManager = require('./memory-manager');
+
+// File-name-safe session IDs
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+class SessionRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.factory - `(options) => MemoryManager` (default: new MemoryManager)
+   * @param {number} options.maxSessions - Live sessions kept before LRU eviction (default: 100)
+   * @param {number} options.idleTimeout - Evict sessions unused for this many ms (default: none)
+   * @param {Function} options.onEvict - `(id, memory, reason)` called for 'lru', 'idle' and 'close'
+   */
+  constructor(options = {}) {
+    const {
+      factory = (memoryOptions) => new MemoryManager(memoryOptions),
+      maxSessions = 100,
+      idleTimeout = null,
+      onEvict = null
+    } = options;
+
+    this.factory = factory;
+    this.maxSessions = maxSessions;
+    this.idleTimeout = idleTimeout;
+    this.onEvict = onEvict;
+    this.sessions = new Map(); // id -> { memory, createdAt, lastUsed }, least recently used first
+    this._flushing = new Map(); // id -> flush() of the evicted manager, until its pending writes finish
+  }
+
+  /**
+   * Create a session
+   * @param {string} id - Session ID (user, tenant or thread ID)
+   * @param {Object} options - MemoryManager options (ownerName is always the ID)
+   * @returns {MemoryManager} New memory manager; it loads stored history once an evicted
+   *   manager for the same ID has finished writing
+   */
+  create(id, options = {}) {
+    this._assertId(id);
+    this.evictIdle();
+    if (this.sessions.has(id)) {
+      throw new Error(`Memory session "${id}" already exists`);
+    }
+
+    const flushing = this._flushing.get(id);
+    const memory = this.factory({ ...options, ownerName: id, ...(flushing ? { waitFor: flushing } : {}) });
+    const now = Date.now();
+    this.sessions.set(id, { memory, createdAt: now, lastUsed: now });
+
+    while (this.sessions.size > this.maxSessions) {
+      const [oldest] = this.sessions.keys();
+      this._evict(oldest, 'lru');
+    }
+
+    return memory;
+  }
+
+  /**
+   * Get a session, creating it if needed, once its stored history is loaded
+   * @param {string} id - Session ID
+   * @param {Object} options - MemoryManager options for a new session
+   * @returns {Promise<MemoryManager>} Ready memory manager
+   */
+  async open(id, options = {}) {
+    const memory = this.get(id) || this.create(id, options);
+    return memory.ready();
+  }
+
+  /**
+   * Get a live session and mark it as recently used
+   * @param {string} id - Session ID
+   * @returns {MemoryManager|null} Memory manager, or null if not live
+   */
+  get(id) {
+    this.evictIdle();
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    session.lastUsed = Date.now();
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    return session.memory;
+  }
+
+  /**
+   * Check whether a session is live
+   * @param {string} id - Session ID
+   * @returns {boolean} True if live
+   */
+  has(id) {
+    this.evictIdle();
+    return this.sessions.has(id);
+  }
+
+  /**
+   * List live sessions, most recently used first
+   * @returns {Array<Object>} `[{ id, createdAt, lastUsed, activeInteractions, totalCount }]`
+   */
+  list() {
+    this.evictIdle();
+    return [...this.sessions.entries()].reverse().map(([id, { memory, createdAt, lastUsed }]) => ({
+      id,
+      createdAt: new Date(createdAt).toISOString(),
+      lastUsed: new Date(lastUsed).toISOString(),
+      activeInteractions: memory.interactions.length,
+      totalCount: memory.totalCount
+    }));
+  }
+
+  /**
+   * Close a session after its pending writes finish
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if the session was live
+   */
+  async close(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this._evict(id, 'close');
+    await session.memory.close();
+    return true;
+  }
+
+  /**
+   * Close every session
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async closeAll() {
+    const ids = [...this.sessions.keys()];
+    await Promise.all(ids.map(id => this.close(id)));
+    return ids.length;
+  }
+
+  /**
+   * Evict a session without waiting for pending writes (they still complete before it is reopened)
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session was live
+   */
+  evict(id) {
+    return this._evict(id, 'manual');
+  }
+
+  /**
+   * Evict sessions idle for longer than idleTimeout
+   * @returns {Array<string>} Evicted session IDs
+   */
+  evictIdle() {
+    if (!this.idleTimeout) return [];
+
+    const cutoff = Date.now() - this.idleTimeout;
+    const evicted = [];
+    for (const [id, session] of this.sessions) {
+      if (session.lastUsed > cutoff) break; // Map is in LRU order
+      evicted.push(id);
+    }
+    evicted.forEach(id => this._evict(id, 'idle'));
+    return evicted;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  _evict(id, reason) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+
+    this.sessions.delete(id);
+    const flushing = session.memory.flush();
+    this._flushing.set(id, flushing);
+    flushing.then(() => {
+      if (this._flushing.get(id) === flushing) {
+        this._flushing.delete(id);
+      }
+    });
+    if (this.onEvict) {
+      this.onEvict(id, session.memory, reason);
+    }
+    return true;
+  }
+
+  _assertId(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session ID "${id}". Use letters, digits, ".", "_" or "-" (max 128 characters)`);
+    }
+  }
+}
+
+module.exports = { SessionRegistry, SESSION_ID_PATTERN };
@@ -0,0 +1,63 @@
+/**
+ * Canonical JSON Serialization for Schema.ICU signatures
+ *
+ * Produces a deterministic string for any JSON value (object keys sorted,
+ * undefined members dropped) so the same payload always hashes the same way.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as canonical JSON
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON string
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * SHA-256 of the canonical JSON form
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Hex digest
+ */
+function canonicalHash(value) {
+  return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+/**
+ * Decode a hex or base64 string into bytes
+ * @param {string|Uint8Array} value - Encoded value
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBytes(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    return Buffer.alloc(0);
+  }
+  if (value.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  return Buffer.from(value, 'base64');
+}
+
+module.exports = { canonicalize, canonicalHash, decodeBytes };
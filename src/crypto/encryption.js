@@ -0,0 +1,113 @@
+/**
+ * Authenticated Encryption for Persisted Memory
+ *
+ * AES-256-GCM with a random 96-bit IV per value. Each envelope records the
+ * ID of the key that sealed it, so records written before a key rotation
+ * stay readable as long as the old key is supplied.
+ */
+
+const crypto = require('crypto');
+const { EncryptionError } = require('../utils/errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Normalize key material into a 32-byte Buffer
+ * @param {Buffer|Uint8Array|string} key - Raw bytes, hex (64 chars) or base64
+ * @returns {Buffer} Key
+ */
+function normalizeKey(key) {
+  let bytes = null;
+  if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+    bytes = Buffer.from(key);
+  } else if (typeof key === 'string') {
+    const value = key.trim();
+    bytes = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  }
+
+  if (!bytes || bytes.length !== KEY_BYTES) {
+    throw new EncryptionError('Encryption key must be 32 bytes (Buffer, 64 hex characters or base64)', 'invalid-key');
+  }
+  return bytes;
+}
+
+/**
+ * Short, non-secret identifier for a key
+ * @param {Buffer} key - Normalized key
+ * @returns {string} First 16 hex characters of SHA-256(key)
+ */
+function keyFingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Generate a random key
+ * @returns {string} 32-byte key as hex
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('hex');
+}
+
+/**
+ * Encrypt a JSON value
+ * @param {*} value - JSON-serializable value
+ * @param {Buffer} key - Normalized key
+ * @param {string} keyId - ID recorded in the envelope
+ * @param {string} aad - Additional authenticated data binding the value to its location
+ * @returns {Object} `{ alg, keyId, iv, tag, ciphertext }` (base64 fields)
+ */
+function encryptJSON(value, key, keyId, aad = '') {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    alg: ALGORITHM,
+    keyId,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptJSON
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Buffer} key - Normalized key
+ * @param {string} aad - Additional authenticated data used when encrypting
+ * @returns {*} Decrypted value
+ * @throws {EncryptionError} If the key is wrong or the data was modified
+ */
+function decryptJSON(envelope, key, aad = '') {
+  if (!envelope || envelope.alg !== ALGORITHM) {
+    throw new EncryptionError(`Unsupported encryption algorithm: ${envelope && envelope.alg}`, 'unsupported-algorithm');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new EncryptionError(
+      `Failed to decrypt memory with key "${envelope.keyId}": wrong key or modified data`,
+      'decrypt-failed'
+    );
+  }
+}
+
+module.exports = {
+  ENCRYPTION_ALGORITHM: ALGORITHM,
+  normalizeKey,
+  keyFingerprint,
+  generateKey,
+  encryptJSON,
+  decryptJSON
+};
@@ -0,0 +1,210 @@
+/**
+ * Key Registry - Trusted Schema.ICU signing keys
+ *
+ * A signature that verifies against the `publicKey` shipped in the same
+ * response only proves the response is internally consistent. Pinning the
+ * server keys here lets the SDK tell whether Schema.ICU actually signed it.
+ *
+ * Each pinned key carries:
+ * - keyId, algorithm, publicKey (hex or base64)
+ * - validFrom / validUntil - validity window (ISO string, Date or ms)
+ * - revokedAt              - hard cut-off, e.g. after a compromise
+ * - replacedBy / rotatedAt - rotation metadata
+ */
+
+const { decodeBytes } = require('./canonical');
+const { resolveAlgorithm } = require('./signature-verifier');
+
+class KeyRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Array<Object>} options.keys - Keys to pin
+   */
+  constructor(options = {}) {
+    const { keys = [] } = options;
+    this.keys = new Map(); // keyId -> key entry
+
+    for (const key of keys) {
+      this.addKey(key);
+    }
+  }
+
+  /**
+   * Build a registry from a registry instance, key array or serialized registry
+   * @param {KeyRegistry|Array|Object|null} source - Registry source
+   * @returns {KeyRegistry|null} Registry, or null if no source given
+   */
+  static from(source) {
+    if (!source) return null;
+    if (source instanceof KeyRegistry) return source;
+    if (Array.isArray(source)) return new KeyRegistry({ keys: source });
+    return new KeyRegistry(source);
+  }
+
+  /**
+   * Pin a trusted key
+   * @param {Object} key - Key definition
+   * @returns {Object} Stored key entry
+   */
+  addKey(key) {
+    if (!key || !key.publicKey) {
+      throw new Error('Trusted key requires a publicKey');
+    }
+
+    const algorithm = resolveAlgorithm({ algorithm: key.algorithm || key.suite });
+    if (!algorithm) {
+      throw new Error(`Unsupported algorithm for trusted key: ${key.algorithm || key.suite}`);
+    }
+
+    const publicKey = normalizeKey(key.publicKey);
+    const entry = {
+      keyId: key.keyId || `${algorithm}:${publicKey.substring(0, 16)}`,
+      algorithm,
+      publicKey,
+      validFrom: toTime(key.validFrom),
+      validUntil: toTime(key.validUntil),
+      revokedAt: toTime(key.revokedAt),
+      replacedBy: key.replacedBy || null,
+      rotatedAt: toTime(key.rotatedAt),
+      metadata: key.metadata || {}
+    };
+
+    this.keys.set(entry.keyId, entry);
+    return entry;
+  }
+
+  /**
+   * Remove a pinned key
+   * @param {string} keyId - Key identifier
+   * @returns {boolean} True if a key was removed
+   */
+  removeKey(keyId) {
+    return this.keys.delete(keyId);
+  }
+
+  /**
+   * Get a pinned key by id
+   * @param {string} keyId - Key identifier
+   * @returns {Object|null} Key entry
+   */
+  getKey(keyId) {
+    return this.keys.get(keyId) || null;
+  }
+
+  /**
+   * List pinned keys, optionally for a single algorithm
+   * @param {string|null} algorithm - Filter by algorithm
+   * @returns {Array<Object>} Key entries
+   */
+  list(algorithm = null) {
+    const resolved = algorithm ? resolveAlgorithm({ algorithm }) : null;
+    return [...this.keys.values()].filter(key => !resolved || key.algorithm === resolved);
+  }
+
+  /**
+   * Rotate a key: pin the replacement and retire the old key after a grace period
+   * @param {string} oldKeyId - Key being replaced
+   * @param {Object} newKey - Replacement key definition
+   * @param {Object} options - Rotation options
+   * @param {number} options.graceMs - How long the old key stays valid (default: 0)
+   * @returns {Object} New key entry
+   */
+  rotate(oldKeyId, newKey, options = {}) {
+    const { graceMs = 0 } = options;
+    const oldKey = this.getKey(oldKeyId);
+    if (!oldKey) {
+      throw new Error(`Unknown key: ${oldKeyId}`);
+    }
+
+    const now = Date.now();
+    const entry = this.addKey({ validFrom: now, ...newKey });
+    const retireAt = now + graceMs;
+
+    oldKey.replacedBy = entry.keyId;
+    oldKey.rotatedAt = now;
+    oldKey.validUntil = oldKey.validUntil === null ? retireAt : Math.min(oldKey.validUntil, retireAt);
+
+    return entry;
+  }
+
+  /**
+   * Revoke a key immediately (or at a given time)
+   * @param {string} keyId - Key identifier
+   * @param {Date|string|number} at - Revocation time (default: now)
+   */
+  revoke(keyId, at = Date.now()) {
+    const key = this.getKey(keyId);
+    if (!key) {
+      throw new Error(`Unknown key: ${keyId}`);
+    }
+    key.revokedAt = toTime(at);
+  }
+
+  /**
+   * Decide whether a signing key is trusted at a point in time
+   * @param {string} publicKey - Public key from the response signature
+   * @param {string} algorithm - Signature algorithm
+   * @param {Date|string|number} at - Time to check the key at (default: now)
+   * @returns {Object} `{ trusted, key, reason }`
+   */
+  check(publicKey, algorithm, at = Date.now()) {
+    const resolved = resolveAlgorithm({ algorithm });
+    const normalized = normalizeKey(publicKey);
+    const key = this.list().find(k => k.publicKey === normalized);
+
+    if (!key) {
+      return { trusted: false, key: null, reason: 'Signing key is not pinned in the key registry' };
+    }
+    if (resolved && key.algorithm !== resolved) {
+      return { trusted: false, key, reason: `Key ${key.keyId} is pinned for ${key.algorithm}, not ${resolved}` };
+    }
+
+    const time = toTime(at) ?? Date.now();
+    if (key.revokedAt !== null && time >= key.revokedAt) {
+      return { trusted: false, key, reason: `Key ${key.keyId} was revoked` };
+    }
+    if (key.validFrom !== null && time < key.validFrom) {
+      return { trusted: false, key, reason: `Key ${key.keyId} is not valid yet` };
+    }
+    if (key.validUntil !== null && time > key.validUntil) {
+      const rotated = key.replacedBy ? ` (rotated to ${key.replacedBy})` : '';
+      return { trusted: false, key, reason: `Key ${key.keyId} expired${rotated}` };
+    }
+
+    return { trusted: true, key, reason: null };
+  }
+
+  /**
+   * Serialize the registry (e.g. to store pins alongside config)
+   * @returns {Object} `{ keys: [...] }` with ISO timestamps
+   */
+  toJSON() {
+    return {
+      keys: this.list().map(key => ({
+        ...key,
+        validFrom: toISO(key.validFrom),
+        validUntil: toISO(key.validUntil),
+        revokedAt: toISO(key.revokedAt),
+        rotatedAt: toISO(key.rotatedAt)
+      }))
+    };
+  }
+}
+
+function normalizeKey(publicKey) {
+  return decodeBytes(publicKey).toString('hex');
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toISO(time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+module.exports = { KeyRegistry };
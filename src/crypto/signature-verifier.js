@@ -0,0 +1,350 @@
+/**
+ * Signature Verifier - Offline verification of Schema.ICU response signatures
+ *
+ * Every agent response carries a `signature` object:
+ *   { hash, signature, publicKey, algorithm, suite, signedAt }
+ *
+ * Verification runs locally, stopping at the first failure:
+ * 1. structure - the signature object has the required fields
+ * 2. algorithm - the suite is one we can verify
+ * 3. hash      - SHA-256 of the canonical response payload equals `hash`
+ * 4. publicKey - `publicKey` decodes to a key for that suite
+ * 5. signature - `signature` is valid for `hash` under `publicKey`
+ * 6. trust     - `publicKey` is pinned in the KeyRegistry (skipped without one,
+ *                except in strict mode, where it fails)
+ *
+ * Supported suites: bsv-ecdsa-secp256k1, ml-dsa-65, ml-dsa-87
+ */
+
+const crypto = require('crypto');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { ml_dsa65, ml_dsa87 } = require('@noble/post-quantum/ml-dsa');
+const { canonicalHash, decodeBytes } = require('./canonical');
+const { SignatureError } = require('../utils/errors');
+
+// Fields added by the SDK itself rather than signed by the server
+const UNSIGNED_FIELDS = ['signature', 'futureSelfBridge', 'signatureVerification'];
+
+const SIGNATURE_POLICIES = ['off', 'flag', 'strict'];
+
+const ALGORITHMS = {
+  'bsv-ecdsa-secp256k1': { family: 'ecdsa' },
+  'ml-dsa-65': { family: 'ml-dsa', scheme: ml_dsa65, publicKeyLength: 1952 },
+  'ml-dsa-87': { family: 'ml-dsa', scheme: ml_dsa87, publicKeyLength: 2592 }
+};
+
+// Aliases that may appear in `algorithm` or `suite`
+const ALGORITHM_ALIASES = {
+  'ecdsa': 'bsv-ecdsa-secp256k1',
+  'secp256k1': 'bsv-ecdsa-secp256k1',
+  'pq': 'ml-dsa-87'
+};
+
+const BITCOIN_MESSAGE_MAGIC = 'Bitcoin Signed Message:\n';
+
+class SignatureVerifier {
+  constructor(config = null) {
+    this.config = config;
+  }
+
+  /**
+   * Verify a signed agent response
+   * @param {Object} result - Agent response (as returned by any agent method)
+   * @param {Object} options - Verification options
+   * @param {Function} options.hashPayload - Override payload hashing: (payload) => hex digest
+   * @param {KeyRegistry|null} options.keyRegistry - Registry for the trust check (default: config.keyRegistry)
+   * @param {boolean} options.requireTrust - Fail the trust check when no registry is configured (default: false)
+   * @returns {Object} Verdict `{ valid, algorithm, failedCheck, reason, checks, key, expectedHash, computedHash }`
+   */
+  response(result, options = {}) {
+    const verdict = createVerdict();
+    const signature = result && result.signature;
+
+    if (!signature || typeof signature !== 'object') {
+      return fail(verdict, 'structure', 'Response has no signature object');
+    }
+
+    const missing = ['hash', 'signature', 'publicKey'].filter(field => !signature[field]);
+    if (missing.length > 0) {
+      return fail(verdict, 'structure', `Signature is missing: ${missing.join(', ')}`);
+    }
+    verdict.checks.structure = true;
+
+    const algorithm = resolveAlgorithm(signature);
+    verdict.algorithm = algorithm || signature.suite || signature.algorithm || null;
+    if (!algorithm) {
+      return fail(verdict, 'algorithm', `Unsupported signature suite: ${verdict.algorithm}`);
+    }
+    verdict.checks.algorithm = true;
+
+    verdict.expectedHash = String(signature.hash).toLowerCase();
+    verdict.computedHash = options.hashPayload
+      ? options.hashPayload(this.payload(result))
+      : this.hash(result);
+    if (verdict.computedHash !== verdict.expectedHash) {
+      return fail(verdict, 'hash', 'Payload hash does not match signature.hash (response was modified)');
+    }
+    verdict.checks.hash = true;
+
+    return this._checkSignature(verdict, algorithm, signature, options);
+  }
+
+  /**
+   * Verify only the signature over an already-known hash
+   * @param {Object} signature - `{ hash, signature, publicKey, algorithm, suite, signedAt }`
+   * @param {Object} options - Verification options (see response)
+   * @returns {Object} Verdict (hash check is skipped)
+   */
+  signature(signature, options = {}) {
+    const verdict = createVerdict();
+
+    if (!signature || !signature.hash || !signature.signature || !signature.publicKey) {
+      return fail(verdict, 'structure', 'Signature requires hash, signature and publicKey');
+    }
+    verdict.checks.structure = true;
+
+    const algorithm = resolveAlgorithm(signature);
+    verdict.algorithm = algorithm || signature.suite || signature.algorithm || null;
+    if (!algorithm) {
+      return fail(verdict, 'algorithm', `Unsupported signature suite: ${verdict.algorithm}`);
+    }
+    verdict.checks.algorithm = true;
+    verdict.expectedHash = String(signature.hash).toLowerCase();
+
+    return this._checkSignature(verdict, algorithm, signature, options);
+  }
+
+  /**
+   * Apply the configured signature policy to an agent result
+   * - off:    return the result untouched
+   * - flag:   attach the verdict as `result.signatureVerification`
+   * - strict: attach the verdict, and throw SignatureError if it is not valid; the signing
+   *           key must be pinned, so without a key registry every response fails the trust check
+   * @param {Object} result - Agent response
+   * @param {string|null} policy - Per-call policy (default: config.signaturePolicy)
+   * @returns {Object} The result
+   */
+  enforce(result, policy = null) {
+    const mode = policy || (this.config && this.config.signaturePolicy) || 'off';
+    if (!SIGNATURE_POLICIES.includes(mode)) {
+      throw new Error(`Invalid signature policy "${mode}". Use: ${SIGNATURE_POLICIES.join(', ')}`);
+    }
+    if (mode === 'off' || !result || typeof result !== 'object') {
+      return result;
+    }
+
+    const verdict = this.response(result, { requireTrust: mode === 'strict' });
+    result.signatureVerification = verdict;
+
+    if (mode === 'strict' && !verdict.valid) {
+      throw new SignatureError(`Signature verification failed (${verdict.failedCheck}): ${verdict.reason}`, verdict, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the signed portion of a response (everything the SDK did not add)
+   * @param {Object} result - Agent response
+   * @returns {Object} Payload
+   */
+  payload(result) {
+    const payload = {};
+    for (const key of Object.keys(result || {})) {
+      if (!UNSIGNED_FIELDS.includes(key)) {
+        payload[key] = result[key];
+      }
+    }
+    return payload;
+  }
+
+  /**
+   * Compute the canonical payload hash of a response
+   * @param {Object} result - Agent response
+   * @returns {string} Hex SHA-256 digest
+   */
+  hash(result) {
+    return canonicalHash(this.payload(result));
+  }
+
+  /**
+   * List verifiable suites
+   * @returns {Array<string>} Suite names
+   */
+  supportedAlgorithms() {
+    return Object.keys(ALGORITHMS);
+  }
+
+  /**
+   * Run the public key, signature and trust checks
+   */
+  _checkSignature(verdict, algorithm, signature, options = {}) {
+    const spec = ALGORITHMS[algorithm];
+    const publicKey = decodeBytes(signature.publicKey);
+    const signatureBytes = decodeBytes(signature.signature);
+    const digest = decodeBytes(verdict.expectedHash);
+
+    if (spec.family === 'ml-dsa') {
+      if (publicKey.length !== spec.publicKeyLength) {
+        return fail(verdict, 'publicKey', `Expected a ${spec.publicKeyLength}-byte ${algorithm} public key, got ${publicKey.length} bytes`);
+      }
+      verdict.checks.publicKey = true;
+
+      const messages = [digest, Buffer.from(verdict.expectedHash, 'utf8')];
+      const valid = messages.some(message => safely(() => spec.scheme.verify(publicKey, message, signatureBytes)));
+      return valid
+        ? this._checkTrust(verdict, algorithm, signature, options)
+        : fail(verdict, 'signature', `${algorithm} signature is not valid for this hash and public key`);
+    }
+
+    if (!safely(() => secp256k1.ProjectivePoint.fromHex(publicKey))) {
+      return fail(verdict, 'publicKey', 'Public key is not a valid secp256k1 point');
+    }
+    verdict.checks.publicKey = true;
+
+    const compact = toCompactSignature(signatureBytes);
+    if (!compact) {
+      return fail(verdict, 'signature', 'Signature is not a DER, compact or recoverable ECDSA signature');
+    }
+
+    const digests = [digest, bitcoinMessageDigest(verdict.expectedHash)];
+    const valid = digests.some(candidate =>
+      safely(() => secp256k1.verify(compact, candidate, publicKey, { lowS: false, format: 'compact' }))
+    );
+    return valid
+      ? this._checkTrust(verdict, algorithm, signature, options)
+      : fail(verdict, 'signature', 'ECDSA signature is not valid for this hash and public key');
+  }
+
+  /**
+   * Check the signing key against the key registry, if one is configured
+   */
+  _checkTrust(verdict, algorithm, signature, options = {}) {
+    verdict.checks.signature = true;
+
+    const registry = options.keyRegistry || (this.config && this.config.keyRegistry) || null;
+    if (!registry) {
+      // The key travels with the response, so a valid signature alone proves nothing about the signer
+      if (options.requireTrust) {
+        return fail(verdict, 'trust', 'No trusted keys are pinned; configure trustedKeys or keyRegistry to verify the signer');
+      }
+      verdict.valid = true;
+      return verdict;
+    }
+
+    // Checked at the local time: `signedAt` is not covered by the signature, so a response
+    // signed with a revoked or expired key could backdate it
+    const trust = registry.check(signature.publicKey, algorithm, Date.now());
+    verdict.key = trust.key;
+    if (!trust.trusted) {
+      return fail(verdict, 'trust', trust.reason);
+    }
+
+    verdict.checks.trust = true;
+    verdict.valid = true;
+    return verdict;
+  }
+}
+
+/**
+ * Map `suite` / `algorithm` values onto a supported suite name
+ * @param {Object} signature - Signature object
+ * @returns {string|null} Suite name
+ */
+function resolveAlgorithm(signature) {
+  const candidates = [signature.suite, signature.algorithm]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+
+  for (const name of candidates) {
+    const resolved = ALGORITHM_ALIASES[name] || name;
+    if (ALGORITHMS[resolved]) {
+      return resolved;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize DER (70-72 bytes), compact (64) or recoverable (65) ECDSA signatures to compact form
+ */
+function toCompactSignature(bytes) {
+  if (bytes.length === 64) {
+    return bytes;
+  }
+  if (bytes.length === 65) {
+    return bytes.subarray(1);
+  }
+  if (bytes[0] === 0x30) {
+    return safely(() => secp256k1.Signature.fromDER(bytes).toCompactRawBytes()) || null;
+  }
+  return null;
+}
+
+/**
+ * Digest used by BSV `Message.sign` (double SHA-256 of the magic-prefixed message)
+ */
+function bitcoinMessageDigest(message) {
+  const magic = Buffer.from(BITCOIN_MESSAGE_MAGIC, 'utf8');
+  const body = Buffer.from(message, 'utf8');
+  const data = Buffer.concat([varint(magic.length), magic, varint(body.length), body]);
+  const first = crypto.createHash('sha256').update(data).digest();
+  return crypto.createHash('sha256').update(first).digest();
+}
+
+function varint(n) {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  const buf = Buffer.alloc(3);
+  buf[0] = 0xfd;
+  buf.writeUInt16LE(n, 1);
+  return buf;
+}
+
+function safely(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    return false;
+  }
+}
+
+function createVerdict() {
+  return {
+    valid: false,
+    algorithm: null,
+    failedCheck: null,
+    reason: null,
+    checks: {
+      structure: null,
+      algorithm: null,
+      hash: null,
+      publicKey: null,
+      signature: null,
+      trust: null
+    },
+    key: null,
+    expectedHash: null,
+    computedHash: null
+  };
+}
+
+function fail(verdict, check, reason) {
+  verdict.checks[check] = false;
+  verdict.failedCheck = check;
+  verdict.reason = reason;
+  return verdict;
+}
+
+/**
+ * Verify a signed agent response without a client instance
+ * @param {Object} result - Agent response
+ * @param {Object} options - Verification options (see SignatureVerifier#response)
+ * @returns {Object} Verdict
+ */
+function verifyResponse(result, options = {}) {
+  return new SignatureVerifier().response(result, options);
+}
+
+module.exports = { SignatureVerifier, verifyResponse, resolveAlgorithm, SIGNATURE_POLICIES };
@@ -0,0 +1,199 @@
+/**
+ * Local Signers for SDK-side signatures (memory interactions and summaries)
+ *
+ * A signer is any object with this shape, so HSMs, KMS clients or other
+ * ML-DSA implementations can be plugged in:
+ *
+ *   {
+ *     algorithm: 'ml-dsa-87',
+ *     publicKey: '<hex>',
+ *     sign(data: Buffer) => string | Promise<string>,                    // base64 signature
+ *     verify(data: Buffer, signature: string, publicKey: string) => boolean | Promise<boolean>
+ *   }
+ *
+ * Built-in algorithms:
+ * - ecdsa     - ECDSA secp256k1 / SHA-256 (node crypto)
+ * - ed25519   - Ed25519 (node crypto)
+ * - ml-dsa-65 - ML-DSA-65, FIPS 204 (@noble/post-quantum)
+ * - ml-dsa-87 - ML-DSA-87, FIPS 204 (@noble/post-quantum)
+ */
+
+const crypto = require('crypto');
+const { ml_dsa65, ml_dsa87 } = require('@noble/post-quantum/ml-dsa');
+const { decodeBytes } = require('./canonical');
+
+const ML_DSA_SCHEMES = {
+  'ml-dsa-65': ml_dsa65,
+  'ml-dsa-87': ml_dsa87
+};
+
+// Names accepted by createSigner, including the server-side labels used by agents
+const SIGNER_ALIASES = {
+  'ecdsa': 'ecdsa',
+  'secp256k1': 'ecdsa',
+  'ed25519': 'ed25519',
+  'ml-dsa-65': 'ml-dsa-65',
+  'ml-dsa-87': 'ml-dsa-87',
+  'pq': 'ml-dsa-87'
+};
+
+function nodeDigest(algorithm) {
+  return algorithm === 'ed25519' ? null : 'sha256';
+}
+
+function nodeVerify(algorithm, data, signature, publicKey) {
+  try {
+    const key = crypto.createPublicKey({ key: decodeBytes(publicKey), format: 'der', type: 'spki' });
+    return crypto.verify(nodeDigest(algorithm), Buffer.from(data), key, decodeBytes(signature));
+  } catch (error) {
+    return false;
+  }
+}
+
+function mlDsaVerify(algorithm, data, signature, publicKey) {
+  try {
+    return ML_DSA_SCHEMES[algorithm].verify(decodeBytes(publicKey), Buffer.from(data), decodeBytes(signature));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Signer backed by node's crypto module (ECDSA secp256k1, Ed25519)
+ */
+class NodeCryptoSigner {
+  /**
+   * @param {string} algorithm - 'ecdsa' or 'ed25519'
+   * @param {Object} keys - Optional `{ privateKey }` (PEM string or KeyObject); generated when omitted
+   */
+  constructor(algorithm, keys = {}) {
+    this.algorithm = algorithm;
+
+    if (keys.privateKey) {
+      this._privateKey = crypto.createPrivateKey(keys.privateKey);
+    } else {
+      const type = algorithm === 'ed25519' ? 'ed25519' : 'ec';
+      const options = algorithm === 'ed25519' ? {} : { namedCurve: 'secp256k1' };
+      this._privateKey = crypto.generateKeyPairSync(type, options).privateKey;
+    }
+
+    this.publicKey = crypto.createPublicKey(this._privateKey)
+      .export({ type: 'spki', format: 'der' })
+      .toString('hex');
+  }
+
+  sign(data) {
+    return crypto.sign(nodeDigest(this.algorithm), Buffer.from(data), this._privateKey).toString('base64');
+  }
+
+  verify(data, signature, publicKey = this.publicKey) {
+    return nodeVerify(this.algorithm, data, signature, publicKey);
+  }
+
+  exportKeys() {
+    return {
+      algorithm: this.algorithm,
+      publicKey: this.publicKey,
+      privateKey: this._privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+  }
+}
+
+/**
+ * Signer backed by @noble/post-quantum (ML-DSA-65, ML-DSA-87)
+ */
+class MlDsaSigner {
+  /**
+   * @param {string} algorithm - 'ml-dsa-65' or 'ml-dsa-87'
+   * @param {Object} keys - Optional `{ secretKey, publicKey }` (hex or base64); generated when omitted
+   */
+  constructor(algorithm, keys = {}) {
+    this.algorithm = algorithm;
+    this._scheme = ML_DSA_SCHEMES[algorithm];
+
+    if (keys.secretKey || keys.privateKey) {
+      if (!keys.publicKey) {
+        throw new Error(`${algorithm} signer requires publicKey alongside secretKey`);
+      }
+      this._secretKey = decodeBytes(keys.secretKey || keys.privateKey);
+      this.publicKey = decodeBytes(keys.publicKey).toString('hex');
+    } else {
+      const generated = this._scheme.keygen();
+      this._secretKey = Buffer.from(generated.secretKey);
+      this.publicKey = Buffer.from(generated.publicKey).toString('hex');
+    }
+  }
+
+  sign(data) {
+    return Buffer.from(this._scheme.sign(this._secretKey, Buffer.from(data))).toString('base64');
+  }
+
+  verify(data, signature, publicKey = this.publicKey) {
+    return mlDsaVerify(this.algorithm, data, signature, publicKey);
+  }
+
+  exportKeys() {
+    return {
+      algorithm: this.algorithm,
+      publicKey: this.publicKey,
+      secretKey: this._secretKey.toString('hex')
+    };
+  }
+}
+
+/**
+ * Create a built-in signer
+ * @param {string} algorithm - 'ecdsa', 'ed25519', 'ml-dsa-65', 'ml-dsa-87' or 'pq'
+ * @param {Object} keys - Existing key material (see signer constructors); generated when omitted
+ * @returns {Object} Signer
+ */
+function createSigner(algorithm = 'ml-dsa-87', keys = {}) {
+  const resolved = SIGNER_ALIASES[String(algorithm).toLowerCase()];
+  if (!resolved) {
+    throw new Error(`Unsupported signing algorithm "${algorithm}". Use: ${Object.keys(SIGNER_ALIASES).join(', ')}`);
+  }
+
+  return ML_DSA_SCHEMES[resolved]
+    ? new MlDsaSigner(resolved, keys)
+    : new NodeCryptoSigner(resolved, keys);
+}
+
+/**
+ * Verify a signature made by a built-in signer without holding its private key
+ * @param {string} algorithm - Signer algorithm
+ * @param {Buffer|string} data - Signed data
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Hex public key
+ * @returns {boolean|null} Result, or null if the algorithm is not built in
+ */
+function verifySignature(algorithm, data, signature, publicKey) {
+  const resolved = SIGNER_ALIASES[String(algorithm).toLowerCase()];
+  if (!resolved) {
+    return null;
+  }
+
+  return ML_DSA_SCHEMES[resolved]
+    ? mlDsaVerify(resolved, data, signature, publicKey)
+    : nodeVerify(resolved, data, signature, publicKey);
+}
+
+/**
+ * Check that an object implements the signer interface
+ * @param {*} signer - Candidate signer
+ * @returns {boolean} True if usable
+ */
+function isSigner(signer) {
+  return !!signer &&
+    typeof signer.algorithm === 'string' &&
+    typeof signer.publicKey === 'string' &&
+    typeof signer.sign === 'function' &&
+    typeof signer.verify === 'function';
+}
+
+module.exports = {
+  NodeCryptoSigner,
+  MlDsaSigner,
+  createSigner,
+  verifySignature,
+  isSigner
+};
@@ -8,12 +8,35 @@
 const { SchemaICU } = require('./client');
 const { AuthManager } = require('./auth');
 const { Config } = require('./utils/config');
+const { SignatureVerifier, verifyResponse } = require('./crypto/signature-verifier');
+const { KeyRegistry } = require('./crypto/key-registry');
+const { createSigner } = require('./crypto/signers');
+const { Redactor } = require('./utils/redactor');
+const { Logger, LOG_LEVELS } = require('./utils/logger');
+const MemoryManager = require('./core/memory-manager');
+const { SessionRegistry } = require('./core/session-registry');
+const {
+  InMemoryStorage,
+  JsonFileStorage,
+  JsonlStorage,
+  DirectoryStorage,
+  EncryptedStorage
+} = require('./storage');
+const { FetchTransport, createTransport } = require('./transport');
+const { RateLimiter, parseRateLimitHeaders } = require('./utils/rate-limit');
+const { generateKey: generateEncryptionKey } = require('./crypto/encryption');
 const { 
   SchemaICUError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
-  APIError
+  APIError,
+  NetworkError,
+  TimeoutError,
+  SignatureError,
+  EncryptionError,
+  IntegrityError,
+  AbortError
 } = require('./utils/errors');
 
 // Export main client
@@ -21,12 +44,43 @@ module.exports = {
   SchemaICU,
   AuthManager,
   Config,
+  // Signature verification
+  SignatureVerifier,
+  verifyResponse,
+  KeyRegistry,
+  createSigner,
+  // Privacy
+  Redactor,
+  // Logging
+  Logger,
+  LOG_LEVELS,
+  // Transport
+  FetchTransport,
+  createTransport,
+  // Rate limits
+  RateLimiter,
+  parseRateLimitHeaders,
+  // Memory
+  MemoryManager,
+  SessionRegistry,
+  InMemoryStorage,
+  JsonFileStorage,
+  JsonlStorage,
+  DirectoryStorage,
+  EncryptedStorage,
+  generateEncryptionKey,
   // Errors
   SchemaICUError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
-  APIError
+  APIError,
+  NetworkError,
+  TimeoutError,
+  SignatureError,
+  EncryptionError,
+  IntegrityError,
+  AbortError
 };
 
 // Default export
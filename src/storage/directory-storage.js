@@ -0,0 +1,95 @@
+/**
+ * Directory Storage - One directory per session
+ *
+ * Layout:
+ *   <dir>/<session>/<key>.json
+ *   <dir>/<session>/.lock       (held while a write is in progress)
+ *
+ * Files are replaced atomically (temp file + rename).
+ *
+ * Keeps each owner's records apart, which suits per-tenant volumes and
+ * makes it easy to archive or delete a whole session.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { listKeys, fileSize } = require('./json-file-storage');
+const { writeFileAtomic, acquireLock } = require('./file-lock');
+
+class DirectoryStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dir - Root directory (default: './memory')
+   * @param {Object} options.lockOptions - Cross-process lock `{ timeout, stale, retryDelay }` (ms)
+   */
+  constructor(options = {}) {
+    const { dir = './memory', lockOptions = {} } = options;
+    this.dir = dir;
+    this.lockOptions = lockOptions;
+  }
+
+  async init(session) {
+    await fs.mkdir(this.sessionDir(session), { recursive: true });
+  }
+
+  /**
+   * Get the directory for a session
+   * @param {string} session - Session name
+   * @returns {string} Directory path
+   */
+  sessionDir(session) {
+    return path.join(this.dir, session);
+  }
+
+  pathFor(session, key) {
+    return path.join(this.sessionDir(session), `${key}.json`);
+  }
+
+  async read(session, key) {
+    try {
+      const data = await fs.readFile(this.pathFor(session, key), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(session, key, data) {
+    await fs.mkdir(this.sessionDir(session), { recursive: true });
+    await writeFileAtomic(this.pathFor(session, key), JSON.stringify(data, null, 2));
+  }
+
+  async replace(session, key, data) {
+    await this.write(session, key, data);
+  }
+
+  async remove(session, key) {
+    try {
+      await fs.unlink(this.pathFor(session, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(session) {
+    return listKeys(this.sessionDir(session), '', '.json');
+  }
+
+  async size(session, key) {
+    return fileSize(this.pathFor(session, key));
+  }
+
+  async lock(session) {
+    await fs.mkdir(this.sessionDir(session), { recursive: true });
+    return acquireLock(path.join(this.sessionDir(session), '.lock'), this.lockOptions);
+  }
+}
+
+module.exports = { DirectoryStorage };
@@ -0,0 +1,234 @@
+/**
+ * Encrypted Storage - AES-256-GCM encryption around another adapter
+ *
+ * Record layout handed to the wrapped adapter:
+ *   {
+ *     encryption: { alg: 'aes-256-gcm', keyId },
+ *     interactions: [{ hash, seq, ...envelope }],  // one envelope per entry
+ *     summaries:    [{ hash, seq, ...envelope }],
+ *     meta: envelope                               // everything else (totalCount, chainHead, ...)
+ *   }
+ *
+ * Entries are sealed one by one, keeping their hash in the clear, so the
+ * JSONL adapter still appends only new entries. Each envelope is bound to
+ * its session, record and entry hash, so ciphertexts cannot be swapped.
+ *
+ * Keys come from `key` (Buffer, hex or base64) or a `keyProvider(keyId)`
+ * callback; `keyProvider(null)` must return the current key. Older keys stay
+ * usable for reading through `previousKeys` or the provider, and
+ * `rotateKey()` switches the key used for new writes.
+ *
+ * Plaintext records are rejected, so a record swapped for an unencrypted
+ * one is not trusted silently. `allowPlaintext` reads them as-is while
+ * migrating existing storage; they are encrypted on their next write.
+ */
+
+const {
+  ENCRYPTION_ALGORITHM,
+  normalizeKey,
+  keyFingerprint,
+  encryptJSON,
+  decryptJSON
+} = require('../crypto/encryption');
+const { EncryptionError } = require('../utils/errors');
+
+const COLLECTIONS = ['interactions', 'summaries'];
+
+class EncryptedStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {Object} options.storage - Adapter holding the encrypted records
+   * @param {Buffer|string} options.key - Current key (32 bytes)
+   * @param {string} options.keyId - ID stored with records (default: key fingerprint)
+   * @param {Array} options.previousKeys - Older keys for reading: key or `{ key, keyId }`
+   * @param {Function} options.keyProvider - `async (keyId) => key | { key, keyId }`; keyId null = current
+   * @param {boolean} options.allowPlaintext - Read unencrypted records as-is, for migration (default: false)
+   */
+  constructor(options = {}) {
+    const { storage, key = null, keyId = null, previousKeys = [], keyProvider = null, allowPlaintext = false } = options;
+
+    if (!storage) {
+      throw new Error('EncryptedStorage requires a storage adapter to wrap');
+    }
+    if (!key && !keyProvider) {
+      throw new EncryptionError('Memory encryption requires a key or keyProvider', 'key-required');
+    }
+
+    this.storage = storage;
+    this.keyProvider = keyProvider;
+    this.allowPlaintext = allowPlaintext;
+    this.keys = new Map(); // keyId -> Buffer
+    this.currentKeyId = null;
+
+    for (const previous of previousKeys) {
+      this._addKey(previous);
+    }
+    if (key) {
+      this.currentKeyId = this._addKey({ key, keyId });
+    }
+  }
+
+  async init(session) {
+    if (typeof this.storage.init === 'function') {
+      await this.storage.init(session);
+    }
+  }
+
+  async read(session, key) {
+    const record = await this.storage.read(session, key);
+    if (!record) {
+      return null;
+    }
+    if (!isEncryptedRecord(record)) {
+      if (this.allowPlaintext) {
+        return record;
+      }
+      throw new EncryptionError(
+        `Memory record ${session}/${key} is not encrypted; pass allowPlaintext: true to migrate plaintext records`,
+        'plaintext'
+      );
+    }
+
+    const data = await this._open(record.meta, `${session}/${key}`);
+    for (const collection of COLLECTIONS) {
+      data[collection] = [];
+      for (const sealed of record[collection] || []) {
+        data[collection].push(await this._open(sealed, `${session}/${key}/${sealed.hash}`));
+      }
+    }
+    return data;
+  }
+
+  async write(session, key, data) {
+    await this.storage.write(session, key, await this._seal(session, key, data));
+  }
+
+  async replace(session, key, data) {
+    const record = await this._seal(session, key, data);
+    if (typeof this.storage.replace === 'function') {
+      await this.storage.replace(session, key, record);
+    } else {
+      await this.storage.write(session, key, record);
+    }
+  }
+
+  /**
+   * Encrypt a record with the current key
+   */
+  async _seal(session, key, data) {
+    const { key: secret, keyId } = await this._currentKey();
+    const record = {
+      encryption: { alg: ENCRYPTION_ALGORITHM, keyId },
+      meta: null
+    };
+
+    const meta = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (!COLLECTIONS.includes(field)) {
+        meta[field] = value;
+      }
+    }
+    record.meta = encryptJSON(meta, secret, keyId, `${session}/${key}`);
+
+    for (const collection of COLLECTIONS) {
+      record[collection] = (data[collection] || []).map(entry => ({
+        hash: entry.hash,
+        seq: entry.seq,
+        ...encryptJSON(entry, secret, keyId, `${session}/${key}/${entry.hash}`)
+      }));
+    }
+    return record;
+  }
+
+  async remove(session, key) {
+    return this.storage.remove(session, key);
+  }
+
+  async list(session) {
+    return this.storage.list(session);
+  }
+
+  async size(session, key) {
+    return typeof this.storage.size === 'function' ? this.storage.size(session, key) : null;
+  }
+
+  async lock(session) {
+    return typeof this.storage.lock === 'function' ? this.storage.lock(session) : async () => {};
+  }
+
+  /**
+   * Switch the key used for new writes; the previous key stays available for reading
+   * @param {Buffer|string} key - New key
+   * @param {Object} options - `{ keyId }` (default: key fingerprint)
+   * @returns {string} New key ID
+   */
+  rotateKey(key, options = {}) {
+    this.currentKeyId = this._addKey({ key, keyId: options.keyId || null });
+    return this.currentKeyId;
+  }
+
+  /**
+   * Register a key and return its ID
+   */
+  _addKey(entry) {
+    const { key, keyId = null } = Buffer.isBuffer(entry) || typeof entry === 'string' ? { key: entry } : entry;
+    const secret = normalizeKey(key);
+    const id = keyId || keyFingerprint(secret);
+    this.keys.set(id, secret);
+    return id;
+  }
+
+  /**
+   * Key used for new writes
+   * @returns {Promise<Object>} `{ key, keyId }`
+   */
+  async _currentKey() {
+    if (this.currentKeyId) {
+      return { key: this.keys.get(this.currentKeyId), keyId: this.currentKeyId };
+    }
+
+    const provided = await this.keyProvider(null);
+    if (!provided) {
+      throw new EncryptionError('keyProvider returned no current key', 'key-required');
+    }
+    const keyId = this._addKey(provided.key ? provided : { key: provided });
+    return { key: this.keys.get(keyId), keyId };
+  }
+
+  /**
+   * Decrypt one envelope with the key it names
+   */
+  async _open(envelope, aad) {
+    if (!envelope) {
+      throw new EncryptionError(`Encrypted memory record ${aad} is incomplete`, 'decrypt-failed');
+    }
+
+    let secret = this.keys.get(envelope.keyId);
+    if (!secret && this.keyProvider) {
+      const provided = await this.keyProvider(envelope.keyId);
+      if (provided) {
+        secret = normalizeKey(provided.key || provided);
+        this.keys.set(envelope.keyId, secret);
+      }
+    }
+    if (!secret) {
+      throw new EncryptionError(
+        `Memory record ${aad} is encrypted with key "${envelope.keyId}", which is not configured`,
+        'key-unavailable'
+      );
+    }
+
+    return decryptJSON(envelope, secret, aad);
+  }
+}
+
+/**
+ * Check whether a stored record was written by EncryptedStorage
+ * @param {Object} record - Stored record
+ * @returns {boolean} True if encrypted
+ */
+function isEncryptedRecord(record) {
+  return !!record && !!record.encryption && record.encryption.alg === ENCRYPTION_ALGORITHM;
+}
+
+module.exports = { EncryptedStorage, isEncryptedRecord };
@@ -0,0 +1,139 @@
+/**
+ * File Safety Helpers for File-Based Storage Adapters
+ *
+ * - writeFileAtomic: write to a temp file in the same directory, fsync, then
+ *   rename over the target, so readers see the old or the new document, never
+ *   a partial one
+ * - acquireLock: advisory cross-process lock using an exclusively created
+ *   lock file. Locks left behind by a dead process (same host) or older than
+ *   `stale` are broken. Only processes that use these adapters honour it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LOCK_OPTIONS = {
+  timeout: 30000, // Give up waiting after this long
+  stale: 120000, // Break locks older than this (covers a holder that hung)
+  retryDelay: 25 // Base delay between attempts (jittered)
+};
+
+/**
+ * Write a file atomically
+ * @param {string} filePath - Target file
+ * @param {string} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Acquire an advisory lock
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - `{ timeout, stale, retryDelay }` in milliseconds
+ * @returns {Promise<Function>} `release()` - removes the lock if it is still ours
+ */
+async function acquireLock(lockPath, options = {}) {
+  const { timeout, stale, retryDelay } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const token = crypto.randomBytes(8).toString('hex');
+  const started = Date.now();
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, token, acquiredAt: new Date().toISOString() }), { flag: 'wx' });
+      return async () => {
+        const holder = await readLock(lockPath);
+        if (holder && holder.token === token) {
+          await fs.unlink(lockPath).catch(() => {});
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await isStale(lockPath, stale)) {
+      // Move the stale lock aside first so two waiters cannot both delete a fresh one
+      const aside = `${lockPath}.${token}.stale`;
+      try {
+        await fs.rename(lockPath, aside);
+        await fs.unlink(aside);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      continue;
+    }
+
+    if (Date.now() - started >= timeout) {
+      const error = new Error(`Timed out after ${timeout}ms waiting for lock ${lockPath}`);
+      error.code = 'ELOCKED';
+      throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryDelay + Math.random() * retryDelay));
+  }
+}
+
+/**
+ * Read a lock file's contents
+ * @returns {Promise<Object|null>} `{ pid, token, acquiredAt }`, or null if missing or partially written
+ */
+async function readLock(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A lock is stale if its holder process is gone or it is older than `stale`
+ */
+async function isStale(lockPath, stale) {
+  let stats;
+  try {
+    stats = await fs.stat(lockPath);
+  } catch (error) {
+    return false; // Released meanwhile - just retry
+  }
+  if (Date.now() - stats.mtimeMs > stale) {
+    return true;
+  }
+
+  const holder = await readLock(lockPath);
+  if (!holder || !holder.pid || holder.pid === process.pid) {
+    return false;
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCK_OPTIONS,
+  writeFileAtomic,
+  acquireLock
+};
@@ -0,0 +1,77 @@
+/**
+ * Storage Adapters for MemoryManager
+ *
+ * An adapter persists memory records, addressed by a session name (the
+ * MemoryManager ownerName) and a record key (the day, 'YYYY-MM-DD'):
+ *
+ *   {
+ *     init(session)?               => Promise<void>          // optional setup (mkdir, connect)
+ *     read(session, key)           => Promise<Object|null>   // null when the record does not exist
+ *     write(session, key, data)    => Promise<void>
+ *     replace(session, key, data)? => Promise<void>          // optional: rewrite in full, atomically
+ *     remove(session, key)         => Promise<boolean>
+ *     list(session)                => Promise<Array<string>> // record keys, sorted
+ *     lock(session)?               => Promise<release()>     // optional cross-process write lock
+ *     size(session, key)?          => Promise<number>        // optional bytes a record occupies
+ *   }
+ *
+ * `data` is a plain JSON object ({ interactions, summaries, totalCount, ... }).
+ * Adapters whose write() keeps earlier content (append-only logs) should
+ * implement replace(); without it, write() is used to rewrite a record.
+ * Any object with this shape can be passed as `storage`, e.g. a Redis or
+ * Postgres adapter. EncryptedStorage wraps any adapter to encrypt records at rest.
+ */
+
+const { InMemoryStorage } = require('./memory-storage');
+const { JsonFileStorage } = require('./json-file-storage');
+const { JsonlStorage } = require('./jsonl-storage');
+const { DirectoryStorage } = require('./directory-storage');
+const { EncryptedStorage, isEncryptedRecord } = require('./encrypted-storage');
+
+const STORAGE_TYPES = {
+  memory: InMemoryStorage,
+  file: JsonFileStorage,
+  jsonl: JsonlStorage,
+  directory: DirectoryStorage
+};
+
+/**
+ * Check that an object implements the storage adapter interface
+ * @param {*} storage - Candidate adapter
+ * @returns {boolean} True if usable
+ */
+function isStorageAdapter(storage) {
+  return !!storage && ['read', 'write', 'remove', 'list'].every(method => typeof storage[method] === 'function');
+}
+
+/**
+ * Create a storage adapter
+ * @param {Object|string} storage - Adapter instance, or 'memory', 'file', 'jsonl', 'directory'
+ * @param {Object} options - Options for built-in adapters (e.g. `{ dir }`)
+ * @returns {Object} Storage adapter
+ */
+function createStorage(storage, options = {}) {
+  if (typeof storage === 'string') {
+    const Storage = STORAGE_TYPES[storage];
+    if (!Storage) {
+      throw new Error(`Unknown storage type "${storage}". Use: ${Object.keys(STORAGE_TYPES).join(', ')}`);
+    }
+    return new Storage(options);
+  }
+
+  if (!isStorageAdapter(storage)) {
+    throw new Error('Storage adapter must implement read(), write(), remove() and list()');
+  }
+  return storage;
+}
+
+module.exports = {
+  InMemoryStorage,
+  JsonFileStorage,
+  JsonlStorage,
+  DirectoryStorage,
+  EncryptedStorage,
+  createStorage,
+  isStorageAdapter,
+  isEncryptedRecord
+};
@@ -0,0 +1,132 @@
+/**
+ * JSON File Storage - One JSON document per record
+ *
+ * Layout (the original MemoryManager layout):
+ *   <dir>/<session>-memory-<key>.json
+ *   <dir>/<session>.lock                  (held while a write is in progress)
+ *
+ * Files are replaced atomically (temp file + rename).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, acquireLock } = require('./file-lock');
+
+class JsonFileStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dir - Directory holding memory files (default: './memory')
+   * @param {Object} options.lockOptions - Cross-process lock `{ timeout, stale, retryDelay }` (ms)
+   */
+  constructor(options = {}) {
+    const { dir = './memory', lockOptions = {} } = options;
+    this.dir = dir;
+    this.lockOptions = lockOptions;
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a record
+   * @param {string} session - Session name (MemoryManager ownerName)
+   * @param {string} key - Record key
+   * @returns {string} File path
+   */
+  pathFor(session, key) {
+    return path.join(this.dir, `${session}-memory-${key}.json`);
+  }
+
+  async read(session, key) {
+    try {
+      const data = await fs.readFile(this.pathFor(session, key), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(session, key, data) {
+    await writeFileAtomic(this.pathFor(session, key), JSON.stringify(data, null, 2));
+  }
+
+  async replace(session, key, data) {
+    await this.write(session, key, data);
+  }
+
+  async remove(session, key) {
+    try {
+      await fs.unlink(this.pathFor(session, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(session) {
+    return listKeys(this.dir, `${session}-memory-`, '.json');
+  }
+
+  async size(session, key) {
+    return fileSize(this.pathFor(session, key));
+  }
+
+  /**
+   * Take the session's cross-process write lock
+   * @param {string} session - Session name
+   * @returns {Promise<Function>} release()
+   */
+  async lock(session) {
+    await fs.mkdir(this.dir, { recursive: true });
+    return acquireLock(path.join(this.dir, `${session}.lock`), this.lockOptions);
+  }
+}
+
+/**
+ * List record keys in a directory by file name prefix and extension
+ * @param {string} dir - Directory
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - File extension
+ * @returns {Promise<Array<string>>} Sorted keys
+ */
+async function listKeys(dir, prefix, extension) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return files
+    .filter(file => file.startsWith(prefix) && file.endsWith(extension))
+    .map(file => file.slice(prefix.length, file.length - extension.length))
+    .sort();
+}
+
+/**
+ * Get a file's size in bytes
+ * @param {string} filePath - File path
+ * @returns {Promise<number>} Size, or 0 if the file does not exist
+ */
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+module.exports = { JsonFileStorage, listKeys, fileSize };
@@ -0,0 +1,184 @@
+/**
+ * JSONL Storage - Append-only log per record
+ *
+ * Layout:
+ *   <dir>/<session>-memory-<key>.jsonl
+ *
+ * Each write appends one line instead of rewriting the file:
+ *   { ts, put: [new entries], order: { interactions: [hashes], summaries: [hashes] }, meta: {...} }
+ *
+ * Entries are immutable and identified by their hash, so each line only
+ * carries entries not written before. Reading replays the log; a torn last
+ * line (e.g. after a crash) is skipped and the previous state is used.
+ * replace() compacts the log into a single line (temp file + rename), which
+ * drops entries no longer referenced. Writers sharing a session serialize
+ * through `<dir>/<session>.lock`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { canonicalHash } = require('../crypto/canonical');
+const { listKeys, fileSize } = require('./json-file-storage');
+const { writeFileAtomic, acquireLock } = require('./file-lock');
+
+const COLLECTIONS = ['interactions', 'summaries'];
+
+class JsonlStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dir - Directory holding log files (default: './memory')
+   * @param {Object} options.lockOptions - Cross-process lock `{ timeout, stale, retryDelay }` (ms)
+   */
+  constructor(options = {}) {
+    const { dir = './memory', lockOptions = {} } = options;
+    this.dir = dir;
+    this.lockOptions = lockOptions;
+    this._written = new Map(); // file path -> Set of entry ids already in the log
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  pathFor(session, key) {
+    return path.join(this.dir, `${session}-memory-${key}.jsonl`);
+  }
+
+  async read(session, key) {
+    const replayed = await this._replay(this.pathFor(session, key));
+    return replayed ? replayed.data : null;
+  }
+
+  async write(session, key, data) {
+    const filePath = this.pathFor(session, key);
+
+    if (!this._written.has(filePath)) {
+      const replayed = await this._replay(filePath);
+      this._written.set(filePath, replayed ? replayed.ids : new Set());
+    }
+    const written = this._written.get(filePath);
+
+    const line = toLine(data, written);
+    await fs.appendFile(filePath, JSON.stringify(line) + '\n', 'utf8');
+    for (const entry of line.put) {
+      written.add(entryId(entry));
+    }
+  }
+
+  /**
+   * Replace the whole log with one line holding `data`
+   * Readers see the old log or the new one, never neither.
+   */
+  async replace(session, key, data) {
+    const filePath = this.pathFor(session, key);
+    const line = toLine(data, new Set());
+    await writeFileAtomic(filePath, JSON.stringify(line) + '\n');
+    this._written.set(filePath, new Set(line.put.map(entryId)));
+  }
+
+  async remove(session, key) {
+    const filePath = this.pathFor(session, key);
+    this._written.delete(filePath);
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(session) {
+    return listKeys(this.dir, `${session}-memory-`, '.jsonl');
+  }
+
+  async size(session, key) {
+    return fileSize(this.pathFor(session, key));
+  }
+
+  async lock(session) {
+    await fs.mkdir(this.dir, { recursive: true });
+    return acquireLock(path.join(this.dir, `${session}.lock`), this.lockOptions);
+  }
+
+  /**
+   * Rebuild the latest state from a log file
+   * @param {string} filePath - Log file
+   * @returns {Promise<Object|null>} `{ data, ids }` or null if the file does not exist
+   */
+  async _replay(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const pool = new Map();
+    let latest = null;
+
+    for (const raw of content.split('\n')) {
+      if (!raw.trim()) continue;
+
+      let line;
+      try {
+        line = JSON.parse(raw);
+      } catch (error) {
+        continue; // Torn write - keep the last complete state
+      }
+
+      for (const entry of line.put || []) {
+        pool.set(entryId(entry), entry);
+      }
+      latest = line;
+    }
+
+    if (!latest) {
+      return { data: null, ids: new Set(pool.keys()) };
+    }
+
+    const data = { ...latest.meta };
+    for (const collection of COLLECTIONS) {
+      data[collection] = (latest.order[collection] || [])
+        .map(id => pool.get(id))
+        .filter(Boolean);
+    }
+
+    return { data, ids: new Set(pool.keys()) };
+  }
+}
+
+/**
+ * Build a log line for `data`, carrying only entries not in `written`
+ */
+function toLine(data, written) {
+  const line = { ts: new Date().toISOString(), put: [], order: {}, meta: {} };
+  for (const [field, value] of Object.entries(data)) {
+    if (!COLLECTIONS.includes(field)) {
+      line.meta[field] = value;
+    }
+  }
+
+  for (const collection of COLLECTIONS) {
+    line.order[collection] = [];
+    for (const entry of data[collection] || []) {
+      const id = entryId(entry);
+      line.order[collection].push(id);
+      if (!written.has(id)) {
+        line.put.push(entry);
+      }
+    }
+  }
+  return line;
+}
+
+function entryId(entry) {
+  return entry.hash || canonicalHash(entry);
+}
+
+module.exports = { JsonlStorage };
@@ -0,0 +1,48 @@
+/**
+ * In-Memory Storage - Keeps memory records in a Map
+ *
+ * Useful for tests, short-lived workers, or as a base for custom adapters.
+ * Records are deep-copied on read and write so callers cannot mutate stored state.
+ */
+
+class InMemoryStorage {
+  constructor() {
+    this.records = new Map(); // session -> Map(key -> data)
+  }
+
+  async read(session, key) {
+    const records = this.records.get(session);
+    if (!records || !records.has(key)) {
+      return null;
+    }
+    return JSON.parse(records.get(key));
+  }
+
+  async write(session, key, data) {
+    if (!this.records.has(session)) {
+      this.records.set(session, new Map());
+    }
+    this.records.get(session).set(key, JSON.stringify(data));
+  }
+
+  async replace(session, key, data) {
+    await this.write(session, key, data);
+  }
+
+  async remove(session, key) {
+    const records = this.records.get(session);
+    return records ? records.delete(key) : false;
+  }
+
+  async list(session) {
+    const records = this.records.get(session);
+    return records ? [...records.keys()].sort() : [];
+  }
+
+  async size(session, key) {
+    const records = this.records.get(session);
+    return records && records.has(key) ? Buffer.byteLength(records.get(key)) : 0;
+  }
+}
+
+module.exports = { InMemoryStorage };
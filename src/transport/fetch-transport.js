@@ -0,0 +1,137 @@
+/**
+ * Fetch Transport - Sends requests with the WHATWG `fetch` API
+ *
+ * For runtimes without Node's `https` module: browsers and extensions,
+ * Deno, Bun, Cloudflare Workers and other edge runtimes. `timeout` works
+ * as on the Node transport: it limits each wait (the response headers and
+ * every chunk after them), not the whole exchange.
+ */
+
+const { NetworkError, TimeoutError, AbortError } = require('../utils/errors');
+
+// Set by fetch itself; browsers refuse them as request headers
+const FORBIDDEN_HEADERS = ['content-length', 'host', 'connection'];
+
+class FetchTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Function} options.fetch - fetch implementation (default: globalThis.fetch)
+   */
+  constructor(options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('FetchTransport requires a fetch implementation (none found on globalThis)');
+    }
+
+    this.name = 'fetch';
+    this.fetch = fetchImpl;
+  }
+
+  async send(request) {
+    const { method, headers = {}, body = null, timeout, signal = null } = request;
+    AbortError.throwIfAborted(signal);
+
+    const controller = new AbortController();
+    let response = null;
+    let failure = null;
+    let timer = null;
+
+    const stop = (error) => {
+      failure = failure || error;
+      controller.abort();
+    };
+    const arm = () => {
+      clearTimeout(timer);
+      if (timeout) {
+        timer = setTimeout(() => stop(new TimeoutError(response ? 'Timed out waiting for response data' : 'Request timeout')), timeout);
+      }
+    };
+    const onAbort = () => stop(AbortError.fromSignal(signal));
+    const release = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    arm();
+    try {
+      response = await this.fetch(requestUrl(request), {
+        method,
+        headers: Object.fromEntries(
+          Object.entries(headers).filter(([name]) => !FORBIDDEN_HEADERS.includes(name.toLowerCase()))
+        ),
+        body: body === null ? undefined : body,
+        signal: controller.signal
+      });
+    } catch (error) {
+      release();
+      throw failure || new NetworkError(`Request failed: ${error.message}`, error.code || (error.cause && error.cause.code));
+    }
+    arm();
+
+    const responseHeaders = {};
+    response.headers.forEach((value, name) => {
+      responseHeaders[name.toLowerCase()] = value;
+    });
+
+    return {
+      statusCode: response.status,
+      headers: responseHeaders,
+      body: readBody(response, arm, () => failure, release),
+      close: () => {
+        release();
+        controller.abort();
+      }
+    };
+  }
+}
+
+/**
+ * Iterate response chunks as text, re-arming the timeout for each one
+ */
+async function* readBody(response, arm, failure, release) {
+  try {
+    if (!response.body) {
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        arm();
+        const text = decoder.decode(value, { stream: true });
+        if (text) yield text;
+      }
+      const rest = decoder.decode();
+      if (rest) yield rest;
+    } finally {
+      reader.releaseLock();
+    }
+  } catch (error) {
+    throw failure() || new NetworkError(`Response failed: ${error.message}`, error.code);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Build the URL for a transport request
+ * @param {Object} request - `{ protocol, hostname, port, path }`
+ * @returns {string} Absolute URL
+ */
+function requestUrl({ protocol = 'https:', hostname, port, path }) {
+  const defaultPort = protocol === 'http:' ? 80 : 443;
+  const host = String(hostname).includes(':') ? `[${hostname}]` : hostname;
+  const portPart = port && Number(port) !== defaultPort ? `:${port}` : '';
+  return `${protocol}//${host}${portPart}${path}`;
+}
+
+module.exports = { FetchTransport, requestUrl };
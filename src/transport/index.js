@@ -0,0 +1,80 @@
+/**
+ * Transports for HTTPClient
+ *
+ * A transport performs one HTTP exchange and knows nothing about retries,
+ * auth or the API's error bodies - HTTPClient handles those the same way
+ * on every transport:
+ *
+ *   {
+ *     send(request) => Promise<response>
+ *   }
+ *
+ *   request:  { protocol, hostname, port, path, method, headers, body, timeout, signal }
+ *             body is a string or null; timeout limits each wait for data
+ *   response: { statusCode, headers, body, close() }
+ *             headers use lowercase names; body is an async iterable of text chunks;
+ *             close() releases the connection when the body is not read to the end
+ *
+ * send() resolves once the status and headers arrive, whatever the status.
+ * Failures are SDK errors: NetworkError, TimeoutError or AbortError, thrown
+ * by send() or, once the response has started, by the body iterator.
+ */
+
+const { FetchTransport } = require('./fetch-transport');
+
+// The Node transport is loaded on demand so bundles for other runtimes never pull in `https`
+const TRANSPORT_TYPES = {
+  node: () => new (require('./node-transport').NodeTransport)(),
+  fetch: () => new FetchTransport()
+};
+
+/**
+ * Check that an object implements the transport interface
+ * @param {*} transport - Candidate transport
+ * @returns {boolean} True if usable
+ */
+function isTransport(transport) {
+  return !!transport && typeof transport.send === 'function';
+}
+
+/**
+ * Pick the transport for the current runtime: Node's https on Node.js, fetch elsewhere
+ * @returns {string} 'node' or 'fetch'
+ */
+function detectTransport() {
+  // Deno exposes process.versions.node for npm compatibility but is better served by fetch
+  const isNode = typeof process !== 'undefined' && !!(process.versions && process.versions.node) &&
+    typeof globalThis.Deno === 'undefined';
+  return isNode ? 'node' : 'fetch';
+}
+
+/**
+ * Create a transport
+ * @param {Object|string} transport - Transport instance, 'node', 'fetch' or 'auto' (default)
+ * @returns {Object} Transport
+ */
+function createTransport(transport = 'auto') {
+  if (!transport || transport === 'auto') {
+    return TRANSPORT_TYPES[detectTransport()]();
+  }
+
+  if (typeof transport === 'string') {
+    const create = TRANSPORT_TYPES[transport];
+    if (!create) {
+      throw new Error(`Unknown transport "${transport}". Use: auto, ${Object.keys(TRANSPORT_TYPES).join(', ')}`);
+    }
+    return create();
+  }
+
+  if (!isTransport(transport)) {
+    throw new Error('Transport must implement send(request)');
+  }
+  return transport;
+}
+
+module.exports = {
+  FetchTransport,
+  createTransport,
+  detectTransport,
+  isTransport
+};
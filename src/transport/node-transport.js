@@ -0,0 +1,101 @@
+/**
+ * Node Transport - Sends requests with Node's `https` (or `http`) module
+ *
+ * The default on Node.js; `http` is used for `http://` base URLs. `timeout`
+ * is the socket idle timeout, so it applies to every wait: connecting, the
+ * response headers and each chunk.
+ */
+
+const http = require('http');
+const https = require('https');
+const { NetworkError, TimeoutError, AbortError } = require('../utils/errors');
+
+class NodeTransport {
+  constructor() {
+    this.name = 'node';
+  }
+
+  send(request) {
+    const { protocol = 'https:', hostname, port, path, method, headers, body = null, timeout, signal = null } = request;
+    const client = protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      let responded = false;
+      let failure = null; // Error raised after the response started; surfaced by the body iterator
+
+      const fail = (error) => {
+        if (responded) {
+          failure = failure || error;
+        } else {
+          reject(error);
+        }
+        req.destroy();
+      };
+      const onAbort = () => fail(AbortError.fromSignal(signal));
+      const release = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const req = client.request({ hostname, port, path, method, headers, timeout }, (res) => {
+        responded = true;
+        res.setEncoding('utf8');
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: readBody(res, () => failure, release),
+          close: () => {
+            release();
+            req.destroy();
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        fail(new NetworkError(`Request failed: ${error.message}`, error.code));
+      });
+
+      req.on('timeout', () => {
+        fail(new TimeoutError(responded ? 'Timed out waiting for response data' : 'Request timeout'));
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        req.on('close', () => {
+          if (!responded) release();
+        });
+      }
+
+      if (body) {
+        req.write(body);
+      }
+
+      req.end();
+    });
+  }
+}
+
+/**
+ * Iterate response chunks, reporting aborts, timeouts and socket errors as SDK errors
+ */
+async function* readBody(res, failure, release) {
+  try {
+    for await (const chunk of res) {
+      yield chunk;
+    }
+  } catch (error) {
+    throw failure() || new NetworkError(`Response failed: ${error.message}`, error.code);
+  } finally {
+    release();
+  }
+  if (failure()) {
+    throw failure();
+  }
+}
+
+module.exports = { NodeTransport };
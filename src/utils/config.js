@@ -4,6 +4,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const { KeyRegistry } = require('../crypto/key-registry');
+const { Redactor } = require('./redactor');
+const { Logger } = require('./logger');
+const { createTransport } = require('../transport');
+const { parseBaseUrl } = require('./url');
+const { RateLimiter } = require('./rate-limit');
 require('dotenv').config();
 
 const DEFAULT_CONFIG = {
@@ -11,7 +17,8 @@ const DEFAULT_CONFIG = {
   API_PORT: 443,
   TIMEOUT: 60000,
   RETRY_ATTEMPTS: 3,
-  RETRY_DELAY: 1000
+  RETRY_DELAY: 1000,
+  MAX_RETRY_DELAY: 30000
 };
 
 class Config {
@@ -19,11 +26,64 @@ class Config {
     this.apiKey = options.apiKey || process.env.SCHEMA_ICU_API_KEY || null;
     this.jwtToken = options.jwtToken || process.env.SCHEMA_ICU_JWT_TOKEN || null;
     this.email = options.email || process.env.SCHEMA_ICU_EMAIL || null;
+    // A bare host ('schema.icu') or a full URL ('http://localhost:8080/v1'); see src/utils/url.js
     this.baseUrl = options.baseUrl || process.env.SCHEMA_ICU_BASE_URL || DEFAULT_CONFIG.API_BASE_URL;
-    this.port = options.port || process.env.SCHEMA_ICU_PORT || DEFAULT_CONFIG.API_PORT;
+    // Only used when baseUrl names no port (null = the scheme's default)
+    this.port = options.port || process.env.SCHEMA_ICU_PORT || null;
     this.timeout = options.timeout || DEFAULT_CONFIG.TIMEOUT;
-    this.retryAttempts = options.retryAttempts || DEFAULT_CONFIG.RETRY_ATTEMPTS;
-    this.retryDelay = options.retryDelay || DEFAULT_CONFIG.RETRY_DELAY;
+    this.retryAttempts = options.retryAttempts ?? DEFAULT_CONFIG.RETRY_ATTEMPTS;
+    this.retryDelay = options.retryDelay ?? DEFAULT_CONFIG.RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay ?? DEFAULT_CONFIG.MAX_RETRY_DELAY;
+    this.onRetry = options.onRetry || null;
+    // Rate-limit headers are always tracked; options.rateLimit also holds back calls known to be rejected
+    this.rateLimiter = options.rateLimiter instanceof RateLimiter ? options.rateLimiter : new RateLimiter(options.rateLimit);
+    // Envelope of the most recent call by any agent, AuthManager or the bridge (see client.lastResponse)
+    this.lastResponse = null;
+    // Request/response middleware shared by every agent, AuthManager and the bridge (see client.use())
+    this.middleware = normalizeMiddleware(options.middleware);
+    // 'auto' picks Node's https on Node.js and fetch elsewhere; 'node', 'fetch' or a transport object force one
+    this.transport = createTransport(options.transport || process.env.SCHEMA_ICU_TRANSPORT || 'auto');
+    this.keyRegistry = KeyRegistry.from(options.keyRegistry || options.trustedKeys);
+    this.signaturePolicy = options.signaturePolicy || process.env.SCHEMA_ICU_SIGNATURE_POLICY || 'off';
+    this.memoryEncryptionKey = options.memoryEncryptionKey || process.env.SCHEMA_ICU_MEMORY_KEY || null;
+    this.redactor = Redactor.from(options.redaction);
+    // Silent unless a logger (Logger, sink, pino/winston-style logger) or a level is given
+    this.logger = Logger.from(
+      options.logger || options.logLevel || process.env.SCHEMA_ICU_LOG_LEVEL,
+      { level: options.logger ? options.logLevel : undefined }
+    );
+  }
+
+  /**
+   * Change settings after construction, resolving them as the constructor does
+   * `transport`, `redaction`, `logger`/`logLevel`, `rateLimit`/`rateLimiter`, `middleware`
+   * and `trustedKeys`/`keyRegistry` become the objects the SDK uses; other options are copied as-is.
+   * @param {Object} options - Constructor options to change
+   * @returns {Config} This config
+   */
+  update(options = {}) {
+    const { transport, redaction, logger, logLevel, rateLimit, rateLimiter, middleware, keyRegistry, trustedKeys, ...rest } = options;
+    Object.assign(this, rest);
+
+    if ('transport' in options) {
+      this.transport = createTransport(transport || 'auto');
+    }
+    if ('redaction' in options) {
+      this.redactor = Redactor.from(redaction);
+    }
+    if ('logger' in options || 'logLevel' in options) {
+      this.logger = Logger.from(logger || logLevel, { level: logger ? logLevel : undefined });
+    }
+    if ('rateLimit' in options || 'rateLimiter' in options) {
+      this.rateLimiter = rateLimiter instanceof RateLimiter ? rateLimiter : new RateLimiter(rateLimit);
+    }
+    if ('middleware' in options) {
+      this.middleware = normalizeMiddleware(middleware);
+    }
+    if ('keyRegistry' in options || 'trustedKeys' in options) {
+      this.keyRegistry = KeyRegistry.from(keyRegistry || trustedKeys);
+    }
+    return this;
   }
 
   /**
@@ -57,7 +117,7 @@ class Config {
       `SCHEMA_ICU_JWT_TOKEN=${this.jwtToken || ''}`,
       `SCHEMA_ICU_EMAIL=${this.email || ''}`,
       `SCHEMA_ICU_BASE_URL=${this.baseUrl}`,
-      `SCHEMA_ICU_PORT=${this.port}`,
+      `SCHEMA_ICU_PORT=${this.port || ''}`,
       ``
     ].join('\n');
 
@@ -77,6 +137,12 @@ class Config {
 
     if (!this.baseUrl) {
       errors.push('Base URL is required');
+    } else {
+      try {
+        parseBaseUrl(this.baseUrl, this.port);
+      } catch (error) {
+        errors.push(error.message);
+      }
     }
 
     return {
@@ -86,4 +152,17 @@ class Config {
   }
 }
 
+/**
+ * Copy a middleware list, checking every entry is a function
+ * @param {Array<Function>} middleware - Middleware (default: none)
+ * @returns {Array<Function>} New array
+ */
+function normalizeMiddleware(middleware = []) {
+  const list = [...(middleware || [])];
+  if (list.some(fn => typeof fn !== 'function')) {
+    throw new Error('middleware must be an array of functions: async (context, next) => response');
+  }
+  return list;
+}
+
 module.exports = { Config, DEFAULT_CONFIG };
@@ -27,9 +27,18 @@ class ValidationError extends SchemaICUError {
 }
 
 class RateLimitError extends SchemaICUError {
-  constructor(message = 'Rate limit exceeded', response = null) {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} response - Response body
+   * @param {Object} details - `{ retryAfter, limit, remaining, resetAt }` from the rate-limit headers (ms values)
+   */
+  constructor(message = 'Rate limit exceeded', response = null, details = {}) {
     super(message, 429, response);
     this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+    this.limit = details.limit ?? null;
+    this.remaining = details.remaining ?? null;
+    this.resetAt = details.resetAt ?? null;
   }
 }
 
@@ -40,10 +49,86 @@ class APIError extends SchemaICUError {
   }
 }
 
+class NetworkError extends APIError {
+  constructor(message = 'Network request failed', code = null) {
+    super(message, null, null);
+    this.name = 'NetworkError';
+    this.code = code;
+  }
+}
+
+class TimeoutError extends APIError {
+  constructor(message = 'Request timeout') {
+    super(message, null, null);
+    this.name = 'TimeoutError';
+  }
+}
+
+class SignatureError extends SchemaICUError {
+  constructor(message = 'Signature verification failed', verdict = null, response = null) {
+    super(message, null, response);
+    this.name = 'SignatureError';
+    this.verdict = verdict;
+  }
+}
+
+class EncryptionError extends SchemaICUError {
+  constructor(message = 'Memory decryption failed', code = null) {
+    super(message, null, null);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+class IntegrityError extends SchemaICUError {
+  constructor(message = 'Integrity verification failed', report = null) {
+    super(message, null, null);
+    this.name = 'IntegrityError';
+    this.report = report;
+  }
+}
+
+class AbortError extends SchemaICUError {
+  constructor(message = 'The operation was aborted', reason = undefined) {
+    super(message, null, null);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = reason;
+  }
+
+  /**
+   * Build the error for an aborted AbortSignal, keeping its reason
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {AbortError} Error
+   */
+  static fromSignal(signal) {
+    const reason = signal ? signal.reason : undefined;
+    const detail = reason instanceof Error ? reason.message : reason;
+    return new AbortError(detail && typeof detail === 'string' ? `The operation was aborted: ${detail}` : undefined, reason);
+  }
+
+  /**
+   * Throw if the signal has been aborted
+   * @param {AbortSignal} signal - Optional signal
+   * @throws {AbortError} If aborted
+   */
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw AbortError.fromSignal(signal);
+    }
+  }
+}
+
 module.exports = {
   SchemaICUError,
   AuthenticationError,
   ValidationError,
   RateLimitError,
-  APIError
+  APIError,
+  NetworkError,
+  TimeoutError,
+  SignatureError,
+  EncryptionError,
+  IntegrityError,
+  AbortError
 };
@@ -2,151 +2,643 @@
  * HTTP Request Utility for Schema.ICU SDK
  */
 
-const https = require('https');
-const { APIError, AuthenticationError, ValidationError, RateLimitError } = require('./errors');
+const { SchemaICUError, APIError, AuthenticationError, ValidationError, RateLimitError, NetworkError, TimeoutError, AbortError } = require('./errors');
+const { STREAM_ACCEPT, parseEventStream } = require('./stream');
+const { createTransport } = require('../transport');
+const { parseBaseUrl, resolveEndpoint } = require('./url');
+const { parseRateLimitHeaders, parseRetryAfter } = require('./rate-limit');
+
+// Status codes that indicate a transient server-side condition
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// Response headers that carry the server's request ID, first match wins
+const REQUEST_ID_HEADERS = ['x-request-id', 'request-id', 'x-correlation-id', 'x-amzn-requestid', 'cf-ray'];
+
+const encoder = new TextEncoder(); // Buffer is Node-only
 
 class HTTPClient {
-  constructor(config) {
+  /**
+   * @param {Config} config - SDK configuration
+   * @param {Object} options - Client options
+   * @param {boolean} options.redact - Redact request bodies with config.redactor (default: true)
+   */
+  constructor(config, options = {}) {
     this.config = config;
+    this.redact = options.redact !== false;
+    this._transport = null;
+    this._transportSource = null;
   }
 
   /**
-   * Make an HTTP request
+   * Transport from the config, resolved again when updateConfig() replaces it
+   * (plain config objects without one get the runtime default)
    */
-  request(endpoint, data = null, method = 'POST', useAuth = true) {
-    return new Promise((resolve, reject) => {
-      const payload = data ? JSON.stringify(data) : null;
+  get transport() {
+    if (!this._transport || this._transportSource !== this.config.transport) {
+      this._transportSource = this.config.transport;
+      this._transport = createTransport(this.config.transport);
+    }
+    return this._transport;
+  }
 
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+  /**
+   * Make an HTTP request, retrying transient failures with exponential backoff
+   * The call passes through `config.middleware` first; retries happen inside it.
+   * @param {string} endpoint - Request path, appended to the base URL's path prefix
+   * @param {object|null} data - JSON body
+   * @param {string} method - HTTP method
+   * @param {boolean} useAuth - Send authentication headers
+   * @param {object} options - Per-call options
+   * @param {object|false} options.retry - `false` to disable retries, or overrides
+   *   `{ attempts, delay, maxDelay, onRetry }` for the values held on Config
+   * @param {AbortSignal} options.signal - Cancels the request and any retry wait; rejects with AbortError
+   * @param {Redactor} options.redactor - Redactor to use instead of a fresh scope of config.redactor
+   *   (e.g. a memory session's, so its placeholders restore)
+   * @returns {Promise<Object>} `{ statusCode, data, headers, meta, redactor }`; `meta` is the call's envelope
+   *   (see createMeta()), also stored as `config.lastResponse` and set on SDK errors as `error.meta`;
+   *   pass `redactor` to restore()
+   */
+  async request(endpoint, data = null, method = 'POST', useAuth = true, options = {}) {
+    const { signal = null } = options;
+    const redactor = this.redactorFor(options.redactor);
+    const context = {
+      endpoint,
+      method,
+      body: this._redactBody(data, redactor),
+      headers: this._headers(useAuth),
+      stream: false,
+      signal
+    };
+    const meta = createMeta(context);
+
+    try {
+      const response = await this._runMiddleware(context, () => this._withRetry(
+        () => {
+          meta.attempts++;
+          return this._send(context.endpoint, context.body, context.method, useAuth, signal, context.headers, meta);
+        },
+        options.retry,
+        context.endpoint,
+        context.method,
+        signal
+      ));
+      if (meta.attempts === 0) {
+        // Answered by middleware without a request
+        recordExchange(meta, response.statusCode, response.headers);
+      }
+      return { ...response, meta, redactor };
+    } catch (error) {
+      if (error instanceof SchemaICUError) {
+        error.meta = meta;
+        error.requestId = meta.requestId;
+      }
+      throw error;
+    } finally {
+      finishMeta(meta);
+      this.config.lastResponse = meta;
+    }
+  }
+
+  /**
+   * Make a streaming request (server-sent events or newline-delimited JSON)
+   *
+   * Establishing the stream is retried like request(); once data flows,
+   * failures end the iteration with an error. `config.timeout` applies to
+   * each wait for data rather than to the whole stream. Leaving the loop
+   * early or aborting `options.signal` closes the connection.
+   *
+   * Middleware sees `stream: true` and gets the open response (status and
+   * headers) from next(). A middleware that answers with its own parsed
+   * response `{ statusCode, data, headers }` yields a single 'result' event
+   * (`data: null` if it has none).
+   *
+   * `config.lastResponse` is set once the stream opens; its `bytesReceived`
+   * and `latency` keep counting until the stream ends.
+   *
+   * @param {string} endpoint - Request path
+   * @param {object|null} data - JSON body
+   * @param {string} method - HTTP method
+   * @param {boolean} useAuth - Send authentication headers
+   * @param {object} options - Per-call options (`retry`, `signal` and `redactor` as for request());
+   *   pass the same `redactor` to restore() for the stream's events
+   * @returns {AsyncGenerator<Object>} Events `{ event, data, id }`
+   */
+  async *stream(endpoint, data = null, method = 'POST', useAuth = true, options = {}) {
+    const { signal = null } = options;
+    const context = {
+      endpoint,
+      method,
+      body: this._redactBody(data, this.redactorFor(options.redactor)),
+      headers: this._headers(useAuth, { Accept: STREAM_ACCEPT }),
+      stream: true,
+      signal
+    };
+    const meta = createMeta(context);
+
+    let response;
+    try {
+      response = await this._runMiddleware(context, () => this._withRetry(
+        () => {
+          meta.attempts++;
+          return this._openStream(context.endpoint, context.body, context.method, useAuth, signal, context.headers, meta);
+        },
+        options.retry,
+        context.endpoint,
+        context.method,
+        signal
+      ));
+    } catch (error) {
+      if (error instanceof SchemaICUError) {
+        error.meta = meta;
+        error.requestId = meta.requestId;
+      }
+      throw error;
+    } finally {
+      finishMeta(meta);
+      this.config.lastResponse = meta;
+    }
+
+    // Anything without a body to read was answered by middleware
+    if (!response.body) {
+      recordExchange(meta, response.statusCode, response.headers);
+      yield { event: 'result', data: response.data ?? null, id: null };
+      return;
+    }
+
+    try {
+      yield* parseEventStream({ ...response, body: countBytes(response.body, meta) });
+    } catch (error) {
+      // Transports report aborts, timeouts and socket errors as SDK errors already
+      if (error instanceof SchemaICUError) {
+        throw error;
+      }
+      throw new NetworkError(`Stream failed: ${error.message}`, error.code);
+    } finally {
+      if (typeof response.close === 'function') {
+        response.close();
+      }
+      finishMeta(meta);
+    }
+  }
+
+  /**
+   * Pass a call through `config.middleware`, in order, with `send` innermost
+   *
+   * Each middleware is `async (context, next) => response`. It may change the
+   * context (`endpoint`, `method`, `body`, `headers`) before calling next(),
+   * inspect or rewrite the response next() resolves to, catch the error it
+   * rejects with, or return a response without calling next() at all.
+   */
+  async _runMiddleware(context, send) {
+    const middleware = [...(this.config.middleware || [])];
+
+    const dispatch = async (index) => {
+      if (index === middleware.length) {
+        return send();
+      }
+
+      const response = await middleware[index](context, () => dispatch(index + 1));
+      if (response === undefined) {
+        const name = middleware[index].name || `#${index + 1}`;
+        throw new Error(`Middleware ${name} returned nothing; return the result of next() or a response`);
+      }
+      return response;
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * Redactor for one request: the caller's, or config.redactor with a vault of its own
+   * Reversible placeholders are only restored by the redactor that made them, so
+   * values never cross between requests or memory sessions.
+   * @param {Redactor|null} redactor - Caller's redactor (e.g. a memory session's)
+   * @returns {Redactor|null} Redactor, or null when this client does not redact
+   */
+  redactorFor(redactor = null) {
+    if (!this.redact) return null;
+    if (redactor) return redactor;
+    const configured = this.config.redactor;
+    return configured && configured.reversible ? configured.scope() : configured;
+  }
 
-      // Add authentication headers
-      if (useAuth) {
-        if (this.config.apiKey) {
-          headers['X-API-Key'] = this.config.apiKey;
+  /**
+   * Redact a request body
+   */
+  _redactBody(data, redactor) {
+    return data && redactor ? redactor.redact(data) : data;
+  }
+
+  /**
+   * Run `send` until it succeeds, retrying transient failures with exponential backoff
+   * An aborted signal stops before the next attempt or during the wait; aborts are never retried.
+   * Every attempt passes the rate limiter first; a call it refuses is not retried.
+   */
+  async _withRetry(send, overrides, endpoint, method, signal = null) {
+    const retry = this._resolveRetryOptions(overrides);
+    let attempt = 0;
+
+    while (true) {
+      AbortError.throwIfAborted(signal);
+      await this._acquire(signal);
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= retry.attempts || !this._isRetryable(error)) {
+          throw error;
         }
-        if (this.config.jwtToken) {
-          headers['Authorization'] = `Bearer ${this.config.jwtToken}`;
+
+        const delay = this._getRetryDelay(error, attempt, retry);
+        if (delay === null) {
+          throw error;
         }
+
+        attempt++;
+        if (typeof retry.onRetry === 'function') {
+          retry.onRetry({ attempt, maxAttempts: retry.attempts, delay, error, endpoint, method });
+        }
+
+        await sleep(delay, signal);
       }
+    }
+  }
+
+  /**
+   * Wait for, or refuse, a call the configured rate limiter holds back
+   */
+  async _acquire(signal) {
+    const limiter = this.config.rateLimiter;
+    if (!limiter) {
+      return;
+    }
 
-      if (payload) {
-        headers['Content-Length'] = Buffer.byteLength(payload);
+    let wait;
+    while ((wait = limiter.reserve()) > 0) {
+      if (!limiter.wait) {
+        throw limiter.rejection(wait);
       }
+      await sleep(wait, signal);
+    }
+  }
+
+  /**
+   * Restore reversible redaction placeholders in a response
+   * Call after signature verification: the server signed the redacted text.
+   * @param {*} data - Response data
+   * @param {Redactor|null} redactor - Redactor the request was sent with (`response.redactor`)
+   * @returns {*} Data with original values, or unchanged without a reversible redactor
+   */
+  restore(data, redactor) {
+    return redactor && redactor.reversible ? redactor.restore(data) : data;
+  }
+
+  /**
+   * Parsed `config.baseUrl` (re-read on every call, so updateConfig() takes effect)
+   * @returns {Object} `{ protocol, hostname, port, pathPrefix, origin, href }`
+   */
+  baseUrl() {
+    const { baseUrl, port } = this.config;
+    if (!this._baseUrl || this._baseUrl.source !== baseUrl || this._baseUrl.port !== port) {
+      this._baseUrl = { source: baseUrl, port, parsed: parseBaseUrl(baseUrl, port) };
+    }
+    return this._baseUrl.parsed;
+  }
+
+  /**
+   * Request headers: JSON content type, extras and (with useAuth) the configured credentials
+   */
+  _headers(useAuth, extraHeaders = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    };
+
+    // Add authentication headers
+    if (useAuth) {
+      if (this.config.apiKey) {
+        headers['X-API-Key'] = this.config.apiKey;
+      }
+      if (this.config.jwtToken) {
+        headers['Authorization'] = `Bearer ${this.config.jwtToken}`;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build the transport request (see src/transport/index.js)
+   * `endpoint` is a path under the base URL, or an absolute URL used as-is.
+   */
+  _requestOptions(endpoint, payload, method, headers) {
+    headers = { ...headers };
+    if (payload) {
+      headers['Content-Length'] = byteLength(payload);
+    }
 
-      const options = {
-        hostname: this.config.baseUrl,
-        port: this.config.port,
-        path: endpoint,
-        method: method,
-        headers: headers,
-        timeout: this.config.timeout
+    return {
+      ...resolveEndpoint(this.baseUrl(), endpoint),
+      method: method,
+      headers: headers,
+      body: payload,
+      timeout: this.config.timeout
+    };
+  }
+
+  /**
+   * Perform a single HTTP request without retries
+   * @param {Object} meta - Envelope of the call this attempt belongs to (optional)
+   */
+  async _send(endpoint, data = null, method = 'POST', useAuth = true, signal = null, headers = this._headers(useAuth),
+    meta = null) {
+    const payload = data ? JSON.stringify(data) : null;
+    const response = await this.transport.send({ ...this._requestOptions(endpoint, payload, method, headers), signal });
+    this._recordRateLimit(response.headers);
+    const responseBody = await readText(response);
+    if (meta) {
+      recordExchange(meta, response.statusCode, response.headers, { endpoint, method, payload, body: responseBody });
+    }
+
+    if (response.statusCode >= 400) {
+      return new Promise((resolve, reject) => this._rejectWithBody(response, responseBody, reject));
+    }
+
+    try {
+      return {
+        statusCode: response.statusCode,
+        data: JSON.parse(responseBody),
+        headers: response.headers
+      };
+    } catch (error) {
+      // Handle non-JSON responses
+      return {
+        statusCode: response.statusCode,
+        data: responseBody,
+        headers: response.headers
       };
+    }
+  }
 
-      const req = https.request(options, (res) => {
-        let responseBody = '';
-
-        res.on('data', (chunk) => {
-          responseBody += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            const parsed = JSON.parse(responseBody);
-            
-            // Handle error status codes
-            if (res.statusCode >= 400) {
-              this._handleErrorResponse(res.statusCode, parsed, reject);
-              return;
-            }
-
-            resolve({
-              statusCode: res.statusCode,
-              data: parsed,
-              headers: res.headers
-            });
-          } catch (error) {
-            // Handle non-JSON responses
-            if (res.statusCode >= 400) {
-              reject(new APIError(responseBody, res.statusCode));
-              return;
-            }
-            
-            resolve({
-              statusCode: res.statusCode,
-              data: responseBody,
-              headers: res.headers
-            });
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(new APIError(`Request failed: ${error.message}`));
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new APIError('Request timeout'));
-      });
-
-      if (payload) {
-        req.write(payload);
+  /**
+   * Open a streaming request without retries
+   * Resolves once a successful status arrives; error statuses are read in full and rejected.
+   * @returns {Promise<Object>} Transport response whose body is still to be read
+   */
+  async _openStream(endpoint, data = null, method = 'POST', useAuth = true, signal = null,
+    headers = this._headers(useAuth, { Accept: STREAM_ACCEPT }), meta = null) {
+    const payload = data ? JSON.stringify(data) : null;
+    const response = await this.transport.send({ ...this._requestOptions(endpoint, payload, method, headers), signal });
+    this._recordRateLimit(response.headers);
+    if (meta) {
+      recordExchange(meta, response.statusCode, response.headers, { endpoint, method, payload, body: '' });
+    }
+
+    if (response.statusCode >= 400) {
+      const responseBody = await readText(response);
+      if (meta) {
+        meta.bytesReceived = byteLength(responseBody);
       }
-      
-      req.end();
-    });
+      return new Promise((resolve, reject) => this._rejectWithBody(response, responseBody, reject));
+    }
+    return response;
+  }
+
+  /**
+   * Update the shared rate-limit state from a response's headers
+   */
+  _recordRateLimit(headers) {
+    if (this.config.rateLimiter) {
+      this.config.rateLimiter.update(headers);
+    }
+  }
+
+  /**
+   * Reject with the error an error status and its body map to
+   */
+  _rejectWithBody(res, responseBody, reject) {
+    try {
+      this._handleErrorResponse(res.statusCode, JSON.parse(responseBody), reject, res.headers);
+    } catch (error) {
+      // Handle non-JSON responses
+      const apiError = new APIError(responseBody, res.statusCode);
+      apiError.headers = res.headers;
+      reject(apiError);
+    }
   }
 
   /**
    * Handle error responses
    */
-  _handleErrorResponse(statusCode, response, reject) {
+  _handleErrorResponse(statusCode, response, reject, headers = {}) {
     const message = response.message || response.error || 'Request failed';
+    let error;
 
     switch (statusCode) {
       case 401:
-        reject(new AuthenticationError(message, response));
+        error = new AuthenticationError(message, response);
         break;
       case 400:
-        reject(new ValidationError(message, response));
+        error = new ValidationError(message, response);
         break;
       case 429:
-        reject(new RateLimitError(message, response));
+        error = new RateLimitError(message, response, parseRateLimitHeaders(headers) || {});
         break;
       default:
-        reject(new APIError(message, statusCode, response));
+        error = new APIError(message, statusCode, response);
+    }
+
+    error.headers = headers;
+    reject(error);
+  }
+
+  /**
+   * Merge per-call retry overrides with the configured defaults
+   */
+  _resolveRetryOptions(overrides) {
+    if (overrides === false) {
+      return { attempts: 0 };
+    }
+
+    const retry = overrides || {};
+    return {
+      attempts: retry.attempts ?? this.config.retryAttempts ?? 0,
+      delay: retry.delay ?? this.config.retryDelay ?? 0,
+      maxDelay: retry.maxDelay ?? this.config.maxRetryDelay ?? Infinity,
+      onRetry: retry.onRetry || this.config.onRetry || null
+    };
+  }
+
+  /**
+   * Timeouts, socket errors, 408, 429 and 5xx are transient; everything else is final
+   */
+  _isRetryable(error) {
+    if (error instanceof NetworkError || error instanceof TimeoutError) {
+      return true;
     }
+
+    const statusCode = error.statusCode;
+    return RETRYABLE_STATUS_CODES.includes(statusCode) || (statusCode >= 500 && statusCode < 600);
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * Uses Retry-After when the server sends one, otherwise exponential backoff with jitter.
+   * Returns null when the server asks for a longer wait than maxDelay allows.
+   */
+  _getRetryDelay(error, attempt, retry) {
+    // RateLimitError also derives the wait from a reset header when Retry-After is missing
+    const retryAfter = error.retryAfter ?? parseRetryAfter(error.headers && error.headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter > retry.maxDelay ? null : retryAfter;
+    }
+
+    const backoff = Math.min(retry.maxDelay, retry.delay * Math.pow(2, attempt));
+    // Equal jitter: keep half of the backoff, randomize the other half
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
   }
 
   /**
    * Make a GET request
    */
-  get(endpoint, useAuth = true) {
-    return this.request(endpoint, null, 'GET', useAuth);
+  get(endpoint, useAuth = true, options = {}) {
+    return this.request(endpoint, null, 'GET', useAuth, options);
   }
 
   /**
    * Make a POST request
    */
-  post(endpoint, data, useAuth = true) {
-    return this.request(endpoint, data, 'POST', useAuth);
+  post(endpoint, data, useAuth = true, options = {}) {
+    return this.request(endpoint, data, 'POST', useAuth, options);
   }
 
   /**
    * Make a PUT request
    */
-  put(endpoint, data, useAuth = true) {
-    return this.request(endpoint, data, 'PUT', useAuth);
+  put(endpoint, data, useAuth = true, options = {}) {
+    return this.request(endpoint, data, 'PUT', useAuth, options);
   }
 
   /**
    * Make a DELETE request
    */
-  delete(endpoint, useAuth = true) {
-    return this.request(endpoint, null, 'DELETE', useAuth);
+  delete(endpoint, useAuth = true, options = {}) {
+    return this.request(endpoint, null, 'DELETE', useAuth, options);
+  }
+}
+
+/**
+ * Read a transport response body to the end
+ * @param {Object} response - Transport response
+ * @returns {Promise<string>} Body text
+ */
+async function readText(response) {
+  let text = '';
+  for await (const chunk of response.body) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Start the metadata envelope of one call
+ *
+ *   { endpoint, method, statusCode, headers, requestId, startedAt, latency,
+ *     attempts, retries, bytesSent, bytesReceived }
+ *
+ * Status, headers, request ID and byte sizes describe the last attempt;
+ * `latency` covers the whole call in milliseconds, retry waits included.
+ * `attempts` is 0 when middleware answered without a request.
+ */
+function createMeta(context) {
+  return {
+    endpoint: context.endpoint,
+    method: context.method,
+    statusCode: null,
+    headers: {},
+    requestId: null,
+    latency: null,
+    attempts: 0,
+    retries: 0,
+    bytesSent: 0,
+    bytesReceived: 0,
+    startedAt: Date.now()
+  };
+}
+
+/**
+ * Record an attempt's response on the envelope
+ */
+function recordExchange(meta, statusCode, headers = {}, exchange = null) {
+  meta.statusCode = statusCode ?? null;
+  meta.headers = headers || {};
+  meta.requestId = findRequestId(meta.headers);
+  if (exchange) {
+    meta.endpoint = exchange.endpoint;
+    meta.method = exchange.method;
+    meta.bytesSent = byteLength(exchange.payload);
+    meta.bytesReceived = byteLength(exchange.body);
+  }
+}
+
+function finishMeta(meta) {
+  meta.latency = Date.now() - meta.startedAt;
+  meta.retries = Math.max(0, meta.attempts - 1);
+}
+
+/**
+ * The server's request ID, for correlating a call with the provider's logs
+ */
+function findRequestId(headers) {
+  const lower = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    lower[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+  }
+  const name = REQUEST_ID_HEADERS.find(header => lower[header]);
+  return name ? String(lower[name]) : null;
+}
+
+function byteLength(text) {
+  return text ? encoder.encode(text).length : 0;
+}
+
+/**
+ * Pass chunks through, adding their size to `meta.bytesReceived`
+ */
+async function* countBytes(chunks, meta) {
+  for await (const chunk of chunks) {
+    meta.bytesReceived += byteLength(chunk);
+    yield chunk;
   }
 }
 
-module.exports = { HTTPClient };
+/**
+ * Wait before the next attempt, rejecting with AbortError as soon as the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Optional signal
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (!signal) {
+      setTimeout(resolve, ms);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(AbortError.fromSignal(signal));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+module.exports = { HTTPClient, parseRetryAfter };
@@ -0,0 +1,150 @@
+/**
+ * Logger for Schema.ICU SDK
+ *
+ * The SDK is silent by default. Every log call is a structured event:
+ *   { level, event, message, time, ...bindings, ...fields }
+ * where `event` is a stable dotted name ('memory.saved', 'bridge.retry')
+ * and `message` is a human-readable line.
+ *
+ * Events go to a sink: a function receiving the event, a pino-style logger
+ * (`logger.info(fields, message)`), a winston-style logger
+ * (`logger.info(message, fields)`) or the built-in console sink, which
+ * writes to stderr so stdout stays free for program output.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+class Logger {
+  /**
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Lowest level emitted: 'debug' | 'info' | 'warn' | 'error' | 'silent' (default: 'info')
+   * @param {Function} options.sink - `(event) => void` receiving structured events (default: none, i.e. silent)
+   * @param {Object} options.bindings - Fields added to every event (e.g. `{ component: 'memory' }`)
+   */
+  constructor(options = {}) {
+    const { level = 'info', sink = null, bindings = {} } = options;
+
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level "${level}". Use: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    this.level = level;
+    this.sink = sink;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Create a Logger from a Logger, sink, logger object or level
+   *
+   * - null/undefined/false: silent
+   * - Logger: used as-is
+   * - 'debug' | 'info' | 'warn' | 'error': console sink at that level; 'silent' or true ('info') likewise
+   * - function: sink receiving structured events
+   * - winston-style logger (has `log` and `transports`) or pino-style logger (`info`, `warn`, `error`)
+   *
+   * @param {Logger|Function|Object|string|boolean|null} value - Logger setting
+   * @param {Object} options - `{ level }` applied to sinks and logger objects (default: 'info', or the logger's own)
+   * @returns {Logger} Logger
+   */
+  static from(value, options = {}) {
+    if (value instanceof Logger) return value;
+    if (!value) return new Logger({ level: 'silent' });
+
+    if (value === true) return new Logger({ level: options.level || 'info', sink: consoleSink });
+    if (typeof value === 'string') return new Logger({ level: value, sink: consoleSink });
+    if (typeof value === 'function') return new Logger({ level: options.level || 'info', sink: value });
+
+    if (typeof value === 'object' && ['info', 'warn', 'error'].every(method => typeof value[method] === 'function')) {
+      const winston = typeof value.log === 'function' && Array.isArray(value.transports);
+      const level = options.level || (typeof value.level === 'string' && value.level in LEVELS ? value.level : 'debug');
+      return new Logger({ level, sink: winston ? winstonSink(value) : pinoSink(value) });
+    }
+
+    throw new Error('logger must be a Logger, a function, a log level or an object with info(), warn() and error()');
+  }
+
+  /**
+   * Logger that adds fields to every event
+   * @param {Object} bindings - Fields (e.g. `{ component: 'memory', owner }`)
+   * @returns {Logger} Child logger sharing this logger's level and sink
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, sink: this.sink, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Check whether a level would be emitted
+   * @param {string} level - Log level
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(level) {
+    return !!this.sink && LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(event, message, fields) {
+    this._emit('debug', event, message, fields);
+  }
+
+  info(event, message, fields) {
+    this._emit('info', event, message, fields);
+  }
+
+  warn(event, message, fields) {
+    this._emit('warn', event, message, fields);
+  }
+
+  error(event, message, fields) {
+    this._emit('error', event, message, fields);
+  }
+
+  _emit(level, event, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    try {
+      this.sink({ level, event, message, time: new Date().toISOString(), ...this.bindings, ...fields });
+    } catch (error) {
+      // A failing sink must never break the operation being logged
+    }
+  }
+}
+
+/**
+ * Write events as `[schema-icu] level message` lines to stderr
+ * @param {Object} event - Structured event
+ */
+function consoleSink(event) {
+  const label = event.level === 'info' ? '' : ` ${event.level}`;
+  process.stderr.write(`[schema-icu]${label} ${event.message}\n`);
+}
+
+/**
+ * Sink for pino/bunyan-style loggers: `logger[level](fields, message)`
+ * @param {Object} logger - Logger with debug/info/warn/error methods
+ * @returns {Function} Sink
+ */
+function pinoSink(logger) {
+  return ({ level, message, time, ...fields }) => {
+    const method = typeof logger[level] === 'function' ? level : 'info';
+    logger[method](fields, message);
+  };
+}
+
+/**
+ * Sink for winston-style loggers: `logger[level](message, fields)`
+ * @param {Object} logger - Logger with debug/info/warn/error methods
+ * @returns {Function} Sink
+ */
+function winstonSink(logger) {
+  return ({ level, message, time, ...fields }) => {
+    const method = typeof logger[level] === 'function' ? level : 'info';
+    logger[method](message, fields);
+  };
+}
+
+module.exports = { Logger, LOG_LEVELS: Object.keys(LEVELS), consoleSink, pinoSink, winstonSink };
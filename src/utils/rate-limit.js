@@ -0,0 +1,251 @@
+/**
+ * Rate-Limit Awareness for Schema.ICU SDK
+ *
+ * Every response's rate-limit and quota headers are parsed into one shared
+ * snapshot (client.getRateLimitState()):
+ *   { limit, remaining, resetAt, retryAfter, updatedAt }
+ * Recognized headers, first match wins:
+ *   X-RateLimit-Limit / -Remaining / -Reset
+ *   RateLimit-Limit / -Remaining / -Reset and RateLimit: limit=..., remaining=..., reset=...
+ *   X-Quota-Limit / -Remaining / -Reset
+ *   Retry-After
+ * Reset values are delta-seconds, epoch seconds or an HTTP date.
+ *
+ * The limiter is opt-in (`rateLimit` config option). It refuses, or waits
+ * out, calls the SDK already knows will be rejected: while the server
+ * reports no remaining requests, and beyond a client-side token bucket.
+ */
+
+const { RateLimitError } = require('./errors');
+
+// Larger reset values are epoch seconds rather than delta-seconds
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+const HEADER_SETS = [
+  ['x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'],
+  ['ratelimit-limit', 'ratelimit-remaining', 'ratelimit-reset'],
+  ['x-quota-limit', 'x-quota-remaining', 'x-quota-reset']
+];
+
+class RateLimiter {
+  /**
+   * @param {boolean|Object} options - Limiter options; falsy = track headers only
+   *   - true: hold calls while the server reports no remaining requests
+   *   - { limit, interval }: also keep a token bucket of `limit` calls per `interval` ms
+   *   - { wait: true }: wait for the limit to reset instead of throwing RateLimitError
+   */
+  constructor(options = false) {
+    const settings = options === true ? {} : options || null;
+    this.enabled = !!settings;
+    this.wait = !!(settings && settings.wait);
+    this.state = null;
+    this.bucket = null;
+
+    if (settings && settings.limit !== undefined) {
+      const { limit, interval = 24 * 60 * 60 * 1000 } = settings;
+      if (!(limit > 0) || !(interval > 0)) {
+        throw new Error('rateLimit.limit and rateLimit.interval must be positive numbers');
+      }
+      this.bucket = { capacity: limit, tokens: limit, ratePerMs: limit / interval, refilledAt: Date.now() };
+    }
+  }
+
+  /**
+   * Record the rate-limit headers of a response
+   * @param {Object} headers - Response headers
+   * @returns {Object|null} Parsed headers, or null if the response carried none
+   */
+  update(headers) {
+    const parsed = parseRateLimitHeaders(headers);
+    if (!parsed) {
+      return null;
+    }
+
+    const previous = this.state || {};
+    this.state = {
+      limit: parsed.limit ?? previous.limit ?? null,
+      remaining: parsed.remaining ?? previous.remaining ?? null,
+      resetAt: parsed.resetAt ?? previous.resetAt ?? null,
+      retryAfter: parsed.retryAfter,
+      updatedAt: Date.now()
+    };
+    return parsed;
+  }
+
+  /**
+   * Snapshot of the last known limits
+   * @returns {Object|null} `{ limit, remaining, resetAt, retryAfter, updatedAt, bucket }`,
+   *   or null before any response carried rate-limit headers (and without a bucket)
+   */
+  getState() {
+    const bucket = this.bucket
+      ? { capacity: this.bucket.capacity, tokens: Math.floor(this._refill()) }
+      : null;
+
+    if (!this.state && !bucket) {
+      return null;
+    }
+
+    const state = this.state || { limit: null, remaining: null, resetAt: null, retryAfter: null, updatedAt: null };
+    if (state.resetAt !== null && state.resetAt <= Date.now()) {
+      // The window has reset since the last response; the old count no longer applies
+      return { ...state, remaining: state.limit, retryAfter: null, bucket };
+    }
+    return { ...state, bucket };
+  }
+
+  /**
+   * Take one call from the limits
+   * @returns {number} 0 if the call may go ahead (and was counted), otherwise milliseconds to wait
+   */
+  reserve() {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let wait = 0;
+
+    const state = this.state;
+    const exhausted = state && state.remaining !== null && state.remaining <= 0;
+    if (exhausted && state.resetAt !== null && state.resetAt > now) {
+      wait = state.resetAt - now;
+    } else if (exhausted && state.retryAfter !== null && state.updatedAt + state.retryAfter > now) {
+      wait = state.updatedAt + state.retryAfter - now;
+    }
+
+    if (this.bucket && this._refill() < 1) {
+      wait = Math.max(wait, Math.ceil((1 - this.bucket.tokens) / this.bucket.ratePerMs));
+    }
+
+    if (wait > 0) {
+      return wait;
+    }
+
+    if (this.bucket) {
+      this.bucket.tokens -= 1;
+    }
+    if (state && state.remaining !== null && state.remaining > 0) {
+      state.remaining -= 1; // Corrected by the next response's headers
+    }
+    return 0;
+  }
+
+  /**
+   * Error for a call refused on the client side
+   * @param {number} wait - Milliseconds until a call would be allowed
+   * @returns {RateLimitError} Error with `local: true`
+   */
+  rejection(wait) {
+    const state = this.getState() || {};
+    const error = new RateLimitError(
+      `Rate limit reached; next request allowed in ${Math.ceil(wait / 1000)}s (not sent)`,
+      null,
+      {
+        retryAfter: wait,
+        limit: state.limit ?? (this.bucket ? this.bucket.capacity : null),
+        remaining: 0,
+        resetAt: Date.now() + wait
+      }
+    );
+    error.local = true;
+    return error;
+  }
+
+  _refill() {
+    const now = Date.now();
+    const bucket = this.bucket;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.refilledAt) * bucket.ratePerMs);
+    bucket.refilledAt = now;
+    return bucket.tokens;
+  }
+}
+
+/**
+ * Parse rate-limit and quota headers
+ * @param {Object} headers - Response headers (any case)
+ * @returns {Object|null} `{ limit, remaining, resetAt, retryAfter }` (ms values), or null if none are present
+ */
+function parseRateLimitHeaders(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const lower = {};
+  for (const [name, value] of Object.entries(headers)) {
+    lower[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+  }
+
+  // Structured form: "RateLimit: limit=100, remaining=50, reset=30"
+  const structured = {};
+  if (typeof lower.ratelimit === 'string') {
+    for (const [, key, value] of lower.ratelimit.matchAll(/(limit|remaining|reset)\s*=\s*"?([^,;"]+)"?/gi)) {
+      structured[key.toLowerCase()] = value.trim();
+    }
+  }
+
+  const set = HEADER_SETS.find(names => names.some(name => present(lower[name]))) || [];
+  const limit = toCount(present(structured.limit) ? structured.limit : lower[set[0]]);
+  const remaining = toCount(present(structured.remaining) ? structured.remaining : lower[set[1]]);
+  const resetAt = parseReset(present(structured.reset) ? structured.reset : lower[set[2]]);
+  let retryAfter = parseRetryAfter(lower['retry-after']);
+  if (retryAfter === null && remaining === 0 && resetAt !== null) {
+    retryAfter = Math.max(0, resetAt - Date.now());
+  }
+
+  if ([limit, remaining, resetAt, retryAfter].every(value => value === null)) {
+    return null;
+  }
+  return { limit, remaining, resetAt, retryAfter };
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Parse a reset header into an epoch timestamp in milliseconds
+ */
+function parseReset(value) {
+  if (!present(value)) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds >= EPOCH_SECONDS_THRESHOLD ? seconds * 1000 : Date.now() + seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+function toCount(value) {
+  const count = parseInt(value, 10); // "100, 100;w=60" lists the current window first
+  return Number.isNaN(count) ? null : count;
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+module.exports = { RateLimiter, parseRateLimitHeaders, parseRetryAfter };
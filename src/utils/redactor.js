@@ -0,0 +1,272 @@
+/**
+ * PII Redaction for Schema.ICU SDK
+ *
+ * Replaces personal data and secrets with placeholders before text is
+ * stored in memory or sent to an agent. Built-in detectors cover emails,
+ * phone numbers, credit card numbers (Luhn-checked), API keys and JWTs;
+ * custom rules can be regular expressions or functions.
+ *
+ * With `reversible: true` each distinct value gets a stable placeholder
+ * (`[EMAIL_1]`) and the original is kept in an in-process vault, so
+ * placeholders in agent responses can be restored. Otherwise values are
+ * replaced by a type marker (`[EMAIL]`) and cannot be recovered.
+ *
+ * `scope()` gives a redactor with the same rules and its own vault. The SDK
+ * uses one scope per request and per memory session, so a placeholder is
+ * only restored for the caller whose value it replaced.
+ */
+
+const DETECTORS = {
+  jwt: {
+    type: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g
+  },
+  apiKey: {
+    type: 'API_KEY',
+    pattern: new RegExp([
+      '\\b(?:sk|pk|rk)[-_](?:live|test|proj|ant)?[-_]?[A-Za-z0-9_-]{16,}', // OpenAI, Stripe, Anthropic style
+      '\\bAKIA[0-9A-Z]{16}\\b', // AWS access key ID
+      '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b', // GitHub tokens
+      '\\bgithub_pat_[A-Za-z0-9_]{22,}\\b',
+      '\\bxox[abprs]-[A-Za-z0-9-]{10,}', // Slack
+      '\\bAIza[0-9A-Za-z_-]{35}\\b', // Google
+      '(?<=\\b(?:api[_-]?key|secret|token|password)["\']?\\s*[:=]\\s*["\']?)[A-Za-z0-9_\\-./+=]{12,}' // key = value
+    ].join('|'), 'gi')
+  },
+  email: {
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  creditCard: {
+    type: 'CREDIT_CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => luhn(match.replace(/\D/g, ''))
+  },
+  phone: {
+    type: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,3}(?![\w-])|(?<![\w+])\+\d{8,15}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      // Dates and versions (2025-01-31, 1.2.3) have too few digits or no phone shape
+      return digits >= 8 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(match);
+    }
+  }
+};
+
+class Redactor {
+  /**
+   * @param {Object} options - Redaction options
+   * @param {Array<string>} options.detectors - Built-in detectors to enable (default: all)
+   * @param {Array} options.rules - Custom rules: RegExp, `(text) => matches`, or
+   *   `{ type, pattern }` / `{ type, detect }` where detect returns strings or `{ start, end }`
+   * @param {boolean} options.reversible - Keep originals so placeholders can be restored (default: false)
+   * @param {Function} options.placeholder - `(type, index) => string` (default: `[TYPE_n]` or `[TYPE]`)
+   */
+  constructor(options = {}) {
+    const {
+      detectors = Object.keys(DETECTORS),
+      rules = [],
+      reversible = false,
+      placeholder = null
+    } = options;
+
+    for (const name of detectors) {
+      if (!DETECTORS[name]) {
+        throw new Error(`Unknown redaction detector "${name}". Use: ${Object.keys(DETECTORS).join(', ')}`);
+      }
+    }
+
+    this._options = { detectors, rules, reversible, placeholder };
+    this.rules = [...rules, ...detectors.map(name => DETECTORS[name])].map(normalizeRule);
+    this.reversible = reversible;
+    this.placeholder = placeholder || ((type, index) => (reversible ? `[${type}_${index}]` : `[${type}]`));
+    this.vault = new Map(); // placeholder -> original
+    this.tokens = new Map(); // `${type}:${original}` -> placeholder
+    this.counters = new Map(); // type -> last index
+    this._restorePattern = null; // Alternation of known placeholders, rebuilt when the vault grows
+  }
+
+  /**
+   * Create a Redactor from a Redactor, options object or `true` (all detectors)
+   * @param {Redactor|Object|boolean|null} value - Redaction setting
+   * @returns {Redactor|null} Redactor, or null when disabled
+   */
+  static from(value) {
+    if (!value) return null;
+    if (value instanceof Redactor) return value;
+    return new Redactor(value === true ? {} : value);
+  }
+
+  /**
+   * Create a redactor with the same rules and an empty vault of its own
+   * @returns {Redactor} Scoped redactor
+   */
+  scope() {
+    return new Redactor(this._options);
+  }
+
+  /**
+   * Redact a string, or every string inside an object or array
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted copy (non-string leaves unchanged)
+   */
+  redact(value) {
+    if (typeof value === 'string') {
+      return this.redactText(value).text;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.redact(item);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Redact a string and report what was found
+   * @param {string} text - Text to redact
+   * @returns {Object} `{ text, findings: [{ type, start, end }] }` (offsets in the input)
+   */
+  redactText(text) {
+    const findings = [];
+    const claimed = (start, end) => findings.some(f => start < f.end && end > f.start);
+
+    for (const rule of this.rules) {
+      for (const { start, end } of rule.find(text)) {
+        if (end > start && !claimed(start, end)) {
+          findings.push({ type: rule.type, start, end });
+        }
+      }
+    }
+
+    if (findings.length === 0) {
+      return { text, findings };
+    }
+
+    findings.sort((a, b) => a.start - b.start);
+    let result = '';
+    let cursor = 0;
+    for (const finding of findings) {
+      result += text.slice(cursor, finding.start) + this._placeholderFor(finding.type, text.slice(finding.start, finding.end));
+      cursor = finding.end;
+    }
+    return { text: result + text.slice(cursor), findings };
+  }
+
+  /**
+   * Put original values back in place of reversible placeholders
+   * @param {*} value - String, object or array containing placeholders
+   * @returns {*} Restored copy
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      if (this.vault.size === 0) return value;
+      if (!this._restorePattern) {
+        const escaped = [...this.vault.keys()]
+          .sort((a, b) => b.length - a.length)
+          .map(placeholder => placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this._restorePattern = new RegExp(escaped.join('|'), 'g');
+      }
+      return value.replace(this._restorePattern, (placeholder) => this.vault.get(placeholder));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.restore(item);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Forget all reversible mappings
+   */
+  clear() {
+    this.vault.clear();
+    this.tokens.clear();
+    this.counters.clear();
+    this._restorePattern = null;
+  }
+
+  _placeholderFor(type, original) {
+    if (!this.reversible) {
+      return this.placeholder(type, 0);
+    }
+
+    const key = `${type}:${original}`;
+    if (!this.tokens.has(key)) {
+      const index = (this.counters.get(type) || 0) + 1;
+      const placeholder = this.placeholder(type, index);
+      this.counters.set(type, index);
+      this.tokens.set(key, placeholder);
+      this.vault.set(placeholder, original);
+      this._restorePattern = null;
+    }
+    return this.tokens.get(key);
+  }
+}
+
+/**
+ * Turn a rule definition into `{ type, find(text) => [{ start, end }] }`
+ */
+function normalizeRule(rule) {
+  if (rule instanceof RegExp) {
+    rule = { type: 'CUSTOM', pattern: rule };
+  } else if (typeof rule === 'function') {
+    rule = { type: 'CUSTOM', detect: rule };
+  }
+
+  const type = String(rule.type || 'CUSTOM').toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+
+  if (rule.pattern) {
+    const flags = rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`;
+    const pattern = new RegExp(rule.pattern.source, flags);
+    return {
+      type,
+      find: (text) => [...text.matchAll(pattern)]
+        .filter(match => !rule.validate || rule.validate(match[0]))
+        .map(match => ({ start: match.index, end: match.index + match[0].length }))
+    };
+  }
+  if (typeof rule.detect === 'function') {
+    return {
+      type,
+      find: (text) => (rule.detect(text) || []).flatMap(match => {
+        if (typeof match !== 'string') return [match];
+        const found = [];
+        for (let index = text.indexOf(match); match && index !== -1; index = text.indexOf(match, index + match.length)) {
+          found.push({ start: index, end: index + match.length });
+        }
+        return found;
+      })
+    };
+  }
+  throw new Error('Redaction rule needs a pattern (RegExp) or a detect function');
+}
+
+/**
+ * Luhn checksum used by card numbers
+ */
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+module.exports = { Redactor, DETECTORS };
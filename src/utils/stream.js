@@ -0,0 +1,166 @@
+/**
+ * Streaming Response Parsing for Schema.ICU SDK
+ *
+ * Agents stream as server-sent events (`text/event-stream`) or as one JSON
+ * document per line (`application/x-ndjson`). Both become the same events:
+ *   { event, data, id }
+ * A server that answers with a plain JSON body is treated as a stream with
+ * a single 'result' event, so streaming calls work against either kind.
+ *
+ * streamAgentResponse() turns those events into what agent callers need:
+ * partial text as it arrives, then the final signed result.
+ */
+
+const { APIError, NetworkError } = require('./errors');
+
+// Event names that carry the final (signed) result
+const RESULT_EVENTS = ['result', 'done', 'final', 'complete'];
+
+// Content types the SDK asks for when streaming
+const STREAM_ACCEPT = 'text/event-stream, application/x-ndjson;q=0.9, application/json;q=0.8';
+
+/**
+ * Parse a streamed HTTP response body into events
+ * @param {Object} response - Transport response (`headers` and a `body` of text chunks)
+ * @returns {AsyncGenerator<Object>} `{ event, data, id }` (data parsed as JSON when possible)
+ */
+async function* parseEventStream(response) {
+  const contentType = String(response.headers['content-type'] || '').toLowerCase();
+  const chunks = response.body;
+
+  if (contentType.includes('text/event-stream')) {
+    yield* parseServerSentEvents(chunks);
+  } else if (/ndjson|jsonl|json-seq/.test(contentType)) {
+    yield* parseJsonLines(chunks);
+  } else {
+    let body = '';
+    for await (const chunk of chunks) {
+      body += chunk;
+    }
+    yield { event: 'result', data: parseData(body), id: null };
+  }
+}
+
+/**
+ * Server-sent events: `event:`, `data:` (joined across lines) and `id:` fields, blank line dispatches
+ */
+async function* parseServerSentEvents(res) {
+  let event = null;
+  let data = [];
+  let id = null;
+
+  const dispatch = () => {
+    const parsed = data.length > 0 ? { event: event || 'message', data: parseData(data.join('\n')), id } : null;
+    event = null;
+    data = [];
+    return parsed;
+  };
+
+  for await (const line of splitLines(res)) {
+    if (line === '') {
+      const parsed = dispatch();
+      if (parsed) yield parsed;
+      continue;
+    }
+    if (line.startsWith(':')) continue; // Comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id') id = value;
+  }
+
+  const last = dispatch();
+  if (last) yield last;
+}
+
+/**
+ * One JSON document per line; its `type` or `event` field names the event
+ */
+async function* parseJsonLines(res) {
+  for await (const line of splitLines(res)) {
+    if (!line.trim()) continue;
+    const data = parseData(line);
+    const event = data && typeof data === 'object' && (data.type || data.event);
+    yield { event: event || 'message', data, id: null };
+  }
+}
+
+/**
+ * Split a text stream into lines (LF or CRLF), keeping partial lines across chunks
+ */
+async function* splitLines(res) {
+  let buffer = '';
+  for await (const chunk of res) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+  if (buffer) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+function parseData(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Stream an agent call: partial text events, then the verified final result
+ *
+ * @param {Object} options - Stream options
+ * @param {HTTPClient} options.http - Agent's HTTP client
+ * @param {SignatureVerifier} options.verifier - Agent's verifier (applies the signature policy)
+ * @param {string} options.endpoint - Agent endpoint
+ * @param {Object} options.body - Request body (`stream: true` is added)
+ * @param {Object|false} options.retry - Retry overrides for establishing the stream
+ * @param {string} options.signaturePolicy - Signature policy override
+ * @param {AbortSignal} options.signal - Cancels the stream; iteration rejects with AbortError
+ * @returns {AsyncGenerator<Object>} `{ type: 'text', text }` per chunk, then `{ type: 'result', text, result }`
+ *   where the result's `text` is everything streamed before it
+ * @throws {APIError} If the server reports an error mid-stream
+ * @throws {NetworkError} If the stream ends without a final result
+ */
+async function* streamAgentResponse({ http, verifier, endpoint, body, retry, signaturePolicy, signal }) {
+  let text = '';
+  // One vault for the whole stream, so placeholders in deltas and the result restore
+  const redactor = http.redactorFor();
+
+  for await (const { event, data } of http.stream(endpoint, { ...body, stream: true }, 'POST', true, { retry, signal, redactor })) {
+    if (event === 'error' || (data && data.type === 'error')) {
+      const details = data && typeof data === 'object' ? data : { message: String(data) };
+      throw new APIError(details.message || details.error || 'Stream failed', details.statusCode || 500, details);
+    }
+    if (data === '[DONE]') continue;
+
+    const isResult = RESULT_EVENTS.includes(event) ||
+      (event === 'message' && data && typeof data === 'object' && 'success' in data);
+    if (isResult) {
+      const result = http.restore(verifier.enforce(data, signaturePolicy), redactor);
+      yield { type: 'result', text, result };
+      return;
+    }
+
+    const delta = typeof data === 'string'
+      ? data
+      : [data && data.text, data && data.delta, data && data.content].find(value => typeof value === 'string');
+    if (delta) {
+      const restored = http.restore(delta, redactor);
+      text += restored;
+      yield { type: 'text', text: restored };
+    }
+  }
+
+  throw new NetworkError('Stream ended before the final result', 'ESTREAMEND');
+}
+
+module.exports = { STREAM_ACCEPT, RESULT_EVENTS, parseEventStream, streamAgentResponse };
@@ -0,0 +1,164 @@
+/**
+ * Offline Text Retrieval Utilities for Schema.ICU SDK
+ *
+ * A small in-process BM25 index used to rank memory entries by relevance to
+ * a query, plus cosine similarity for user-supplied embeddings. No network
+ * access or model download is involved.
+ */
+
+// BM25 tuning: term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to carry relevance on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms, stop words removed
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * BM25 index over a set of documents
+ */
+class BM25Index {
+  constructor() {
+    this.documents = new Map(); // id -> { terms: Map<term, count>, length }
+    this.documentFrequency = new Map(); // term -> number of documents containing it
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace a document
+   * @param {string} id - Document ID
+   * @param {string} text - Document text
+   */
+  add(id, text) {
+    if (this.documents.has(id)) {
+      this.remove(id);
+    }
+
+    const terms = new Map();
+    const words = tokenize(text);
+    for (const word of words) {
+      terms.set(word, (terms.get(word) || 0) + 1);
+    }
+    for (const term of terms.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+
+    this.documents.set(id, { terms, length: words.length });
+    this.totalLength += words.length;
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id - Document ID
+   * @returns {boolean} Whether the document was indexed
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    for (const term of document.terms.keys()) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        this.documentFrequency.set(term, count);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+    return true;
+  }
+
+  /**
+   * Rank documents against a query
+   * @param {string} query - Query text
+   * @param {Object} options - Search options
+   * @param {number} options.k - Maximum results (default: 5)
+   * @param {Function} options.filter - `(id) => boolean` to restrict candidates
+   * @returns {Array<Object>} `[{ id, score }]`, best first; documents sharing no terms are left out
+   */
+  search(query, options = {}) {
+    const { k = 5, filter = null } = options;
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return [];
+    }
+
+    const count = this.documents.size;
+    const averageLength = this.totalLength / count || 1;
+    const results = [];
+
+    for (const [id, document] of this.documents) {
+      if (filter && !filter(id)) continue;
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = document.terms.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = 1 - BM25_B + BM25_B * (document.length / averageLength);
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+      }
+
+      if (score > 0) {
+        results.push({ id, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 for empty or mismatched vectors)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  tokenize,
+  BM25Index,
+  cosineSimilarity
+};
@@ -0,0 +1,98 @@
+/**
+ * Token Estimation Utilities for Schema.ICU SDK
+ *
+ * The default estimator is a fast heuristic (no vocabulary download): roughly
+ * four characters per token for prose, with punctuation-dense text such as
+ * code counted more heavily. Plug in an exact tokenizer where it matters.
+ */
+
+const TRUNCATION_MARKER = '\n…[truncated]…\n';
+
+/**
+ * Estimate the token count of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const value = String(text);
+  const symbols = (value.match(/[^\w\s]/g) || []).length;
+  return Math.ceil((value.length - symbols) / 4 + symbols / 2);
+}
+
+/**
+ * Normalize a tokenizer into a counting function
+ * Accepts a function `(text) => number`, an object with `count(text)`, or an
+ * encoder with `encode(text)` returning an array (tiktoken-style).
+ * @param {Function|Object|null} tokenizer - Tokenizer
+ * @returns {Function} `(text) => number`
+ */
+function createTokenCounter(tokenizer = null) {
+  if (!tokenizer) {
+    return estimateTokens;
+  }
+  if (typeof tokenizer === 'function') {
+    return (text) => (text ? tokenizer(String(text)) : 0);
+  }
+  if (typeof tokenizer.count === 'function') {
+    return (text) => (text ? tokenizer.count(String(text)) : 0);
+  }
+  if (typeof tokenizer.encode === 'function') {
+    return (text) => (text ? tokenizer.encode(String(text)).length : 0);
+  }
+  throw new Error('Tokenizer must be a function or provide count() or encode()');
+}
+
+/**
+ * Shorten text to fit a token budget, keeping the beginning and the end
+ * Cuts on line boundaries where possible so code and lists stay readable.
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Budget for the result
+ * @param {Function} countTokens - Token counter
+ * @returns {Object} `{ text, tokens, truncated }`
+ */
+function truncateToTokens(text, maxTokens, countTokens = estimateTokens) {
+  const value = String(text || '');
+  const tokens = countTokens(value);
+  if (tokens <= maxTokens) {
+    return { text: value, tokens, truncated: false };
+  }
+
+  const budget = maxTokens - countTokens(TRUNCATION_MARKER);
+  if (budget <= 0) {
+    return { text: '', tokens: 0, truncated: true };
+  }
+
+  // Scale by characters first, then tighten until the estimate fits
+  let ratio = budget / tokens;
+  let result = value;
+  for (let i = 0; i < 8; i++) {
+    const keep = Math.max(0, Math.floor(value.length * ratio));
+    const head = snapToLine(value.slice(0, Math.ceil(keep * 0.6)), 'end');
+    const tail = snapToLine(value.slice(value.length - Math.floor(keep * 0.4)), 'start');
+    result = `${head}${TRUNCATION_MARKER}${tail}`;
+    if (countTokens(result) <= maxTokens) {
+      return { text: result, tokens: countTokens(result), truncated: true };
+    }
+    ratio *= 0.85;
+  }
+
+  return { text: '', tokens: 0, truncated: true };
+}
+
+/**
+ * Trim a slice back to the nearest line break if one is close enough
+ */
+function snapToLine(slice, side) {
+  const index = side === 'end' ? slice.lastIndexOf('\n') : slice.indexOf('\n');
+  if (index === -1 || (side === 'end' ? index < slice.length * 0.8 : index > slice.length * 0.2)) {
+    return slice;
+  }
+  return side === 'end' ? slice.slice(0, index) : slice.slice(index + 1);
+}
+
+module.exports = {
+  estimateTokens,
+  createTokenCounter,
+  truncateToTokens
+};
@@ -0,0 +1,87 @@
+/**
+ * Base URL Handling for Schema.ICU SDK
+ *
+ * `baseUrl` is either a bare host ('schema.icu', 'localhost:8080') or a
+ * full URL ('http://localhost:8080/v1', 'https://gateway.example.com/icu').
+ * Bare hosts use https. Both resolve to the parts every request needs:
+ *   { protocol, hostname, port, pathPrefix, origin, href }
+ * Endpoint paths such as '/api/query' are appended to the path prefix, so
+ * agents, AuthManager and FutureSelfBridge all follow the same base URL.
+ */
+
+const DEFAULT_PORTS = {
+  'http:': 80,
+  'https:': 443
+};
+
+/**
+ * Parse a base URL
+ * @param {string} baseUrl - Bare host or http(s) URL, optionally with a port and path prefix
+ * @param {number|string} port - Port used when the URL names none (default: the scheme's port)
+ * @returns {Object} `{ protocol, hostname, port, pathPrefix, origin, href }`
+ * @throws {Error} If the URL is empty, malformed, not http(s), or has a query or fragment
+ */
+function parseBaseUrl(baseUrl, port = null) {
+  const value = String(baseUrl || '').trim();
+  if (!value) {
+    throw new Error('baseUrl is required');
+  }
+
+  const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+  let url;
+  try {
+    url = new URL(hasScheme ? value : `https://${value}`);
+  } catch (error) {
+    throw new Error(`Invalid baseUrl "${value}"`);
+  }
+
+  if (!(url.protocol in DEFAULT_PORTS)) {
+    throw new Error(`Unsupported baseUrl scheme "${url.protocol}" in "${value}". Use http:// or https://`);
+  }
+  if (url.search || url.hash) {
+    throw new Error(`baseUrl "${value}" must not contain a query string or fragment`);
+  }
+
+  const defaultPort = DEFAULT_PORTS[url.protocol];
+  const resolvedPort = Number(url.port || port || defaultPort);
+  if (!Number.isInteger(resolvedPort) || resolvedPort < 1 || resolvedPort > 65535) {
+    throw new Error(`Invalid port "${url.port || port}" for baseUrl "${value}"`);
+  }
+
+  const pathPrefix = url.pathname.replace(/\/+$/, '');
+  const host = url.hostname; // IPv6 literals keep their brackets here
+  const origin = `${url.protocol}//${host}${resolvedPort === defaultPort ? '' : `:${resolvedPort}`}`;
+
+  return {
+    protocol: url.protocol,
+    hostname: host.replace(/^\[(.*)\]$/, '$1'),
+    port: resolvedPort,
+    pathPrefix,
+    origin,
+    href: `${origin}${pathPrefix}`
+  };
+}
+
+/**
+ * Resolve an endpoint against a parsed base URL
+ * @param {Object} base - Result of parseBaseUrl()
+ * @param {string} endpoint - Path ('/api/query') or an absolute http(s) URL, used as-is
+ * @returns {Object} `{ protocol, hostname, port, path }`
+ */
+function resolveEndpoint(base, endpoint) {
+  if (/^https?:\/\//i.test(endpoint)) {
+    const url = new URL(endpoint);
+    const { protocol, hostname, port } = parseBaseUrl(url.origin);
+    return { protocol, hostname, port, path: `${url.pathname}${url.search}` };
+  }
+
+  const path = String(endpoint || '');
+  return {
+    protocol: base.protocol,
+    hostname: base.hostname,
+    port: base.port,
+    path: `${base.pathPrefix}${path.startsWith('/') ? path : `/${path}`}`
+  };
+}
+
+module.exports = { parseBaseUrl, resolveEndpoint, DEFAULT_PORTS };
@@ -0,0 +1,300 @@
+/**
+ * Cancellation Tests
+ * Tests AbortSignal support in requests, retries, streams, the Future Self Bridge and memory compression
+ */
+
+const http = require('http');
+const https = require('https');
+const { SchemaICU } = require('../src/client');
+const { AbortError, NetworkError } = require('../src/utils/errors');
+const MemoryManager = require('../src/core/memory-manager');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Cancellation Tests                                        ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Start a local server and point the SDK's https requests at it (plain HTTP)
+ * @param {Function} handler - `(req, res, body, count)` request handler
+ * @returns {Promise<Object>} `{ requests, closed, close() }` - closed[i] resolves when request i's connection closes
+ */
+async function startServer(handler) {
+  const requests = [];
+  const closed = [];
+  const server = http.createServer((req, res) => {
+    closed.push(new Promise(resolve => res.on('close', resolve)));
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ req, body: body ? JSON.parse(body) : null });
+      handler(req, res, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const { port } = server.address();
+  const originalRequest = https.request;
+  https.request = (options, callback) => http.request({ ...options, hostname: '127.0.0.1', port }, callback);
+
+  return {
+    requests,
+    closed,
+    close: () => {
+      https.request = originalRequest;
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function withinTime(promise, ms, what) {
+  return Promise.race([promise, new Promise((resolve, reject) => setTimeout(() => reject(new Error(`${what} took longer than ${ms}ms`)), ms))]);
+}
+
+async function expectAbort(task, what) {
+  try {
+    await withinTime(task(), 2000, what);
+  } catch (error) {
+    if (error instanceof AbortError) return error;
+    throw error;
+  }
+  throw new Error(`${what} was not aborted`);
+}
+
+async function waitUntil(condition, what) {
+  for (let i = 0; i < 1000 && !condition(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  if (!condition()) throw new Error(`${what} did not happen`);
+}
+
+async function test1_RequestsAndRetries() {
+  console.log('Test 1: Aborting Requests and Retry Waits\n');
+
+  const server = await startServer((req, res, count) => {
+    if (count === 2) {
+      res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '30' });
+      res.end(JSON.stringify({ error: 'Busy' }));
+    }
+    // Other requests never answer
+  });
+
+  try {
+    const client = new SchemaICU({ apiKey: 'test-key', retryAttempts: 3, maxRetryDelay: 60000 });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('user cancelled')), 50);
+    const error = await expectAbort(() => client.codeGenerator.generate('test', { signal: controller.signal }), 'In-flight request');
+    if (error.code !== 'ABORT_ERR' || error.name !== 'AbortError' || error instanceof NetworkError ||
+        error.reason.message !== 'user cancelled' || !error.message.includes('user cancelled')) {
+      throw new Error(`Unexpected abort error: ${error.name} ${error.message}`);
+    }
+    await withinTime(server.closed[0], 1000, 'Closing the aborted connection');
+    console.log('✓ Aborting rejects with AbortError (not NetworkError) and closes the connection');
+
+    const waiting = new AbortController();
+    setTimeout(() => waiting.abort(), 100);
+    await expectAbort(() => client.summaryAgent.summarize('test', { signal: waiting.signal }), 'Retry wait');
+    if (server.requests.length !== 2) {
+      throw new Error(`Expected no retry after abort, saw ${server.requests.length} requests`);
+    }
+    console.log('✓ Aborting during a 30s Retry-After wait stops retrying at once');
+
+    await expectAbort(() => client.toolChoice.recommend('test', { signal: AbortSignal.abort() }), 'Pre-aborted request');
+    if (server.requests.length !== 2) {
+      throw new Error('A request was sent for an already-aborted signal');
+    }
+    console.log('✓ An already-aborted signal sends nothing');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Request abort test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+async function test2_Streams() {
+  console.log('Test 2: Aborting Streams\n');
+
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('event: delta\ndata: {"text":"first"}\n\n');
+  });
+
+  try {
+    const client = new SchemaICU({ apiKey: 'test-key' });
+    const controller = new AbortController();
+    const texts = [];
+
+    await expectAbort(async () => {
+      for await (const event of client.codeGenerator.generateStream('test', { signal: controller.signal })) {
+        texts.push(event.text);
+        setTimeout(() => controller.abort(), 20);
+      }
+    }, 'Stream');
+    if (texts.join() !== 'first') {
+      throw new Error(`Unexpected events before abort: ${texts.join()}`);
+    }
+    await withinTime(server.closed[0], 1000, 'Closing the aborted stream');
+    console.log('✓ A waiting stream rejects with AbortError and closes the connection');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Stream abort test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+async function test3_BridgeAndMemory() {
+  console.log('Test 3: Future Self Bridge and Memory Compression\n');
+
+  const server = await startServer((req, res, count) => {
+    if (count === 1) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, schema: { type: 'object' } }));
+    }
+    // The agent call never answers
+  });
+
+  try {
+    const client = new SchemaICU({ apiKey: 'test-key' });
+    const bridge = client.useFutureSelfBridge();
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await expectAbort(() => bridge.execute('code-generator', 'test', { signal: controller.signal }), 'Bridge execution');
+    if (server.requests.length !== 2) {
+      throw new Error(`Expected the plan and execute calls only, saw ${server.requests.length}`);
+    }
+    console.log('✓ execute() rethrows AbortError instead of wrapping it and stops retrying');
+
+    const aborted = AbortSignal.abort();
+    await expectAbort(() => bridge.planSchema('code-generator', 'test', { signal: aborted }), 'Schema planning');
+    console.log('✓ An aborted plan does not fall back to the default schema');
+
+    let calls = 0;
+    const summaryAgent = {
+      summarize: (query, context) => {
+        calls++;
+        return new Promise((resolve, reject) => {
+          if (calls > 1) {
+            resolve({ summary: 'Summary of the first messages' });
+            return;
+          }
+          context.signal.addEventListener('abort', () => reject(AbortError.fromSignal(context.signal)));
+        });
+      }
+    };
+    const memory = new MemoryManager({ persistToFile: false, signer: 'ed25519', maxInteractions: 2, summaryAgent });
+    await memory.addInteraction({ role: 'user', text: 'Message 0' });
+    await memory.addInteraction({ role: 'user', text: 'Message 1' });
+
+    const compressing = new AbortController();
+    setTimeout(() => compressing.abort(), 20);
+    await expectAbort(() => memory.addInteraction({ role: 'user', text: 'Message 2' }, { signal: compressing.signal }), 'Compression');
+    if (memory.interactions.length !== 3 || memory.summaries.length !== 0) {
+      throw new Error('Aborted compression changed the window or fell back to a basic summary');
+    }
+    console.log('✓ Aborted compression keeps the new interaction and skips the basic-summary fallback');
+
+    await memory.addInteraction({ role: 'user', text: 'Message 3' });
+    if (memory.summaries.length !== 1 || memory.summaries[0].range.count !== 3 || memory.summaries[0].text !== 'Summary of the first messages') {
+      throw new Error('Compression did not run on the next add');
+    }
+    if (!(await memory.verifyIntegrity()).valid) {
+      throw new Error('Memory chain is broken after the aborted compression');
+    }
+    console.log('✓ The next add compresses the overflow; the chain stays intact');
+
+    let release = null;
+    let summarySignal = null;
+    const waitingAgent = {
+      summarize: (query, context) => new Promise((resolve, reject) => {
+        summarySignal = context.signal;
+        release = () => resolve({ summary: 'Shared summary' });
+        context.signal.addEventListener('abort', () => reject(AbortError.fromSignal(context.signal)));
+      })
+    };
+    const shared = new MemoryManager({ persistToFile: false, signer: 'ed25519', maxInteractions: 1, summaryAgent: waitingAgent });
+    await shared.addInteraction({ role: 'user', text: 'Message 0' });
+    const first = new AbortController();
+    const firstAdd = shared.addInteraction({ role: 'user', text: 'Message 1' }, { signal: first.signal });
+    const secondAdd = shared.addInteraction({ role: 'user', text: 'Message 2' }, { signal: new AbortController().signal });
+    await waitUntil(() => release && shared._compressing.waiters === 2, 'Both adds waiting on one compression');
+    first.abort();
+    await expectAbort(() => firstAdd, 'First waiter');
+    if (summarySignal.aborted) throw new Error('One caller aborting cancelled the compression shared with another');
+    release();
+    await secondAdd;
+    if (shared.summaries.length !== 1 || shared.summaries[0].text !== 'Shared summary') {
+      throw new Error('The remaining caller did not get the shared compression');
+    }
+    console.log('✓ A caller aborting stops only its own wait; the shared compression finishes for the others');
+
+    release = null;
+    await shared.addInteraction({ role: 'user', text: 'Message 3' });
+    const last = new AbortController();
+    const lastAdd = shared.addInteraction({ role: 'user', text: 'Message 4' }, { signal: last.signal });
+    await waitUntil(() => release, 'Compression of the next overflow');
+    last.abort();
+    await expectAbort(() => lastAdd, 'Last waiter');
+    if (!summarySignal.aborted || shared.summaries.length !== 1) {
+      throw new Error('Compression kept running after every waiter aborted');
+    }
+    console.log('✓ The compression is cancelled once every waiting caller has aborted');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Bridge and memory abort test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_RequestsAndRetries,
+    test2_Streams,
+    test3_BridgeAndMemory
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,260 @@
+/**
+ * HTTP Client Tests
+ * Tests retry, backoff and Retry-After handling without touching the network
+ */
+
+const { HTTPClient, parseRetryAfter } = require('../src/utils/http');
+const { Config } = require('../src/utils/config');
+const {
+  APIError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError
+} = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  HTTP Client Tests                                         ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Create a client whose _send replays a scripted list of outcomes
+ */
+function createScriptedClient(outcomes, options = {}) {
+  const config = new Config({ apiKey: 'test-key', retryDelay: 1, ...options });
+  const client = new HTTPClient(config);
+  client.calls = 0;
+  client._send = async () => {
+    const outcome = outcomes[Math.min(client.calls, outcomes.length - 1)];
+    client.calls++;
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return { statusCode: 200, data: outcome, headers: {} };
+  };
+  return client;
+}
+
+function withHeaders(error, headers) {
+  error.headers = headers;
+  return error;
+}
+
+async function test1_RetriesTransientFailures() {
+  console.log('Test 1: Retries Transient Failures\n');
+
+  try {
+    const client = createScriptedClient([
+      new NetworkError('Request failed: socket hang up', 'ECONNRESET'),
+      new TimeoutError(),
+      new APIError('Service unavailable', 503),
+      { success: true }
+    ]);
+
+    const response = await client.post('/api/query', { query: 'test' });
+    if (!response.data.success || client.calls !== 4) {
+      throw new Error(`Expected success after 4 calls, got ${client.calls}`);
+    }
+
+    console.log('✓ Socket error, timeout and 503 retried');
+    console.log('  - Calls made:', client.calls);
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Transient retry test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_NeverRetriesClientErrors() {
+  console.log('Test 2: Never Retries 400/401\n');
+
+  try {
+    for (const error of [new ValidationError('bad'), new AuthenticationError('no')]) {
+      const client = createScriptedClient([error, { success: true }]);
+      try {
+        await client.post('/api/query', {});
+        throw new Error(`${error.name} was retried`);
+      } catch (thrown) {
+        if (thrown !== error || client.calls !== 1) {
+          throw new Error(`${error.name} was retried`);
+        }
+      }
+      console.log(`✓ ${error.name} surfaced after a single call`);
+    }
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Client error test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_GivesUpAfterConfiguredAttempts() {
+  console.log('Test 3: Gives Up After retryAttempts\n');
+
+  try {
+    const client = createScriptedClient([new APIError('Bad gateway', 502)], { retryAttempts: 2 });
+
+    try {
+      await client.get('/auth/me');
+      throw new Error('Request unexpectedly succeeded');
+    } catch (error) {
+      if (error.statusCode !== 502 || client.calls !== 3) {
+        throw new Error(`Expected 3 calls ending in 502, got ${client.calls}`);
+      }
+    }
+
+    console.log('✓ Initial call plus 2 retries, then the last error is thrown');
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Attempt limit test failed:', error.message);
+    return false;
+  }
+}
+
+async function test4_PerCallOverridesAndOnRetry() {
+  console.log('Test 4: Per-Call Overrides and onRetry Hook\n');
+
+  try {
+    const events = [];
+    const client = createScriptedClient([new APIError('Oops', 500), new APIError('Oops', 500), { ok: true }], {
+      retryAttempts: 0
+    });
+
+    await client.post('/api/query', {}, true, {
+      retry: { attempts: 5, delay: 1, onRetry: (event) => events.push(event) }
+    });
+
+    if (events.length !== 2 || events[0].attempt !== 1 || events[1].attempt !== 2) {
+      throw new Error('onRetry was not called once per retry');
+    }
+    console.log('✓ Per-call attempts override config.retryAttempts');
+    console.log('✓ onRetry received attempt numbers:', events.map(e => e.attempt).join(', '));
+
+    const disabled = createScriptedClient([new APIError('Oops', 500), { ok: true }]);
+    try {
+      await disabled.post('/api/query', {}, true, { retry: false });
+      throw new Error('retry: false still retried');
+    } catch (error) {
+      if (disabled.calls !== 1) throw error;
+    }
+    console.log('✓ retry: false disables retries');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Override test failed:', error.message);
+    return false;
+  }
+}
+
+async function test5_RetryAfter() {
+  console.log('Test 5: Retry-After Handling\n');
+
+  try {
+    if (parseRetryAfter('2') !== 2000) throw new Error('delta-seconds not parsed');
+    if (parseRetryAfter(undefined) !== null) throw new Error('missing header not ignored');
+    const dateDelay = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    if (dateDelay <= 0 || dateDelay > 5000) throw new Error('HTTP-date not parsed');
+    console.log('✓ Parses delta-seconds and HTTP-date values');
+
+    const events = [];
+    const client = createScriptedClient([
+      withHeaders(new RateLimitError('Slow down'), { 'retry-after': '0.01' }),
+      { ok: true }
+    ], { onRetry: (event) => events.push(event) });
+    await client.post('/api/query', {});
+    if (events[0].delay !== 10) throw new Error(`Expected 10ms delay, got ${events[0].delay}`);
+    console.log('✓ 429 waits for the Retry-After interval');
+
+    const tooLong = createScriptedClient([
+      withHeaders(new RateLimitError('Daily quota'), { 'retry-after': '3600' }),
+      { ok: true }
+    ], { maxRetryDelay: 1000 });
+    try {
+      await tooLong.post('/api/query', {});
+      throw new Error('Retried despite Retry-After beyond maxRetryDelay');
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || tooLong.calls !== 1) throw error;
+    }
+    console.log('✓ Gives up when Retry-After exceeds maxRetryDelay');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Retry-After test failed:', error.message);
+    return false;
+  }
+}
+
+async function test6_BackoffGrowsExponentially() {
+  console.log('Test 6: Exponential Backoff With Jitter\n');
+
+  try {
+    const client = new HTTPClient(new Config({ apiKey: 'test-key' }));
+    const retry = { delay: 100, maxDelay: 1000 };
+    const error = new APIError('Oops', 500);
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const ceiling = Math.min(1000, 100 * Math.pow(2, attempt));
+      const delay = client._getRetryDelay(error, attempt, retry);
+      if (delay < ceiling / 2 || delay > ceiling) {
+        throw new Error(`Delay ${delay} outside [${ceiling / 2}, ${ceiling}] for attempt ${attempt}`);
+      }
+    }
+
+    console.log('✓ Delays stay within jittered exponential bounds capped by maxDelay');
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Backoff test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_RetriesTransientFailures,
+    test2_NeverRetriesClientErrors,
+    test3_GivesUpAfterConfiguredAttempts,
+    test4_PerCallOverridesAndOnRetry,
+    test5_RetryAfter,
+    test6_BackoffGrowsExponentially
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
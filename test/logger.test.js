@@ -0,0 +1,202 @@
+/**
+ * Logger Tests
+ * Tests levels, the silent default, pino/winston-style adapters and structured SDK events
+ */
+
+const { SchemaICU } = require('../src/client');
+const { Logger } = require('../src/utils/logger');
+const MemoryManager = require('../src/core/memory-manager');
+const FutureSelfBridge = require('../src/core/future-self-bridge');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Logger Tests                                              ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Collect everything written to stdout and stderr while `task` runs
+ */
+async function captureOutput(task) {
+  const written = [];
+  const originals = [process.stdout.write, process.stderr.write];
+  process.stdout.write = (chunk) => written.push(['stdout', String(chunk)]) || true;
+  process.stderr.write = (chunk) => written.push(['stderr', String(chunk)]) || true;
+  try {
+    await task();
+  } finally {
+    [process.stdout.write, process.stderr.write] = originals;
+  }
+  return written;
+}
+
+async function test1_LevelsAndSilentDefault() {
+  console.log('Test 1: Levels and Silent Default\n');
+
+  try {
+    const output = await captureOutput(async () => {
+      const memory = new MemoryManager({ persistToFile: false, signer: 'ed25519', maxInteractions: 2 });
+      for (let i = 0; i < 4; i++) {
+        await memory.addInteraction({ role: 'user', text: `Message ${i}`, ts: i });
+      }
+    });
+    if (output.length !== 0) {
+      throw new Error(`Library wrote output by default: ${JSON.stringify(output)}`);
+    }
+    console.log('✓ MemoryManager is silent without a logger');
+
+    const events = [];
+    const logger = new Logger({ level: 'info', sink: event => events.push(event) }).child({ requestId: 'r1' });
+    logger.debug('test.debug', 'hidden');
+    logger.info('test.info', 'shown', { count: 2 });
+    logger.error('test.error', 'failed');
+    const [info] = events;
+    if (events.length !== 2 || info.event !== 'test.info' || info.count !== 2 || info.requestId !== 'r1' || !info.time) {
+      throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+    }
+    console.log('✓ Levels filter events; child bindings and fields are merged');
+
+    const consoleOutput = await captureOutput(async () => {
+      Logger.from('warn').info('test.info', 'hidden');
+      Logger.from('warn').warn('test.warn', 'Disk almost full');
+    });
+    if (consoleOutput.length !== 1 || consoleOutput[0][0] !== 'stderr' || !consoleOutput[0][1].includes('Disk almost full')) {
+      throw new Error(`Console sink wrote ${JSON.stringify(consoleOutput)}`);
+    }
+    const throwing = new Logger({ sink: () => { throw new Error('sink down'); } });
+    throwing.info('test.info', 'ignored');
+    console.log('✓ Console sink writes to stderr only; a failing sink is ignored');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Levels test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_PinoAndWinstonAdapters() {
+  console.log('Test 2: pino and winston Style Adapters\n');
+
+  try {
+    const calls = [];
+    const pino = {
+      level: 'info',
+      debug: (...args) => calls.push(['pino.debug', ...args]),
+      info: (...args) => calls.push(['pino.info', ...args]),
+      warn: (...args) => calls.push(['pino.warn', ...args]),
+      error: (...args) => calls.push(['pino.error', ...args])
+    };
+    const winston = {
+      level: 'debug',
+      transports: [],
+      log: () => {},
+      debug: (...args) => calls.push(['winston.debug', ...args]),
+      info: (...args) => calls.push(['winston.info', ...args]),
+      warn: (...args) => calls.push(['winston.warn', ...args]),
+      error: (...args) => calls.push(['winston.error', ...args])
+    };
+
+    const fromPino = Logger.from(pino);
+    fromPino.debug('memory.saved', 'below pino level');
+    fromPino.warn('memory.compress.fallback', 'Using basic summary', { error: 'timeout' });
+    Logger.from(winston).debug('bridge.plan', 'Planning', { agentType: 'code-generator' });
+
+    const [pinoCall, winstonCall] = calls;
+    if (calls.length !== 2 || pinoCall[0] !== 'pino.warn' || pinoCall[1].event !== 'memory.compress.fallback' ||
+        pinoCall[1].error !== 'timeout' || pinoCall[2] !== 'Using basic summary') {
+      throw new Error(`pino adapter called ${JSON.stringify(calls)}`);
+    }
+    if (winstonCall[0] !== 'winston.debug' || winstonCall[1] !== 'Planning' || winstonCall[2].agentType !== 'code-generator') {
+      throw new Error(`winston adapter called ${JSON.stringify(winstonCall)}`);
+    }
+    console.log('✓ pino-style loggers get (fields, message); winston-style loggers get (message, fields)');
+
+    try {
+      Logger.from({ info: () => {} });
+      throw new Error('Incomplete logger object accepted');
+    } catch (error) {
+      if (!error.message.includes('info(), warn() and error()')) throw error;
+    }
+    console.log('✓ Objects without info/warn/error are rejected');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Adapter test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_StructuredSdkEvents() {
+  console.log('Test 3: Structured Events from Memory and Bridge\n');
+
+  try {
+    const events = [];
+    const client = new SchemaICU({ apiKey: 'test-key', logger: event => events.push(event), logLevel: 'debug' });
+
+    const memory = client.createMemorySession({ persistToFile: false, signer: 'ed25519', maxInteractions: 2, summaryAgent: null });
+    for (let i = 0; i < 3; i++) {
+      await memory.addInteraction({ role: 'user', text: `Message ${i}`, ts: i });
+    }
+    const added = events.filter(event => event.event === 'memory.interaction.added');
+    const compressed = events.find(event => event.event === 'memory.compressed');
+    if (added.length !== 3 || added[0].component !== 'memory' || added[0].owner !== 'default' || !compressed || !(compressed.count > 0)) {
+      throw new Error(`Unexpected memory events: ${events.map(event => event.event).join(', ')}`);
+    }
+    console.log('✓ Memory operations emit named events with component, owner and fields');
+
+    const bridge = new FutureSelfBridge(client.config);
+    bridge.http.post = async () => { throw new Error('offline'); };
+    await bridge.planSchema('code-generator', 'Write a function');
+    const fallback = events.find(event => event.event === 'bridge.plan.fallback');
+    if (!fallback || fallback.level !== 'warn' || fallback.component !== 'bridge' || fallback.error !== 'offline') {
+      throw new Error('Bridge fallback was not logged as a structured warning');
+    }
+    console.log('✓ FutureSelfBridge reports through the client logger');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ SDK events test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_LevelsAndSilentDefault,
+    test2_PinoAndWinstonAdapters,
+    test3_StructuredSdkEvents
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
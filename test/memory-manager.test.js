@@ -0,0 +1,1048 @@
+/**
+ * Memory Manager Tests
+ * Tests signing, hash chaining, integrity verification and persistence behaviour
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const MemoryManager = require('../src/core/memory-manager');
+const { createSigner } = require('../src/crypto/signers');
+const { InMemoryStorage, JsonFileStorage, JsonlStorage, isEncryptedRecord } = require('../src/storage');
+const { generateKey } = require('../src/crypto/encryption');
+const { EncryptionError, IntegrityError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Memory Manager Tests                                      ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+function createMemory(options = {}) {
+  return new MemoryManager({
+    persistToFile: false,
+    summaryAgent: null,
+    ...options
+  });
+}
+
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'schema-icu-memory-'));
+}
+
+async function fill(memory, count) {
+  for (let i = 1; i <= count; i++) {
+    await memory.addInteraction({
+      role: i % 2 === 0 ? 'assistant' : 'user',
+      text: `Message ${i}`,
+      ts: Date.now() + i
+    });
+  }
+}
+
+async function test1_SignsInteractionsAndSummaries() {
+  console.log('Test 1: Interactions and Summaries Are Signed\n');
+
+  try {
+    for (const algorithm of ['ecdsa', 'ed25519', 'ml-dsa-65', 'ml-dsa-87']) {
+      const memory = createMemory({ signer: algorithm, maxInteractions: 3 });
+      await fill(memory, 5);
+
+      const entries = [...memory.getSummaries(), ...memory.getRecentInteractions(10)];
+      if (memory.getSummaries().length === 0) throw new Error('No summary was created');
+      for (const entry of entries) {
+        if (!entry.signature || entry.signature.algorithm !== algorithm || !entry.signature.signature) {
+          throw new Error(`${algorithm}: entry is not signed`);
+        }
+      }
+
+      const report = await memory.verifyIntegrity();
+      if (!report.valid) throw new Error(`${algorithm}: ${JSON.stringify(report.failures)}`);
+      console.log(`✓ ${algorithm}: ${report.checked} entries signed and verified`);
+    }
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Signing test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_DetectsTampering() {
+  console.log('Test 2: verifyIntegrity Reports Tampering\n');
+
+  try {
+    const memory = createMemory({ signer: 'ed25519', maxInteractions: 3 });
+    await fill(memory, 5);
+
+    memory.interactions[0].text = 'Edited after the fact';
+    memory.interactions[1].signature.signature = memory.interactions[2].signature.signature;
+    memory.summaries[0].text = 'Rewritten summary';
+
+    const report = await memory.verifyIntegrity();
+    const reasons = report.failures.map(f => `${f.type}[${f.index}]:${f.reason}`);
+    const expected = ['summary[0]:hash-mismatch', 'interaction[0]:hash-mismatch', 'interaction[1]:signature-invalid'];
+
+    if (report.valid || reasons.join() !== expected.join()) {
+      throw new Error(`Unexpected failures: ${reasons.join(', ')}`);
+    }
+
+    console.log('✓ Failures reported:', reasons.join(', '));
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Tamper detection test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_KeysAndCustomSigners() {
+  console.log('Test 3: Signing Keys and Custom Signers\n');
+
+  try {
+    const keys = createSigner('ecdsa').exportKeys();
+    const memory = createMemory({ signingKeys: keys });
+    await fill(memory, 2);
+
+    if (memory.getStats().signerPublicKey !== keys.publicKey) throw new Error('Provided key was not used');
+    console.log('✓ Existing key material is reused');
+
+    const pinned = await memory.verifyIntegrity({ publicKeys: [keys.publicKey] });
+    const foreign = await memory.verifyIntegrity({ publicKeys: [createSigner('ecdsa').publicKey] });
+    if (!pinned.valid || foreign.failures[0].reason !== 'untrusted-key') {
+      throw new Error('publicKeys option not enforced');
+    }
+    console.log('✓ Entries signed by other keys are reported as untrusted-key');
+
+    // A history rewritten and re-signed with another key, chain rebuilt
+    const forger = createMemory({ signer: 'ecdsa' });
+    await fill(forger, 2);
+    const forged = await memory.verifyIntegrity({ entries: forger });
+    if (forged.valid || !forged.chain.valid || forged.failures.some(failure => failure.reason !== 'untrusted-key')) {
+      throw new Error('Re-signed history passed verification by default');
+    }
+    console.log('✓ By default only the session\'s own and trusted keys are accepted');
+
+    // Trust anchors written into the store by whoever can edit it are ignored
+    const storage = new InMemoryStorage();
+    await storage.write('planted', 'signing-keys', { signer: null, trustedKeys: [forger.signer.publicKey] });
+    const reopened = await MemoryManager.open({ storage, ownerName: 'planted', signingKeys: keys });
+    const planted = await reopened.verifyIntegrity({ entries: forger });
+    if (planted.valid || reopened.trustedKeys.has(forger.signer.publicKey) || await storage.read('planted', 'signing-keys')) {
+      throw new Error('Trusted keys were loaded from the storage record');
+    }
+    const configured = await createMemory({ signingKeys: keys, trustedKeys: [forger.signer.publicKey] }).verifyIntegrity({ entries: forger });
+    if (!configured.valid) throw new Error('Configured trustedKeys not accepted');
+    console.log('✓ Trusted keys come from the trustedKeys option, not from the storage record');
+
+    const inner = createSigner('ml-dsa-65');
+    const calls = [];
+    const custom = {
+      algorithm: 'hsm-ml-dsa-65',
+      publicKey: inner.publicKey,
+      sign: async (data) => { calls.push('sign'); return inner.sign(data); },
+      verify: async (data, signature, publicKey) => { calls.push('verify'); return inner.verify(data, signature, publicKey); }
+    };
+    const hsmMemory = createMemory({ signer: custom });
+    await fill(hsmMemory, 1);
+    const report = await hsmMemory.verifyIntegrity();
+    if (!report.valid || calls.join() !== 'sign,verify') throw new Error('Custom signer not used');
+    console.log('✓ Pluggable signer used for signing and verification');
+
+    try {
+      createMemory({ signer: { algorithm: 'broken' } });
+      throw new Error('Invalid signer accepted');
+    } catch (error) {
+      if (!error.message.includes('Custom signer')) throw error;
+    }
+    console.log('✓ Incomplete signer objects are rejected');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Signer test failed:', error.message);
+    return false;
+  }
+}
+
+async function test4_HashChain() {
+  console.log('Test 4: Hash Chain Survives Compression and Pinpoints Breaks\n');
+
+  try {
+    const memory = createMemory({ signer: 'ed25519', maxInteractions: 3, maxSummaries: 2 });
+    await fill(memory, 21);
+
+    const intact = memory.verifyChain();
+    if (!intact.valid) throw new Error(`Intact chain reported broken: ${JSON.stringify(intact.brokenAt)}`);
+    const metaSummary = memory.getSummaries().find(s => s.range.metaLevel);
+    if (!metaSummary || metaSummary.compressedHashes.length === 0) throw new Error('Meta-summary does not commit to compressed hashes');
+    console.log(`✓ Chain of ${intact.length} entries verifies after meta-compression`);
+
+    const anchor = memory.getChainHead();
+    const snapshot = JSON.stringify({ interactions: memory.interactions, summaries: memory.summaries });
+    const restore = () => {
+      const data = JSON.parse(snapshot);
+      memory.interactions = data.interactions;
+      memory.summaries = data.summaries;
+    };
+
+    const deleted = memory.interactions.splice(1, 1)[0];
+    let result = memory.verifyChain();
+    if (result.brokenAt.reason !== 'missing-previous' || result.brokenAt.actual !== deleted.hash) {
+      throw new Error(`Deletion not pinpointed: ${JSON.stringify(result.brokenAt)}`);
+    }
+    console.log(`✓ Deleted interaction detected at seq ${result.brokenAt.seq} (missing-previous)`);
+
+    restore();
+    memory.interactions.reverse();
+    result = memory.verifyChain();
+    if (result.brokenAt.reason !== 'out-of-order') throw new Error('Reordering not detected');
+    console.log('✓ Reordered interactions detected (out-of-order)');
+
+    restore();
+    memory.interactions[1].text = 'edited';
+    result = memory.verifyChain();
+    if (result.brokenAt.reason !== 'hash-mismatch' || result.brokenAt.seq !== memory.interactions[1].seq) {
+      throw new Error('Edit not pinpointed');
+    }
+    console.log('✓ Edited interaction detected (hash-mismatch)');
+
+    restore();
+    memory.interactions.pop();
+    memory.chainHead = memory._findChainHead();
+    result = memory.verifyChain({ expectedHead: anchor });
+    if (result.valid || result.brokenAt.reason !== 'head-mismatch') throw new Error('Truncation not detected');
+    console.log('✓ Truncated tail detected against an external chain head (head-mismatch)');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Hash chain test failed:', error.message);
+    return false;
+  }
+}
+
+async function test5_StorageAdapters() {
+  console.log('Test 5: Storage Adapters Round-Trip\n');
+
+  const dir = createTempDir();
+  try {
+    const keys = createSigner('ed25519').exportKeys();
+    for (const storage of ['memory', 'file', 'jsonl', 'directory']) {
+      const shared = storage === 'memory' ? new InMemoryStorage() : storage;
+      const options = { storage: shared, memoryDir: path.join(dir, storage), ownerName: 'alice', signingKeyProvider: async () => keys, maxInteractions: 3 };
+
+      const writer = createMemory(options);
+      await writer._initialized;
+      await fill(writer, 5);
+
+      const reader = createMemory(options);
+      await reader._initialized;
+      if (reader.interactions.length !== writer.interactions.length ||
+          reader.summaries.length !== writer.summaries.length ||
+          reader.getChainHead().hash !== writer.getChainHead().hash) {
+        throw new Error(`${storage}: reloaded state differs`);
+      }
+      if (!(await reader.verifyIntegrity()).valid) throw new Error(`${storage}: reloaded chain invalid`);
+      if (reader.getStats().signerPublicKey !== keys.publicKey) {
+        throw new Error(`${storage}: provided signing key was not used`);
+      }
+      console.log(`✓ ${reader.getStats().storage} persists and reloads a verifiable session with the provided signing key`);
+    }
+
+    const generatedDir = path.join(dir, 'generated');
+    const generated = createMemory({ storage: 'file', memoryDir: generatedDir, ownerName: 'dave', signer: 'ed25519' });
+    await generated._initialized;
+    await fill(generated, 1);
+    const stored = fs.readdirSync(generatedDir).map(file => fs.readFileSync(path.join(generatedDir, file), 'utf8')).join('\n');
+    if (stored.includes('PRIVATE KEY')) throw new Error('Generated private key stored without encryption');
+    console.log('✓ A generated private key is not stored without encryption');
+
+    if (!fs.existsSync(path.join(dir, 'directory', 'alice'))) throw new Error('DirectoryStorage did not create a session directory');
+    console.log('✓ DirectoryStorage keeps each session in its own directory');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Storage adapter test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test6_JsonlAppendOnly() {
+  console.log('Test 6: JSONL Storage Is Append-Only\n');
+
+  const dir = createTempDir();
+  try {
+    const storage = new JsonlStorage({ dir });
+    const memory = createMemory({ storage, ownerName: 'bob', signer: 'ed25519' });
+    await memory._initialized;
+    await fill(memory, 4);
+
+    const [key] = await storage.list('bob');
+    const file = storage.pathFor('bob', key);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    if (lines.length !== 4) throw new Error(`Expected 4 log lines, got ${lines.length}`);
+    if (lines.some(line => JSON.parse(line).put.length !== 1)) throw new Error('Entries were rewritten');
+    console.log('✓ Each save appends one line carrying only new entries');
+
+    fs.appendFileSync(file, '{"ts":"torn');
+    const state = await new JsonlStorage({ dir }).read('bob', key);
+    if (state.interactions.length !== 4) throw new Error('Torn line corrupted the replay');
+    console.log('✓ Torn trailing line is ignored on replay');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ JSONL storage test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test7_CustomStorageAdapter() {
+  console.log('Test 7: Custom Storage Adapter\n');
+
+  try {
+    const calls = [];
+    const backing = new Map();
+    const redisLike = {
+      read: async (session, key) => { calls.push('read'); return backing.has(`${session}:${key}`) ? JSON.parse(backing.get(`${session}:${key}`)) : null; },
+      write: async (session, key, data) => { calls.push('write'); backing.set(`${session}:${key}`, JSON.stringify(data)); },
+      remove: async (session, key) => backing.delete(`${session}:${key}`),
+      list: async (session) => [...backing.keys()].filter(k => k.startsWith(`${session}:`)).map(k => k.split(':')[1])
+    };
+
+    const memory = createMemory({ storage: redisLike, ownerName: 'carol', signer: 'ed25519' });
+    await memory._initialized;
+    await fill(memory, 2);
+
+    // One write per interaction; without encryption the generated signing key is not stored
+    if (calls[0] !== 'read' || calls.filter(c => c === 'write').length !== 2) {
+      throw new Error(`Unexpected adapter calls: ${calls.join(', ')}`);
+    }
+    console.log('✓ MemoryManager reads and writes through the custom adapter');
+
+    try {
+      createMemory({ storage: { read: async () => null } });
+      throw new Error('Incomplete adapter accepted');
+    } catch (error) {
+      if (!error.message.includes('Storage adapter')) throw error;
+    }
+    console.log('✓ Incomplete adapters are rejected');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Custom storage test failed:', error.message);
+    return false;
+  }
+}
+
+async function test8_MultiDayContinuity() {
+  console.log('Test 8: Multi-Day Continuity and loadRange\n');
+
+  try {
+    const storage = new InMemoryStorage();
+    const options = { storage, ownerName: 'support-bot', signer: 'ed25519', maxInteractions: 50 };
+
+    const monday = createMemory(options);
+    monday._getStorageKey = () => '2025-03-03';
+    await monday._initialized;
+    await fill(monday, 3);
+
+    const tuesday = createMemory(options);
+    tuesday._getStorageKey = () => '2025-03-04';
+    await tuesday._initialized;
+    await fill(tuesday, 2);
+
+    const wednesday = createMemory(options);
+    wednesday._getStorageKey = () => '2025-03-05';
+    await wednesday._initialized;
+
+    if (wednesday.interactions.length !== 5 || !wednesday.verifyChain().valid) {
+      throw new Error(`Expected 5 carried-over interactions, got ${wednesday.interactions.length}`);
+    }
+    console.log('✓ New day resumes from the most recent stored day with an intact chain');
+
+    const range = await wednesday.loadRange('2025-03-03', '2025-03-04');
+    if (range.days.join() !== '2025-03-03,2025-03-04' || range.interactions.length !== 5) {
+      throw new Error(`Unexpected range: ${range.days.join()} / ${range.interactions.length}`);
+    }
+    if (range.interactions.some((entry, i) => i > 0 && entry.seq <= range.interactions[i - 1].seq)) {
+      throw new Error('Range is not ordered by sequence');
+    }
+    console.log('✓ loadRange merges days, de-duplicates and orders by sequence');
+
+    const isolated = createMemory({ ...options, continueAcrossDays: false });
+    isolated._getStorageKey = () => '2025-03-05';
+    await isolated._initialized;
+    if (isolated.interactions.length !== 0) throw new Error('continueAcrossDays: false still carried over');
+    console.log('✓ continueAcrossDays: false keeps the per-day reset');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Multi-day continuity test failed:', error.message);
+    return false;
+  }
+}
+
+async function test9_TokenBudgetContext() {
+  console.log('Test 9: Token-Budget Aware buildContext\n');
+
+  try {
+    const memory = createMemory({ signer: 'ed25519', maxInteractions: 30, maxSummaries: 5 });
+    for (let i = 0; i < 12; i++) {
+      await memory.addInteraction({ role: 'user', text: `Question ${i}: ${'detail '.repeat(40)}`, ts: i });
+    }
+    await memory.addInteraction({ role: 'user', text: 'const x = 1;\n'.repeat(3000), ts: 100 });
+
+    const context = memory.buildContext({ maxTokens: 1000 });
+    const { tokenUsage } = context;
+    if (tokenUsage.used > 1000 || tokenUsage.budget !== 1000) throw new Error(`Budget exceeded: ${tokenUsage.used}`);
+    const newest = context.recentInteractions[context.recentInteractions.length - 1];
+    if (!newest.truncated || !newest.text.includes('[truncated]') || !newest.text.startsWith('const x = 1;')) {
+      throw new Error('Oversized newest message was not truncated head-and-tail');
+    }
+    if (tokenUsage.omittedInteractions === 0) throw new Error('Older interactions should have been dropped');
+    console.log(`✓ Packed ${context.recentInteractions.length} interactions into ${tokenUsage.used}/${tokenUsage.budget} tokens`);
+    console.log('✓ Large code paste truncated, keeping its beginning and end');
+
+    const ordered = context.recentInteractions.every((entry, i, all) => i === 0 || entry.ts >= all[i - 1].ts);
+    if (!ordered) throw new Error('Context interactions are not chronological');
+    console.log('✓ Most recent interactions kept, in chronological order');
+
+    const wordCounter = createMemory({ signer: 'ed25519', tokenizer: { encode: (text) => text.split(/\s+/) } });
+    await wordCounter.addInteraction({ role: 'user', text: 'one two three', ts: 1 });
+    if (wordCounter.countTokens('one two three') !== 3 || wordCounter.buildContext().tokenUsage.used !== 3 + 4) {
+      throw new Error('Custom tokenizer not used');
+    }
+    console.log('✓ Pluggable tokenizer (encode-style) used for counting');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Token budget test failed:', error.message);
+    return false;
+  }
+}
+
+async function test10_RecallRelevantMemories() {
+  console.log('Test 10: Recall Relevant Memories\n');
+
+  try {
+    const memory = createMemory({ signer: 'ed25519', maxInteractions: 10, maxSummaries: 3 });
+    await memory.addInteraction({ role: 'user', text: 'Our database password rotates every Tuesday', ts: 1 });
+    for (let i = 0; i < 20; i++) {
+      await memory.addInteraction({ role: 'user', text: `Let us tweak the button styling, round ${i}`, ts: 2 + i });
+    }
+
+    const [top] = await memory.recall('when does the database password rotate?', { k: 3 });
+    if (!top || top.type !== 'summary' || !top.text.includes('database password')) {
+      throw new Error('Compressed fact was not recalled');
+    }
+    if ((await memory.recall('database', { types: ['interaction'] })).length !== 0) {
+      throw new Error('types filter ignored');
+    }
+    console.log('✓ BM25 recall finds a fact that was compressed into a summary');
+
+    const context = memory.buildContext({ maxTokens: 2000, summaryRatio: 0, query: 'database password' });
+    const [first] = context.relevantMemories;
+    if (context.summaries.length !== 0 || first.type !== 'interaction' || !first.text.startsWith('Our database password') ||
+        !context.relevantMemories.every(match => match.text.includes('database password'))) {
+      throw new Error('buildContext did not add the compressed interaction');
+    }
+    if (context.tokenUsage.relevant === 0 || context.tokenUsage.used > 2000) {
+      throw new Error('Relevant memories not counted in the budget');
+    }
+    console.log('✓ buildContext adds relevant memories compressed out of the window within the budget');
+
+    let embedCalls = 0;
+    const embed = async (text) => {
+      embedCalls++;
+      return ['password', 'styling'].map(word => (text.includes(word) ? 1 : 0));
+    };
+    const [semantic] = await memory.recall('password', { embed, k: 1 });
+    const callsAfterFirst = embedCalls;
+    await memory.recall('password', { embed, k: 1 });
+    if (semantic.hash !== top.hash || embedCalls !== callsAfterFirst + 1) {
+      throw new Error('Embedding recall wrong or vectors not cached');
+    }
+    console.log('✓ User-supplied embeddings rank entries and are cached per entry');
+
+    const storage = new InMemoryStorage();
+    const archived = createMemory({ storage, signer: 'ed25519' });
+    archived._getStorageKey = () => '2025-01-06';
+    await archived._initialized;
+    await archived.addInteraction({ role: 'user', text: 'The staging cluster lives in eu-west-2', ts: 1 });
+
+    const today = createMemory({ storage, signer: 'ed25519', continueAcrossDays: false });
+    await today._initialized;
+    if ((await today.recall('staging cluster')).length !== 0) throw new Error('Stored days searched without from');
+    const [stored] = await today.recall('staging cluster', { from: '2025-01-01' });
+    if (!stored || !stored.text.includes('eu-west-2')) throw new Error('Stored days not searched');
+    console.log('✓ recall({ from }) searches stored days');
+
+    const [relevant] = today.buildContext({ query: 'staging cluster' }).relevantMemories;
+    if (today.getStats().activeInteractions !== 0 || !relevant || !relevant.text.includes('eu-west-2')) {
+      throw new Error('buildContext({ query }) did not search stored days');
+    }
+    await today.forget({ match: 'staging cluster' });
+    if (today.buildContext({ query: 'staging cluster' }).relevantMemories.length !== 0) {
+      throw new Error('Forgotten entry still recalled from stored days');
+    }
+    console.log('✓ buildContext({ query }) searches stored days outside the active window, without forgotten entries');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Recall test failed:', error.message);
+    return false;
+  }
+}
+
+async function test11_EncryptionAtRest() {
+  console.log('Test 11: Encryption at Rest\n');
+
+  const dir = createTempDir();
+  try {
+    const key = generateKey();
+    const options = { memoryDir: dir, ownerName: 'vault', signer: 'ed25519', encryption: { key } };
+
+    const memory = createMemory({ ...options, persistToFile: true });
+    await memory._initialized;
+    await memory.addInteraction({ role: 'user', text: 'My card ends in 4242', ts: 1 });
+    const raw = fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8');
+    if (raw.includes('4242') || !raw.includes('aes-256-gcm')) throw new Error('Record stored in plaintext');
+    console.log('✓ Persisted record is AES-256-GCM encrypted');
+
+    const reopened = createMemory({ ...options, persistToFile: true });
+    await reopened._initialized;
+    if (reopened.interactions[0].text !== 'My card ends in 4242' || !reopened.verifyChain().valid) {
+      throw new Error('Encrypted record did not load');
+    }
+    if (reopened.signer.publicKey !== memory.signer.publicKey || !(await reopened.verifyIntegrity()).valid) {
+      throw new Error('Generated signing key was not reused from the encrypted store');
+    }
+    console.log('✓ Record decrypts with the configured key; the generated signing key is reused');
+
+    for (const [label, encryption, code] of [
+      ['wrong key', { key: generateKey() }, 'key-unavailable'],
+      ['no key', null, 'key-required']
+    ]) {
+      const locked = createMemory({ ...options, encryption, persistToFile: true });
+      const error = await locked._initialized.then(() => null, (err) => err);
+      if (!(error instanceof EncryptionError) || error.code !== code || locked.persistToFile) {
+        throw new Error(`Loading with ${label} did not fail clearly`);
+      }
+    }
+    if (fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8') !== raw) {
+      throw new Error('Failed load overwrote the record');
+    }
+    console.log('✓ Wrong or missing key fails with EncryptionError instead of a fresh session');
+
+    const legacy = new InMemoryStorage();
+    const plain = createMemory({ storage: legacy, ownerName: 'legacy', signer: 'ed25519' });
+    await plain.addInteraction({ role: 'user', text: 'Stored before encryption was enabled', ts: 1 });
+    const refused = createMemory({ storage: legacy, ownerName: 'legacy', signer: 'ed25519', encryption: { key } });
+    const plaintextError = await refused._initialized.then(() => null, (err) => err);
+    if (!(plaintextError instanceof EncryptionError) || plaintextError.code !== 'plaintext') {
+      throw new Error('Plaintext record accepted while encryption is configured');
+    }
+    const migrating = createMemory({ storage: legacy, ownerName: 'legacy', signer: 'ed25519', encryption: { key, allowPlaintext: true } });
+    await migrating._initialized;
+    await migrating.addInteraction({ role: 'user', text: 'Written after migration', ts: 2 });
+    const [day] = await legacy.list('legacy');
+    if (migrating.interactions.length !== 2 || !isEncryptedRecord(await legacy.read('legacy', day))) {
+      throw new Error('allowPlaintext did not migrate the record');
+    }
+    console.log('✓ Plaintext records are rejected unless allowPlaintext is set for migration');
+
+    const newKey = generateKey();
+    const result = await reopened.rotateEncryptionKey(newKey);
+    if (result.reencrypted !== 2) throw new Error('Records were not re-encrypted'); // The day and the signing key
+    const rotated = createMemory({ ...options, encryption: { keyProvider: async () => newKey }, persistToFile: true });
+    await rotated._initialized;
+    const stale = createMemory({ ...options, persistToFile: true });
+    const staleError = await stale._initialized.then(() => null, (err) => err);
+    if (rotated.interactions.length !== 1 || !(staleError instanceof EncryptionError)) {
+      throw new Error('Rotation did not switch keys');
+    }
+    console.log('✓ Key rotation re-encrypts records; keyProvider supplies keys');
+
+    const jsonlDir = createTempDir();
+    const jsonl = createMemory({ storage: new JsonlStorage({ dir: jsonlDir }), ownerName: 'log', signer: 'ed25519', encryption: { key } });
+    await jsonl._initialized;
+    await fill(jsonl, 3);
+    const jsonlAgain = createMemory({ storage: new JsonlStorage({ dir: jsonlDir }), ownerName: 'log', signer: 'ed25519', encryption: { key } });
+    await jsonlAgain._initialized;
+    if (jsonlAgain.interactions.length !== 3) throw new Error('Encrypted JSONL log did not replay');
+    console.log('✓ Works with append-only JSONL storage');
+
+    const jsonlKey = generateKey();
+    let removed = 0;
+    jsonlAgain.storage.storage.remove = async () => { removed++; return true; };
+    await jsonlAgain.rotateEncryptionKey(jsonlKey, { keyId: 'jsonl-2' });
+    const logs = fs.readdirSync(jsonlDir).filter(file => file.endsWith('.jsonl'))
+      .map(file => fs.readFileSync(path.join(jsonlDir, file), 'utf8'));
+    fs.rmSync(jsonlDir, { recursive: true, force: true });
+    if (removed !== 0 || logs.some(log => log.trim().split('\n').length !== 1 || !log.includes('jsonl-2'))) {
+      throw new Error('Rotation removed records or left old ciphertext in the log');
+    }
+    console.log('✓ Rotation replaces each record in one step, dropping old ciphertext from JSONL logs');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Encryption test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test12_ConcurrencySafePersistence() {
+  console.log('Test 12: Atomic, Concurrency-Safe Persistence\n');
+
+  const dir = createTempDir();
+  try {
+    const options = { memoryDir: dir, ownerName: 'shared', signer: 'ed25519', persistToFile: true, maxInteractions: 100 };
+
+    const first = await MemoryManager.open({ ...options, summaryAgent: null });
+    await fill(first, 3);
+
+    // No await on initialization: the write must wait for the initial load
+    const eager = createMemory(options);
+    await eager.addInteraction({ role: 'user', text: 'early write', ts: Date.now() });
+    if (eager.interactions.length !== 4 || eager.chainHead.seq !== 4) {
+      throw new Error(`Early write raced the initial load (${eager.interactions.length} interactions)`);
+    }
+    if ((await eager.ready()) !== eager) throw new Error('ready() did not resolve to the memory manager');
+    console.log('✓ Writes before initialization wait for the stored history; open() and ready() resolve once loaded');
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => eager.addInteraction({ role: 'user', text: `parallel ${i}`, ts: i })));
+    if (eager.chainHead.seq !== 14 || !eager.verifyChain().valid) throw new Error('Concurrent writes broke the chain');
+    console.log('✓ Concurrent addInteraction calls are serialized');
+
+    // Two managers on the same owner, as two processes would be
+    await Promise.all([fill(first, 5), fill(eager, 5)]);
+    const merged = await MemoryManager.open({ ...options, summaryAgent: null });
+    if (merged.interactions.length !== 24 || !merged.verifyChain().valid) {
+      throw new Error(`Interleaved writers lost history (${merged.interactions.length} of 24)`);
+    }
+    if (fs.readdirSync(dir).some(file => file.endsWith('.tmp') || file.endsWith('.lock'))) {
+      throw new Error('Temp or lock files left behind');
+    }
+    console.log('✓ Writers sharing an owner reload each other\'s changes; no temp files left');
+
+    const script = `
+      const MemoryManager = require(${JSON.stringify(path.join(__dirname, '../src/core/memory-manager'))});
+      console.log = () => {};
+      (async () => {
+        const memory = await MemoryManager.open(${JSON.stringify(options)});
+        for (let i = 0; i < 5; i++) await memory.addInteraction({ role: 'user', text: 'child ' + i });
+      })().catch((error) => { console.error(error); process.exit(1); });
+    `;
+    const child = new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 30000 }, (error) => (error ? reject(error) : resolve()));
+    });
+    await Promise.all([child, fill(first, 5)]);
+    const afterChild = await MemoryManager.open({ ...options, summaryAgent: null });
+    if (afterChild.interactions.length !== 34 || !afterChild.verifyChain().valid) {
+      throw new Error(`Cross-process writes lost history (${afterChild.interactions.length} of 34)`);
+    }
+    console.log('✓ Another process writing the same owner is serialized by the file lock');
+
+    // A slow SummaryAgent must not keep other writers waiting on the lock
+    const slowOptions = { memoryDir: dir, ownerName: 'slow', signer: 'ed25519', persistToFile: true };
+    const other = await MemoryManager.open({ ...slowOptions, storage: new JsonFileStorage({ dir, lockOptions: { timeout: 1000 } }), maxInteractions: 100 });
+    let lockedWhileSummarizing = null;
+    const summaryAgent = {
+      summarize: async () => {
+        lockedWhileSummarizing = fs.existsSync(path.join(dir, 'slow.lock'));
+        await other.addInteraction({ role: 'user', text: 'written while summarizing', ts: Date.now() });
+        return { summary: 'Summary of the oldest messages' };
+      }
+    };
+    const slow = await MemoryManager.open({ ...slowOptions, summaryAgent, maxInteractions: 2 });
+    await fill(slow, 3);
+    const texts = slow.interactions.map(entry => entry.text);
+    if (lockedWhileSummarizing !== false || slow.summaries.length !== 1 || slow.summaries[0].text !== 'Summary of the oldest messages' ||
+        texts.join() !== 'Message 3,written while summarizing' || !slow.verifyChain().valid) {
+      throw new Error(`Compression held the lock or lost a concurrent write: ${JSON.stringify({ lockedWhileSummarizing, texts })}`);
+    }
+    console.log('✓ The SummaryAgent runs without the lock; the summary is committed on top of concurrent writes');
+
+    fs.writeFileSync(path.join(dir, 'shared.lock'), JSON.stringify({ pid: 2 ** 22 + 1, token: 'dead' }));
+    await afterChild.addInteraction({ role: 'user', text: 'after crash', ts: Date.now() });
+    if (fs.existsSync(path.join(dir, 'shared.lock'))) throw new Error('Stale lock not cleared');
+    console.log('✓ Lock left by a dead process is broken');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Concurrency test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test13_ExportImport() {
+  console.log('Test 13: Export and Import\n');
+
+  try {
+    const source = createMemory({ signer: 'ed25519', ownerName: 'source', maxInteractions: 4 });
+    await fill(source, 7);
+
+    for (const format of ['json', 'jsonl', 'bundle']) {
+      const exported = await source.export({ format });
+      const target = createMemory({ signer: 'ed25519' });
+      const result = await target.import(exported, { mode: 'replace', publicKeys: [source.signer.publicKey] });
+      const report = await target.verifyIntegrity();
+      if (result.format !== format || !report.valid || target.getChainHead().hash !== source.getChainHead().hash) {
+        throw new Error(`${format} round trip failed`);
+      }
+    }
+    console.log('✓ json, jsonl and signed bundle exports round-trip with hashes and signatures');
+
+    const markdown = await source.export({ format: 'markdown' });
+    if (!markdown.startsWith('# Memory Transcript: source') || !markdown.includes('Message 7') || !markdown.includes('## Summaries')) {
+      throw new Error('Markdown transcript incomplete');
+    }
+    const markdownImport = await createMemory().import(markdown).then(() => null, (error) => error);
+    if (!markdownImport) throw new Error('Markdown import should be rejected');
+    console.log('✓ Markdown transcript export (export-only)');
+
+    const tampered = JSON.parse(await source.export());
+    tampered.interactions[0].text = 'rewritten';
+    const bundle = JSON.parse(await source.export({ format: 'bundle' }));
+    bundle.record.exportedAt = new Date(0).toISOString();
+    const failures = await Promise.all([
+      createMemory().import(JSON.stringify(tampered), { trust: true }),
+      createMemory().import(bundle, { trust: true }),
+      createMemory().import(await source.export({ format: 'bundle' }), { publicKeys: [createSigner('ed25519').publicKey] })
+    ].map(attempt => attempt.then(() => null, (error) => error)));
+    if (!failures.every(error => error instanceof IntegrityError)) {
+      throw new Error('Tampered or untrusted imports were accepted');
+    }
+    console.log('✓ Tampered entries, modified bundles and untrusted signers are rejected');
+
+    const victim = createMemory({ signer: 'ed25519' });
+    await fill(victim, 2);
+    const forger = createMemory({ signer: 'ed25519', ownerName: 'forger' });
+    await fill(forger, 3);
+    const forged = await forger.export({ format: 'bundle' });
+    const forgeries = await Promise.all(['replace', 'merge'].map(mode =>
+      victim.import(forged, { mode }).then(() => null, (error) => error)
+    ));
+    if (!forgeries.every(error => error instanceof IntegrityError && error.report.reason === 'untrusted-key') ||
+        victim.trustedKeys.has(forger.signer.publicKey) || victim.getRecentInteractions(10).length !== 2) {
+      throw new Error('A self-signed history from an unknown key was imported or trusted');
+    }
+    console.log('✓ Self-signed exports from unknown keys are rejected unless publicKeys or trust is given');
+
+    const target = createMemory({ signer: 'ed25519', maxInteractions: 50 });
+    await fill(target, 2);
+    const exported = await source.export({ format: 'jsonl' });
+    const merged = await target.import(exported, { publicKeys: [source.signer.publicKey] });
+    const sourceEntries = source.getSummaries().length + source.getRecentInteractions(50).length;
+    if (merged.strategy !== 'append' || merged.imported !== sourceEntries || !target.verifyChain().valid) {
+      throw new Error(`Merge failed: ${JSON.stringify(merged)}`);
+    }
+    if (!target.getRecentInteractions(1)[0].metadata.imported) throw new Error('Provenance not recorded');
+    const again = await target.import(exported, { publicKeys: [source.signer.publicKey] });
+    if (again.imported !== 0 || again.skipped !== sourceEntries) throw new Error('Re-import duplicated entries');
+    console.log('✓ Merge appends missing entries to the local chain, with provenance, idempotently');
+
+    const follower = createMemory({ signer: 'ed25519', maxInteractions: 4 });
+    await follower.import(await source.export(), { mode: 'replace', trust: true });
+    await fill(source, 2);
+    const forward = await follower.import(await source.export());
+    if (forward.strategy !== 'fast-forward' || follower.getChainHead().hash !== source.getChainHead().hash) {
+      throw new Error('Extension of the local history was not fast-forwarded');
+    }
+    console.log('✓ Merge fast-forwards when the import extends the local history');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Export/import test failed:', error.message);
+    return false;
+  }
+}
+
+async function test14_RetentionAndForget() {
+  console.log('Test 14: Retention and Right to Be Forgotten\n');
+
+  const dir = createTempDir();
+  try {
+    const keys = createSigner('ed25519').exportKeys(); // Reused by the reopened session
+    const storage = new JsonlStorage({ dir });
+    const memory = createMemory({ storage, ownerName: 'gdpr', signingKeys: keys, maxInteractions: 4 });
+    memory._getStorageKey = () => '2025-03-03';
+    await memory._initialized;
+    await memory.addInteraction({ role: 'user', text: 'Contact me at jane@example.com', ts: Date.now() });
+    await fill(memory, 3);
+    memory._getStorageKey = () => '2025-03-04';
+    await fill(memory, 3);
+
+    let removed = 0;
+    const remove = storage.remove.bind(storage);
+    storage.remove = async (...args) => { removed++; return remove(...args); };
+    const result = await memory.forget({ match: 'JANE@example.com' });
+    storage.remove = remove;
+    const report = await memory.verifyIntegrity();
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.jsonl'));
+    const contents = files.map(file => fs.readFileSync(path.join(dir, file), 'utf8'));
+    const leaked = contents.some(content => content.includes('jane@example.com'));
+    if (result.forgotten !== 1 || result.rewritten !== 1 || !result.tombstone || !report.valid || leaked) {
+      throw new Error(`Forget failed: ${JSON.stringify({ result, valid: report.valid, leaked })}`);
+    }
+    if (removed !== 0 || contents.some(content => content.trim().split('\n').length !== 1)) {
+      throw new Error('Stored days were removed before being rewritten instead of replaced in one step');
+    }
+    if (result.days.join() !== '2025-03-03,2025-03-04' || !memory.getSummaries()[0].text.includes('[forgotten]')) {
+      throw new Error('Stored days or summaries were not rewritten');
+    }
+    console.log('✓ forget({ match }) erases every stored copy, rewrites summaries and keeps the chain verifiable');
+
+    const reopened = createMemory({ storage: new JsonlStorage({ dir }), ownerName: 'gdpr', signingKeys: keys, maxInteractions: 4 });
+    reopened._getStorageKey = () => '2025-03-04';
+    await reopened._initialized;
+    const newest = reopened.getRecentInteractions(1)[0];
+    await reopened.forget({ ids: [newest.hash] });
+    await fill(reopened, 1);
+    if (!(await reopened.verifyIntegrity()).valid || reopened.getStats().tombstones !== 2) {
+      throw new Error('Chain broken after forgetting by id');
+    }
+    console.log('✓ forget({ ids }) on a reloaded session, with later appends, still verifies');
+
+    const tampered = JSON.parse(await reopened.export());
+    tampered.summaries[0].text += ' (edited)';
+    if (reopened.verifyChain({ entries: tampered }).valid) {
+      throw new Error('Edited rewritten summary passed verification');
+    }
+    console.log('✓ Rewritten summaries are bound to the content hash in the signed tombstone');
+
+    const daily = new InMemoryStorage();
+    for (const day of ['2020-01-01', '2020-01-02', '2020-01-03', '2020-01-04']) {
+      await daily.write('retained', day, { interactions: [], summaries: [], padding: 'x'.repeat(1000) });
+    }
+    const retained = createMemory({ storage: daily, ownerName: 'retained', signer: 'ed25519', retention: { maxDays: 3 } });
+    await retained._initialized;
+    await retained.addInteraction({ role: 'user', text: 'Old question', ts: Date.now() - 10 * 86400000 });
+    await retained.addInteraction({ role: 'user', text: 'New question', ts: Date.now() });
+
+    const byCount = await retained.prune();
+    if (byCount.removedDays.join() !== '2020-01-01,2020-01-02' || byCount.days.length !== 3) {
+      throw new Error(`maxDays pruned ${byCount.removedDays.join()}`);
+    }
+    const byAge = await retained.prune({ maxAge: 5 * 86400000 });
+    if (byAge.removedDays.length !== 2 || byAge.forgotten !== 1 || retained.interactions.length !== 1 || !retained.verifyChain().valid) {
+      throw new Error(`maxAge prune failed: ${JSON.stringify(byAge)}`);
+    }
+    await daily.write('retained', '2020-01-05', { interactions: [], summaries: [], padding: 'x'.repeat(5000) });
+    const bySize = await retained.prune({ maxBytes: 5000 });
+    if (bySize.removedDays.join() !== '2020-01-05' || bySize.bytes > 5000) {
+      throw new Error(`maxBytes prune failed: ${JSON.stringify(bySize)}`);
+    }
+    console.log('✓ prune() enforces maxDays, maxAge (with a tombstone) and maxBytes, keeping the current day');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Retention test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test15_Branching() {
+  console.log('Test 15: Conversation Branches\n');
+
+  try {
+    const keys = createSigner('ed25519').exportKeys(); // Reused by the reopened session
+    const storage = new InMemoryStorage();
+    const memory = createMemory({ storage, ownerName: 'branchy', signingKeys: keys, maxInteractions: 4 });
+    await memory._initialized;
+    await fill(memory, 6);
+
+    const at = memory.getRecentInteractions(2)[0];
+    const branch = await memory.fork(at.hash, { name: 'retry' });
+    await memory.addInteraction({ role: 'user', text: 'Main only', ts: Date.now() });
+    if (branch.parent !== 'main' || branch.at !== at.hash || memory.branch !== 'main') {
+      throw new Error(`Unexpected fork result: ${JSON.stringify(branch)}`);
+    }
+
+    await memory.switchBranch('retry');
+    const shared = memory.interactions.map(entry => entry.text);
+    if (shared[shared.length - 1] !== at.text || shared.includes('Main only')) {
+      throw new Error(`Branch sees the wrong history: ${shared.join(', ')}`);
+    }
+    await memory.addInteraction({ role: 'user', text: 'Retry only', ts: Date.now() });
+    const context = memory.buildContext();
+    if (!context.recentInteractions.some(entry => entry.text === 'Retry only') || context.recentInteractions.some(entry => entry.text === 'Main only')) {
+      throw new Error('buildContext does not follow the active branch');
+    }
+    const names = (await memory.listBranches()).map(meta => `${meta.name}${meta.active ? '*' : ''}`);
+    if (names.join() !== 'main,retry*' || !(await memory.verifyIntegrity()).valid) {
+      throw new Error(`Branch listing or chain wrong: ${names.join()}`);
+    }
+    console.log('✓ fork() shares history up to the fork point; buildContext follows the active branch');
+
+    const stored = await storage.read('branchy@retry', memory._getStorageKey());
+    if (stored.interactions.some(entry => entry.seq <= branch.forkedAt.seq)) {
+      throw new Error('Branch record copies its parent\'s history');
+    }
+    const reopened = createMemory({ storage, ownerName: 'branchy', signingKeys: keys, maxInteractions: 4 });
+    await reopened._initialized;
+    await reopened.switchBranch('retry');
+    if (reopened.interactions.map(entry => entry.text).join() !== memory.interactions.map(entry => entry.text).join() ||
+        !(await reopened.verifyIntegrity()).valid) {
+      throw new Error('Branch did not reload from its parent pointer');
+    }
+    console.log('✓ Branches store only their own entries and reload through the parent pointer');
+
+    const result = await memory.forget({ match: at.text });
+    await memory.switchBranch('main');
+    const day = memory._getStorageKey();
+    const leaked = JSON.stringify([await storage.read('branchy', day), await storage.read('branchy@retry', day)]).includes(at.text);
+    if (result.branches.length !== 2 || leaked || !(await memory.verifyIntegrity()).valid) {
+      throw new Error(`forget() did not cover every branch: ${JSON.stringify(result.branches)}`);
+    }
+    console.log('✓ forget() erases shared entries on every branch');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Branching test failed:', error.message);
+    return false;
+  }
+}
+
+async function test16_FactsAndOpenThreads() {
+  console.log('Test 16: Facts and Open Threads from Summaries\n');
+
+  try {
+    const keys = createSigner('ed25519').exportKeys(); // Reused by the reopened session
+    let call = 0;
+    const summaryAgent = {
+      summarize: async () => {
+        call++;
+        return {
+          summary: `Summary ${call}`,
+          keyPoints: ['Project uses PostgreSQL', `Point ${call}`],
+          contextMeta: {
+            dominantThemes: ['databases'],
+            unresolvedThreads: call === 1 ? ['Pick a migration tool', 'Contact ops at ops@example.com'] : ['pick a  MIGRATION tool'],
+            toneSummary: 'focused'
+          }
+        };
+      }
+    };
+    const storage = new InMemoryStorage();
+    const memory = createMemory({ storage, ownerName: 'facts', signingKeys: keys, maxInteractions: 4, summaryAgent });
+    await memory._initialized;
+    await fill(memory, 8);
+
+    const [summary] = memory.getSummaries();
+    if (!summary.keyPoints || summary.contextMeta.toneSummary !== 'focused' || !(await memory.verifyIntegrity()).valid) {
+      throw new Error('Structured summary fields were not stored and signed');
+    }
+    const tampered = JSON.parse(await memory.export());
+    tampered.summaries[0].keyPoints.push('Injected');
+    if (memory.verifyChain({ entries: tampered }).valid) {
+      throw new Error('Edited key points passed verification');
+    }
+    console.log('✓ Summaries keep keyPoints and contextMeta, covered by their hash and signature');
+
+    const facts = memory.getFacts().map(fact => fact.text);
+    const threads = memory.getOpenThreads().map(thread => thread.text);
+    if (facts.join() !== 'Project uses PostgreSQL,Point 1,Point 2' || threads.length !== 2) {
+      throw new Error(`Unexpected store: ${facts.join()} / ${threads.join()}`);
+    }
+    const context = memory.buildContext();
+    if (context.openThreads.map(thread => thread.text).join() !== threads.join() || context.tokenUsage.threads === 0) {
+      throw new Error('buildContext did not surface open threads');
+    }
+    console.log('✓ Facts and open threads accumulate across summaries without duplicates and reach buildContext');
+
+    const reopened = createMemory({ storage, ownerName: 'facts', signingKeys: keys, maxInteractions: 4 });
+    await reopened._initialized;
+    if (reopened.getFacts().length !== 3 || !(await reopened.resolveThread('Pick a migration tool')) ||
+        reopened.getOpenThreads().length !== 1) {
+      throw new Error('Facts were not persisted or resolveThread failed');
+    }
+    await reopened.forget({ match: 'ops@example.com' });
+    if (reopened.getOpenThreads().length !== 0 || JSON.stringify(reopened.getSummaries()).includes('ops@example.com') ||
+        !(await reopened.verifyIntegrity()).valid) {
+      throw new Error('forget() left the thread or summary metadata behind');
+    }
+    console.log('✓ Stored facts reload, resolveThread() closes threads and forget() scrubs them');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Facts test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_SignsInteractionsAndSummaries,
+    test2_DetectsTampering,
+    test3_KeysAndCustomSigners,
+    test4_HashChain,
+    test5_StorageAdapters,
+    test6_JsonlAppendOnly,
+    test7_CustomStorageAdapter,
+    test8_MultiDayContinuity,
+    test9_TokenBudgetContext,
+    test10_RecallRelevantMemories,
+    test11_EncryptionAtRest,
+    test12_ConcurrencySafePersistence,
+    test13_ExportImport,
+    test14_RetentionAndForget,
+    test15_Branching,
+    test16_FactsAndOpenThreads
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
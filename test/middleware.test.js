@@ -0,0 +1,239 @@
+/**
+ * Middleware Tests
+ * Tests ordering, header and response rewriting, short-circuiting and error handling in client.use()
+ */
+
+const { SchemaICU } = require('../src/client');
+const { APIError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Middleware Tests                                          ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Transport that records requests and answers from a list of `[status, body, contentType]` replies
+ */
+function createTransport(replies = []) {
+  const sent = [];
+  return {
+    sent,
+    send: async (request) => {
+      sent.push(request);
+      const [statusCode, body, contentType = 'application/json'] = replies.shift() || [200, { success: true, data: { response: 'ok' } }];
+      return {
+        statusCode,
+        headers: { 'content-type': contentType },
+        body: [typeof body === 'string' ? body : JSON.stringify(body)],
+        close: () => {}
+      };
+    }
+  };
+}
+
+async function test1_OrderHeadersAndRewriting() {
+  console.log('Test 1: Order, Headers and Response Rewriting\n');
+
+  try {
+    const transport = createTransport();
+    const client = new SchemaICU({ apiKey: 'test-key', transport });
+    const order = [];
+
+    client
+      .use(async (context, next) => {
+        order.push(`trace:${context.method} ${context.endpoint}`);
+        context.headers['X-Trace-Id'] = 'trace-1';
+        const response = await next();
+        order.push(`trace:${response.statusCode}`);
+        return response;
+      })
+      .use(async (context, next) => {
+        order.push('sign');
+        context.headers['X-Signature'] = `sig(${JSON.stringify(context.body)})`;
+        const response = await next();
+        return { ...response, data: { ...response.data, rewritten: true } };
+      });
+
+    const result = await client.codeGenerator.generate('Fibonacci');
+    const [request] = transport.sent;
+    if (order.join() !== 'trace:POST /api/code-generator,sign,trace:200') {
+      throw new Error(`Unexpected order: ${order.join()}`);
+    }
+    if (request.headers['X-Trace-Id'] !== 'trace-1' || request.headers['X-Signature'] !== `sig(${request.body})` ||
+        request.headers['X-API-Key'] !== 'test-key') {
+      throw new Error(`Headers not applied: ${JSON.stringify(request.headers)}`);
+    }
+    if (!result.rewritten) {
+      throw new Error('Rewritten response did not reach the agent caller');
+    }
+    console.log('✓ Middleware runs in order, adds headers over the signed body and rewrites responses');
+
+    await client.auth.login('user@example.com', 'secret');
+    await client.useFutureSelfBridge().planSchema('code-generator', 'test');
+    const endpoints = order.filter(entry => entry.startsWith('trace:POST')).map(entry => entry.split(' ')[1]);
+    if (endpoints.join() !== '/api/code-generator,/auth/login,/schema/generate') {
+      throw new Error(`Not every client went through middleware: ${endpoints.join()}`);
+    }
+    console.log('✓ AuthManager and FutureSelfBridge use the same chain');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Order test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_ShortCircuit() {
+  console.log('Test 2: Short-Circuiting With a Cache\n');
+
+  try {
+    const transport = createTransport();
+    const client = new SchemaICU({ apiKey: 'test-key', transport });
+    const cache = new Map();
+
+    client.use(async (context, next) => {
+      const key = `${context.endpoint}:${JSON.stringify(context.body)}`;
+      if (cache.has(key)) {
+        return cache.get(key);
+      }
+      const response = await next();
+      cache.set(key, response);
+      return response;
+    });
+
+    const first = await client.toolChoice.recommend('Pick a database');
+    const second = await client.toolChoice.recommend('Pick a database');
+    if (transport.sent.length !== 1 || first.data.response !== second.data.response) {
+      throw new Error(`Expected one request, saw ${transport.sent.length}`);
+    }
+    console.log('✓ A cached response is returned without a request');
+
+    const cached = { statusCode: 200, data: { success: true, data: { response: 'cached plan' } }, headers: {} };
+    const streaming = new SchemaICU({
+      apiKey: 'test-key',
+      transport,
+      middleware: [async (context, next) => (context.stream ? cached : next())]
+    });
+    const events = [];
+    for await (const event of streaming.projectPlanner.planStream('Plan a blog')) {
+      events.push(event);
+    }
+    if (events.length !== 1 || events[0].type !== 'result' || events[0].result.data.response !== 'cached plan' || transport.sent.length !== 1) {
+      throw new Error(`Unexpected stream events: ${JSON.stringify(events)}`);
+    }
+    console.log('✓ Short-circuiting a stream yields the response as its final result');
+
+    const answered = [];
+    const empty = new SchemaICU({ apiKey: 'test-key', transport, middleware: [async () => ({ statusCode: 204, headers: {} })] });
+    for await (const event of empty.projectPlanner.planStream('Plan a blog')) {
+      answered.push(event);
+    }
+    const replayed = new SchemaICU({
+      apiKey: 'test-key',
+      transport,
+      middleware: [async () => ({ statusCode: 200, headers: {}, body: ['{"type":"result","success":true,"data":{"response":"replayed"}}\n'] })]
+    });
+    for await (const event of replayed.projectPlanner.planStream('Plan a blog')) {
+      answered.push(event);
+    }
+    if (answered.length !== 2 || answered[0].result !== null || answered[1].result.data.response !== 'replayed' || transport.sent.length !== 1) {
+      throw new Error(`Unexpected short-circuit stream events: ${JSON.stringify(answered)}`);
+    }
+    console.log('✓ Stream responses from middleware without data, or without close(), end cleanly');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Short-circuit test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_Errors() {
+  console.log('Test 3: Errors and Retries\n');
+
+  try {
+    const transport = createTransport([[503, 'Busy', 'text/plain'], [500, { error: 'Model crashed' }]]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport, retryAttempts: 1, retryDelay: 1 });
+    const seen = [];
+
+    client.use(async (context, next) => {
+      try {
+        return await next();
+      } catch (error) {
+        seen.push(error);
+        if (error instanceof APIError && error.statusCode >= 500) {
+          return { statusCode: 200, data: { success: false, fallback: true }, headers: {} };
+        }
+        throw error;
+      }
+    });
+
+    const result = await client.base.query('test');
+    if (!result.fallback || seen.length !== 1 || seen[0].message !== 'Model crashed' || transport.sent.length !== 2) {
+      throw new Error(`Unexpected outcome: ${JSON.stringify({ result, seen: seen.map(error => error.message), sent: transport.sent.length })}`);
+    }
+    console.log('✓ Middleware sees the final error once retries are exhausted and can recover');
+
+    const forgetful = new SchemaICU({ apiKey: 'test-key', transport, middleware: [async function forgetful(context, next) { await next(); }] });
+    try {
+      await forgetful.base.query('test');
+      throw new Error('Middleware returning nothing was accepted');
+    } catch (error) {
+      if (!error.message.includes('Middleware forgetful returned nothing')) throw error;
+    }
+    try {
+      client.use('not a function');
+      throw new Error('Non-function middleware was accepted');
+    } catch (error) {
+      if (!error.message.includes('must be a function')) throw error;
+    }
+    console.log('✓ Middleware that returns nothing, and non-functions, are rejected');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Error test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_OrderHeadersAndRewriting,
+    test2_ShortCircuit,
+    test3_Errors
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,204 @@
+/**
+ * Rate Limit Tests
+ * Tests header parsing, client.getRateLimitState(), RateLimitError details and the optional limiter
+ */
+
+const { SchemaICU } = require('../src/client');
+const { parseRateLimitHeaders } = require('../src/utils/rate-limit');
+const { RateLimitError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Rate Limit Tests                                          ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Transport that answers from a list of `[status, headers]` replies (default: 200 without headers)
+ */
+function createTransport(replies = []) {
+  const sent = [];
+  return {
+    sent,
+    send: async (request) => {
+      sent.push(request);
+      const [statusCode, headers] = replies.shift() || [200, {}];
+      const body = statusCode === 429 ? { error: 'Daily limit reached' } : { success: true, data: { response: 'ok' } };
+      return { statusCode, headers: { 'content-type': 'application/json', ...headers }, body: [JSON.stringify(body)], close: () => {} };
+    }
+  };
+}
+
+function near(actual, expected, tolerance = 2000) {
+  return actual !== null && Math.abs(actual - expected) <= tolerance;
+}
+
+async function test1_HeaderParsing() {
+  console.log('Test 1: Header Parsing\n');
+
+  try {
+    const now = Date.now();
+    const epochReset = Math.floor(now / 1000) + 3600;
+
+    const classic = parseRateLimitHeaders({ 'X-RateLimit-Limit': '21', 'X-RateLimit-Remaining': '20', 'X-RateLimit-Reset': String(epochReset) });
+    if (classic.limit !== 21 || classic.remaining !== 20 || classic.resetAt !== epochReset * 1000 || classic.retryAfter !== null) {
+      throw new Error(`X-RateLimit-* parsed as ${JSON.stringify(classic)}`);
+    }
+
+    const ietf = parseRateLimitHeaders({ 'ratelimit-limit': '100, 100;w=60', 'ratelimit-remaining': '0', 'ratelimit-reset': '30' });
+    if (ietf.limit !== 100 || ietf.remaining !== 0 || !near(ietf.resetAt, now + 30000) || !near(ietf.retryAfter, 30000)) {
+      throw new Error(`RateLimit-* parsed as ${JSON.stringify(ietf)}`);
+    }
+
+    const structured = parseRateLimitHeaders({ ratelimit: 'limit=200, remaining=150, reset=60' });
+    const quota = parseRateLimitHeaders({ 'x-quota-limit': '200', 'x-quota-remaining': '7', 'retry-after': '5' });
+    if (structured.limit !== 200 || structured.remaining !== 150 || quota.remaining !== 7 || quota.retryAfter !== 5000) {
+      throw new Error(`Structured/quota headers parsed as ${JSON.stringify({ structured, quota })}`);
+    }
+    console.log('✓ X-RateLimit-*, RateLimit-*, structured RateLimit and X-Quota-* headers');
+
+    if (parseRateLimitHeaders({ 'content-type': 'application/json' }) !== null || parseRateLimitHeaders(null) !== null) {
+      throw new Error('Responses without rate-limit headers should parse to null');
+    }
+    console.log('✓ Responses without rate-limit headers are ignored');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Header parsing test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_StateAndErrors() {
+  console.log('Test 2: getRateLimitState() and RateLimitError\n');
+
+  try {
+    const resetAt = (Math.floor(Date.now() / 1000) + 7200) * 1000;
+    const transport = createTransport([
+      [200, { 'x-ratelimit-limit': '21', 'x-ratelimit-remaining': '1', 'x-ratelimit-reset': String(resetAt / 1000) }],
+      [200, {}],
+      [429, { 'x-ratelimit-limit': '21', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt / 1000) }]
+    ]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport });
+
+    if (client.getRateLimitState() !== null) {
+      throw new Error('State exists before any response');
+    }
+    await client.base.query('first');
+    await client.auth.getMe();
+    const state = client.getRateLimitState();
+    if (state.limit !== 21 || state.remaining !== 1 || state.resetAt !== resetAt || !state.updatedAt) {
+      throw new Error(`Unexpected state: ${JSON.stringify(state)}`);
+    }
+    console.log('✓ State follows the latest headers; responses without headers keep it');
+
+    try {
+      await client.codeGenerator.generate('third');
+      throw new Error('429 did not raise RateLimitError');
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || error.limit !== 21 || error.remaining !== 0 || error.resetAt !== resetAt ||
+          !near(error.retryAfter, resetAt - Date.now()) || error.local) {
+        throw new Error(`Unexpected error: ${error.name} ${JSON.stringify(error)}`);
+      }
+    }
+    if (transport.sent.length !== 3 || client.getRateLimitState().remaining !== 0) {
+      throw new Error('A 429 with a two-hour reset should not be retried');
+    }
+    console.log('✓ RateLimitError carries retryAfter, limit, remaining and resetAt; a far-off reset is not retried');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ State test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_Limiter() {
+  console.log('Test 3: Client-Side Limiter\n');
+
+  try {
+    const resetIn = 60;
+    const transport = createTransport([[200, { 'ratelimit-limit': '21', 'ratelimit-remaining': '0', 'ratelimit-reset': String(resetIn) }]]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport, rateLimit: true });
+    await client.base.query('last one');
+    try {
+      await client.base.query('over the limit');
+      throw new Error('Call beyond the server quota was sent');
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || !error.local || !near(error.retryAfter, resetIn * 1000) || transport.sent.length !== 1) {
+        throw error;
+      }
+    }
+    console.log('✓ rateLimit: true refuses calls while the server reports none remaining');
+
+    const bucketTransport = createTransport();
+    const bucketed = new SchemaICU({ apiKey: 'test-key', transport: bucketTransport, rateLimit: { limit: 2, interval: 60000 } });
+    await bucketed.base.query('1');
+    await bucketed.base.query('2');
+    try {
+      await bucketed.base.query('3');
+      throw new Error('Token bucket did not refuse the third call');
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || !error.local || bucketTransport.sent.length !== 2) throw error;
+    }
+    if (bucketed.getRateLimitState().bucket.capacity !== 2 || bucketed.getRateLimitState().bucket.tokens !== 0) {
+      throw new Error(`Unexpected bucket state: ${JSON.stringify(bucketed.getRateLimitState())}`);
+    }
+    console.log('✓ A token bucket refuses calls beyond limit per interval without sending them');
+
+    const waiting = new SchemaICU({ apiKey: 'test-key', transport: createTransport(), rateLimit: { limit: 1, interval: 200, wait: true } });
+    await waiting.base.query('1');
+    const started = Date.now();
+    await waiting.base.query('2');
+    if (Date.now() - started < 150) {
+      throw new Error('wait: true did not wait for a token');
+    }
+    console.log('✓ wait: true waits for the next token instead of throwing');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Limiter test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_HeaderParsing,
+    test2_StateAndErrors,
+    test3_Limiter
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,190 @@
+/**
+ * Response Metadata Tests
+ * Tests the { raw: true } envelope, client.lastResponse and request IDs on errors
+ */
+
+const { SchemaICU } = require('../src/client');
+const { APIError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Response Metadata Tests                                   ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+/**
+ * Transport that records requests and answers from a list of `[status, body, headers]` replies
+ */
+function createTransport(replies = []) {
+  const sent = [];
+  return {
+    sent,
+    send: async (request) => {
+      sent.push(request);
+      const [statusCode, body, headers = {}] = replies.shift() || [200, { success: true, data: { response: 'ok' } }];
+      const text = typeof body === 'string' ? body : JSON.stringify(body);
+      return {
+        statusCode,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: text.split(/(?<=\n)/),
+        close: () => {}
+      };
+    }
+  };
+}
+
+async function test1_RawEnvelope() {
+  console.log('Test 1: { raw: true } Envelope\n');
+
+  try {
+    const body = { success: true, data: { response: 'déjà vu' } };
+    const transport = createTransport([[200, body, { 'x-request-id': 'req-123' }], [200, body]]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport });
+
+    if (client.lastResponse !== null) {
+      throw new Error('lastResponse set before any call');
+    }
+
+    const { data, response } = await client.codeGenerator.generate('Fibonacci', { raw: true });
+    if (data.data.response !== 'déjà vu') {
+      throw new Error(`Unexpected data: ${JSON.stringify(data)}`);
+    }
+    if (response.statusCode !== 200 || response.requestId !== 'req-123' || response.headers['x-request-id'] !== 'req-123' ||
+        response.endpoint !== '/api/code-generator' || response.method !== 'POST' ||
+        response.attempts !== 1 || response.retries !== 0 || !(response.latency >= 0)) {
+      throw new Error(`Unexpected envelope: ${JSON.stringify(response)}`);
+    }
+    if (response.bytesSent !== transport.sent[0].headers['Content-Length'] ||
+        response.bytesReceived !== new TextEncoder().encode(JSON.stringify(body)).length) {
+      throw new Error(`Unexpected sizes: ${response.bytesSent}/${response.bytesReceived}`);
+    }
+    if (JSON.stringify(transport.sent[0].body).includes('raw')) {
+      throw new Error('raw was sent to the server as context');
+    }
+    console.log('✓ Agents return { data, response } with status, headers, request ID, latency, retries and sizes');
+
+    const plain = await client.codeGenerator.generate('Fibonacci');
+    if (plain.data.response !== 'déjà vu' || 'meta' in plain || client.lastResponse.requestId !== null) {
+      throw new Error(`Unexpected plain result: ${JSON.stringify(plain)}`);
+    }
+    if (client.lastResponse === response || client.lastResponse.attempts !== 1) {
+      throw new Error('lastResponse was not replaced by the newest call');
+    }
+    console.log('✓ Without raw, agents return the data and client.lastResponse holds the envelope');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Raw envelope test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_Failures() {
+  console.log('Test 2: Request IDs on Failures\n');
+
+  try {
+    const transport = createTransport([
+      [503, 'Busy', { 'content-type': 'text/plain', 'x-request-id': 'req-busy' }],
+      [500, { error: 'Model crashed' }, { 'X-Request-Id': 'req-crash' }]
+    ]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport, retryAttempts: 1, retryDelay: 1 });
+
+    try {
+      await client.emailAgent.composeFormal('Quarterly update', { raw: true });
+      throw new Error('500 did not fail');
+    } catch (error) {
+      if (!(error instanceof APIError) || error.requestId !== 'req-crash') {
+        throw new Error(`Unexpected error: ${error.name} ${error.message} (${error.requestId})`);
+      }
+      if (error.meta.statusCode !== 500 || error.meta.attempts !== 2 || error.meta.retries !== 1 || client.lastResponse !== error.meta) {
+        throw new Error(`Unexpected error envelope: ${JSON.stringify(error.meta)}`);
+      }
+    }
+    console.log('✓ Errors carry the last attempt\'s request ID and the envelope; lastResponse records failures');
+
+    await client.auth.getMe();
+    if (client.lastResponse.endpoint !== '/auth/me' || client.lastResponse.method !== 'GET' || client.lastResponse.bytesSent !== 0) {
+      throw new Error(`AuthManager call not recorded: ${JSON.stringify(client.lastResponse)}`);
+    }
+    console.log('✓ AuthManager calls are recorded too');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Failure test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_StreamsAndMiddleware() {
+  console.log('Test 3: Streams and Middleware\n');
+
+  try {
+    const lines = '{"type":"text","text":"Phase 1"}\n{"type":"result","success":true,"data":{"response":"plan"}}\n';
+    const transport = createTransport([[200, lines, { 'content-type': 'application/x-ndjson', 'cf-ray': 'ray-1' }]]);
+    const client = new SchemaICU({ apiKey: 'test-key', transport });
+
+    const events = [];
+    for await (const event of client.projectPlanner.planStream('Plan a blog')) {
+      events.push(event);
+    }
+    const streamed = client.lastResponse;
+    if (events.length !== 2 || streamed.requestId !== 'ray-1' || streamed.statusCode !== 200 ||
+        streamed.bytesReceived !== new TextEncoder().encode(lines).length) {
+      throw new Error(`Unexpected stream envelope: ${JSON.stringify(streamed)}`);
+    }
+    console.log('✓ Streams record the envelope when they open and count bytes as they are read');
+
+    client.use(async () => ({ statusCode: 203, data: { success: true, cached: true }, headers: { 'X-Request-Id': 'cache-hit' } }));
+    const { data, response } = await client.base.query('cached', { raw: true });
+    if (!data.cached || response.attempts !== 0 || response.statusCode !== 203 || response.requestId !== 'cache-hit' || transport.sent.length !== 1) {
+      throw new Error(`Unexpected short-circuit envelope: ${JSON.stringify(response)}`);
+    }
+    console.log('✓ Responses from middleware have an envelope with attempts: 0');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Stream test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_RawEnvelope,
+    test2_Failures,
+    test3_StreamsAndMiddleware
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,217 @@
+/**
+ * Session Registry Tests
+ * Tests multi-session memory: lifecycle, isolation, LRU and idle eviction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SchemaICU } = require('../src/client');
+const { SessionRegistry } = require('../src/core/session-registry');
+const MemoryManager = require('../src/core/memory-manager');
+const { createSigner } = require('../src/crypto/signers');
+const { InMemoryStorage } = require('../src/storage');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Session Registry Tests                                    ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+function createRegistry(options = {}) {
+  return new SessionRegistry({
+    factory: (memoryOptions) => new MemoryManager({ persistToFile: false, signer: 'ed25519', ...memoryOptions }),
+    ...options
+  });
+}
+
+async function test1_SessionLifecycle() {
+  console.log('Test 1: Create, Get, List and Close Sessions\n');
+
+  try {
+    const registry = createRegistry();
+    const alice = registry.create('user-alice');
+    await registry.open('thread-42');
+
+    if (registry.get('user-alice') !== alice || alice.ownerName !== 'user-alice') {
+      throw new Error('get() did not return the created session');
+    }
+    const ids = registry.list().map(session => session.id);
+    if (ids.join() !== 'user-alice,thread-42') throw new Error(`Unexpected list order: ${ids.join()}`);
+    console.log('✓ Sessions are created, fetched and listed most recently used first');
+
+    let duplicate = null;
+    try { registry.create('user-alice'); } catch (error) { duplicate = error; }
+    let invalid = null;
+    try { registry.create('../etc'); } catch (error) { invalid = error; }
+    if (!duplicate || !invalid) throw new Error('Duplicate or unsafe IDs were accepted');
+    console.log('✓ Duplicate and path-unsafe session IDs are rejected');
+
+    const pending = alice.addInteraction({ role: 'user', text: 'hello', ts: 1 });
+    const closed = await registry.close('user-alice');
+    await pending;
+    if (!closed || registry.has('user-alice') || registry.size !== 1) throw new Error('close() did not remove the session');
+    console.log('✓ close() waits for pending writes and removes the session');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Lifecycle test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_NoCrossSessionLeakage() {
+  console.log('Test 2: Sessions Do Not Leak Into Each Other\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-icu-sessions-'));
+  try {
+    const client = new SchemaICU({ apiKey: 'test-key' });
+    const options = { memoryDir: dir, signer: 'ed25519', summaryAgent: null };
+
+    const alice = await client.sessions.open('alice', options);
+    const bob = await client.sessions.open('bob', options);
+    await alice.addInteraction({ role: 'user', text: 'alice secret', ts: 1 });
+    await bob.addInteraction({ role: 'user', text: 'bob question', ts: 2 });
+
+    const files = fs.readdirSync(dir).sort();
+    // One day record per owner; unencrypted sessions store no signing key
+    if (files.length !== 2 || !files[0].startsWith('alice-memory-') || !files[1].startsWith('bob-memory-')) {
+      throw new Error(`Unexpected files: ${files.join()}`);
+    }
+    if (alice.getStats().signerPublicKey === bob.getStats().signerPublicKey) {
+      throw new Error('Sessions share a signing key');
+    }
+    if (JSON.stringify(bob.buildContext()).includes('alice secret')) throw new Error('Bob sees Alice\'s memory');
+    console.log('✓ Each session persists to its own files and builds its own context');
+
+    await client.sessions.closeAll();
+    const reopened = await client.sessions.open('alice', options);
+    if (reopened.interactions.length !== 1 || reopened.interactions[0].text !== 'alice secret') {
+      throw new Error('Reopened session did not reload its own history');
+    }
+    if (client.getMemorySession('alice') !== reopened || client.getMemorySession() !== null) {
+      throw new Error('getMemorySession(id) does not resolve registry sessions');
+    }
+    console.log('✓ Closed sessions reload their own history; getMemorySession(id) resolves them');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Isolation test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function test3_Eviction() {
+  console.log('Test 3: LRU and Idle Eviction\n');
+
+  try {
+    const evicted = [];
+    const registry = createRegistry({ maxSessions: 2, onEvict: (id, memory, reason) => evicted.push(`${id}:${reason}`) });
+    registry.create('a');
+    registry.create('b');
+    registry.get('a');
+    registry.create('c');
+    if (registry.has('b') || !registry.has('a') || evicted.join() !== 'b:lru') {
+      throw new Error(`LRU evicted the wrong session: ${evicted.join()}`);
+    }
+    console.log('✓ Least recently used session is evicted beyond maxSessions');
+
+    const idle = createRegistry({ idleTimeout: 30, onEvict: (id, memory, reason) => evicted.push(`${id}:${reason}`) });
+    idle.create('sleepy');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    idle.create('fresh');
+    if (idle.get('sleepy') !== null || !idle.has('fresh') || !evicted.includes('sleepy:idle')) {
+      throw new Error('Idle session was not evicted');
+    }
+    console.log('✓ Sessions idle beyond idleTimeout are evicted');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Eviction test failed:', error.message);
+    return false;
+  }
+}
+
+async function test4_ReopenWaitsForPendingWrites() {
+  console.log('Test 4: Reopening an Evicted Session Waits for Its Writes\n');
+
+  try {
+    // Slow writes keep the evicted manager's adds pending while the session is reopened
+    const storage = new InMemoryStorage();
+    const write = storage.write.bind(storage);
+    storage.write = async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return write(...args);
+    };
+    const keys = createSigner('ed25519').exportKeys(); // Reused by the reopened session
+    const registry = new SessionRegistry({
+      factory: (memoryOptions) => new MemoryManager({ storage, signingKeys: keys, ...memoryOptions })
+    });
+
+    const first = registry.create('carol');
+    const pending = [1, 2, 3].map(ts => first.addInteraction({ role: 'user', text: `written before eviction ${ts}`, ts }));
+    registry.evict('carol');
+    const reopened = await registry.open('carol');
+    await Promise.all(pending);
+    if (reopened === first || reopened.interactions.length !== 3 || reopened.interactions[2].text !== 'written before eviction 3') {
+      throw new Error('Reopened session did not see the evicted session\'s pending write');
+    }
+    console.log('✓ A reopened session loads history only after the evicted manager has flushed');
+
+    await registry.close('carol');
+    let rejected = null;
+    try { await reopened.addInteraction({ role: 'user', text: 'too late', ts: 2 }); } catch (error) { rejected = error; }
+    if (!rejected || !/closed/.test(rejected.message)) throw new Error('A closed session accepted a write');
+    console.log('✓ close() flushes the manager and later writes are rejected');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Reopen test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_SessionLifecycle,
+    test2_NoCrossSessionLeakage,
+    test3_Eviction,
+    test4_ReopenWaitsForPendingWrites
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
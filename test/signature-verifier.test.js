@@ -0,0 +1,351 @@
+/**
+ * Signature Verification Tests
+ * Signs responses locally and checks the offline verifier's verdicts
+ */
+
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { ml_dsa65, ml_dsa87 } = require('@noble/post-quantum/ml-dsa');
+const { SchemaICU } = require('../src/client');
+const { SignatureVerifier, verifyResponse } = require('../src/crypto/signature-verifier');
+const { KeyRegistry } = require('../src/crypto/key-registry');
+const { canonicalize } = require('../src/crypto/canonical');
+const { SignatureError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Signature Verification Tests                              ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+const verifier = new SignatureVerifier();
+
+function createPayload() {
+  return {
+    success: true,
+    code: 'function add(a, b) { return a + b; }',
+    complexity: 'low',
+    timestamp: '2025-12-19T05:13:51.000Z'
+  };
+}
+
+function signEcdsa(payload) {
+  const privateKey = secp256k1.utils.randomPrivateKey();
+  const hash = verifier.hash(payload);
+  const signature = secp256k1.sign(Buffer.from(hash, 'hex'), privateKey);
+  return {
+    ...payload,
+    signature: {
+      hash,
+      signature: Buffer.from(signature.toDERRawBytes()).toString('base64'),
+      publicKey: Buffer.from(secp256k1.getPublicKey(privateKey, true)).toString('hex'),
+      algorithm: 'ecdsa',
+      suite: 'bsv-ecdsa-secp256k1',
+      signedAt: new Date().toISOString()
+    }
+  };
+}
+
+function signMlDsa(payload, scheme, algorithm) {
+  const keys = scheme.keygen();
+  const hash = verifier.hash(payload);
+  const signature = scheme.sign(keys.secretKey, Buffer.from(hash, 'hex'));
+  return {
+    ...payload,
+    signature: {
+      hash,
+      signature: Buffer.from(signature).toString('base64'),
+      publicKey: Buffer.from(keys.publicKey).toString('hex'),
+      algorithm,
+      suite: algorithm,
+      quantumResistant: true,
+      signedAt: new Date().toISOString()
+    }
+  };
+}
+
+async function test1_CanonicalHash() {
+  console.log('Test 1: Canonical Payload Hash\n');
+
+  try {
+    const a = canonicalize({ b: 1, a: { d: [1, 2], c: 'x' } });
+    const b = canonicalize({ a: { c: 'x', d: [1, 2] }, b: 1 });
+    if (a !== b) throw new Error('Key order changed canonical form');
+    console.log('✓ Canonical JSON ignores key order');
+
+    const result = { ...createPayload(), futureSelfBridge: { attempts: 1 } };
+    if (verifier.hash(result) !== verifier.hash(createPayload())) {
+      throw new Error('SDK-added fields were included in the payload hash');
+    }
+    console.log('✓ signature and futureSelfBridge excluded from the payload');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Canonical hash test failed:', error.message);
+    return false;
+  }
+}
+
+async function test2_ValidSignatures() {
+  console.log('Test 2: Valid Signatures Verify\n');
+
+  try {
+    const responses = [
+      signEcdsa(createPayload()),
+      signMlDsa(createPayload(), ml_dsa65, 'ml-dsa-65'),
+      signMlDsa(createPayload(), ml_dsa87, 'ml-dsa-87')
+    ];
+
+    for (const response of responses) {
+      const verdict = verifyResponse(response);
+      if (!verdict.valid) {
+        throw new Error(`${response.signature.suite}: ${verdict.reason}`);
+      }
+      console.log(`✓ ${verdict.algorithm} verified`);
+    }
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Valid signature test failed:', error.message);
+    return false;
+  }
+}
+
+async function test3_FailedChecks() {
+  console.log('Test 3: Verdict Names the Failed Check\n');
+
+  try {
+    const cases = [
+      ['structure', {}],
+      ['algorithm', { ...signEcdsa(createPayload()), signature: { ...signEcdsa(createPayload()).signature, suite: 'rsa', algorithm: 'rsa' } }],
+      ['hash', { ...signEcdsa(createPayload()), code: 'tampered' }],
+      ['signature', (() => {
+        const response = signMlDsa(createPayload(), ml_dsa65, 'ml-dsa-65');
+        const other = signMlDsa(createPayload(), ml_dsa65, 'ml-dsa-65');
+        response.signature.publicKey = other.signature.publicKey;
+        return response;
+      })()],
+      ['publicKey', (() => {
+        const response = signMlDsa(createPayload(), ml_dsa87, 'ml-dsa-87');
+        response.signature.publicKey = '8a4b02f0eafac5d36676e5b68d05667e23a295185cf45a0c04ac04fe7d9bcd89';
+        return response;
+      })()]
+    ];
+
+    for (const [expected, response] of cases) {
+      const verdict = verifyResponse(response);
+      if (verdict.valid || verdict.failedCheck !== expected) {
+        throw new Error(`Expected failedCheck "${expected}", got "${verdict.failedCheck}"`);
+      }
+      console.log(`✓ ${expected} failure reported: ${verdict.reason}`);
+    }
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Failed check test failed:', error.message);
+    return false;
+  }
+}
+
+async function test4_ClientNamespace() {
+  console.log('Test 4: client.verify Namespace\n');
+
+  try {
+    const client = new SchemaICU({ apiKey: 'test-key' });
+    const response = signEcdsa(createPayload());
+
+    if (!client.verify.response(response).valid) throw new Error('client.verify.response failed');
+    if (!client.verify.signature(response.signature).valid) throw new Error('client.verify.signature failed');
+    console.log('✓ client.verify.response() and client.verify.signature() work');
+    console.log('✓ Supported suites:', client.verify.supportedAlgorithms().join(', '));
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Client namespace test failed:', error.message);
+    return false;
+  }
+}
+
+async function test5_KeyRegistryTrust() {
+  console.log('Test 5: Key Registry Trust Check\n');
+
+  try {
+    const response = signEcdsa(createPayload());
+    const registry = new KeyRegistry({
+      keys: [{ keyId: 'server-2025', algorithm: 'ecdsa', publicKey: response.signature.publicKey }]
+    });
+
+    const trusted = verifier.response(response, { keyRegistry: registry });
+    if (!trusted.valid || !trusted.checks.trust || trusted.key.keyId !== 'server-2025') {
+      throw new Error(`Pinned key not trusted: ${trusted.reason}`);
+    }
+    console.log('✓ Pinned key trusted:', trusted.key.keyId);
+
+    const stranger = verifier.response(signEcdsa(createPayload()), { keyRegistry: registry });
+    if (stranger.valid || stranger.failedCheck !== 'trust' || !stranger.checks.signature) {
+      throw new Error('Unknown key was trusted');
+    }
+    console.log('✓ Valid signature from an unknown key fails the trust check');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Key registry test failed:', error.message);
+    return false;
+  }
+}
+
+async function test6_KeyRotation() {
+  console.log('Test 6: Validity Windows and Rotation\n');
+
+  try {
+    const registry = new KeyRegistry({
+      keys: [{
+        keyId: 'old',
+        algorithm: 'ml-dsa-65',
+        publicKey: 'aa'.repeat(32),
+        validFrom: '2025-01-01T00:00:00.000Z'
+      }]
+    });
+
+    if (registry.check('aa'.repeat(32), 'ml-dsa-65', '2024-06-01T00:00:00.000Z').trusted) {
+      throw new Error('Key trusted before validFrom');
+    }
+    console.log('✓ Key rejected before validFrom');
+
+    registry.rotate('old', { keyId: 'new', algorithm: 'ml-dsa-65', publicKey: 'bb'.repeat(32) }, { graceMs: 60000 });
+    if (!registry.check('aa'.repeat(32), 'ml-dsa-65').trusted) throw new Error('Old key not valid during grace period');
+    if (registry.check('aa'.repeat(32), 'ml-dsa-65', Date.now() + 120000).trusted) throw new Error('Old key valid after grace period');
+    if (!registry.check('bb'.repeat(32), 'ml-dsa-65').trusted) throw new Error('New key not trusted');
+    if (registry.getKey('old').replacedBy !== 'new') throw new Error('Rotation metadata missing');
+    console.log('✓ Old key honored during grace period, then expires');
+    console.log('✓ Rotation recorded: old.replacedBy =', registry.getKey('old').replacedBy);
+
+    registry.revoke('new');
+    if (registry.check('bb'.repeat(32), 'ml-dsa-65').trusted) throw new Error('Revoked key trusted');
+    console.log('✓ Revoked key rejected');
+
+    const backdated = signEcdsa(createPayload());
+    backdated.signature.signedAt = '2020-01-01T00:00:00.000Z';
+    const revoked = new KeyRegistry({
+      keys: [{ keyId: 'leaked', algorithm: 'ecdsa', publicKey: backdated.signature.publicKey, validUntil: '2030-01-01T00:00:00.000Z' }]
+    });
+    revoked.revoke('leaked', '2024-01-01T00:00:00.000Z');
+    const verdict = verifier.response(backdated, { keyRegistry: revoked });
+    if (verdict.valid || verdict.failedCheck !== 'trust') {
+      throw new Error('Backdated signedAt bypassed revocation');
+    }
+    console.log('✓ Backdated signedAt does not bypass revocation');
+
+    const restored = KeyRegistry.from(JSON.parse(JSON.stringify(registry)));
+    if (restored.list().length !== 2 || restored.getKey('old').replacedBy !== 'new') {
+      throw new Error('Registry did not survive serialization');
+    }
+    console.log('✓ Registry round-trips through JSON');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Key rotation test failed:', error.message);
+    return false;
+  }
+}
+
+async function test7_AgentSignaturePolicy() {
+  console.log('Test 7: Agent Signature Policy\n');
+
+  try {
+    const pinned = signEcdsa(createPayload());
+    const client = new SchemaICU({
+      apiKey: 'test-key',
+      trustedKeys: [{ algorithm: 'ecdsa', publicKey: pinned.signature.publicKey }],
+      signaturePolicy: 'strict'
+    });
+
+    let next = pinned;
+    client.codeGenerator.http.post = async () => ({ statusCode: 200, data: next, headers: {} });
+
+    const ok = await client.codeGenerator.generate('add two numbers');
+    if (!ok.signatureVerification || !ok.signatureVerification.valid) {
+      throw new Error('Strict mode did not attach a valid verdict');
+    }
+    console.log('✓ Strict mode passes responses signed by a pinned key');
+
+    next = signEcdsa(createPayload());
+    try {
+      await client.codeGenerator.generate('add two numbers');
+      throw new Error('Strict mode accepted an unknown key');
+    } catch (error) {
+      if (!(error instanceof SignatureError) || error.verdict.failedCheck !== 'trust') throw error;
+    }
+    console.log('✓ Strict mode throws SignatureError for an unknown key');
+
+    next = signEcdsa(createPayload());
+    const flagged = await client.codeGenerator.generate('add two numbers', { signaturePolicy: 'flag' });
+    if (flagged.signatureVerification.valid || flagged.signatureVerification.failedCheck !== 'trust') {
+      throw new Error('Flag mode did not report the unknown key');
+    }
+    console.log('✓ Per-call flag mode attaches the failing verdict instead of throwing');
+
+    const unpinned = new SchemaICU({ apiKey: 'test-key', signaturePolicy: 'strict' });
+    unpinned.codeGenerator.http.post = async () => ({ statusCode: 200, data: signEcdsa(createPayload()), headers: {} });
+    try {
+      await unpinned.codeGenerator.generate('add two numbers');
+      throw new Error('Strict mode without pinned keys accepted a self-signed response');
+    } catch (error) {
+      if (!(error instanceof SignatureError) || error.verdict.failedCheck !== 'trust') throw error;
+    }
+    console.log('✓ Strict mode without pinned keys fails the trust check');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Agent signature policy test failed:', error.message);
+    return false;
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_CanonicalHash,
+    test2_ValidSignatures,
+    test3_FailedChecks,
+    test4_ClientNamespace,
+    test5_KeyRegistryTrust,
+    test6_KeyRotation,
+    test7_AgentSignaturePolicy
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,234 @@
+/**
+ * Streaming Tests
+ * Tests SSE, NDJSON and plain JSON responses from a local stand-in server
+ */
+
+const http = require('http');
+const https = require('https');
+const { SchemaICU } = require('../src/client');
+const { APIError, NetworkError } = require('../src/utils/errors');
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║  Streaming Tests                                           ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+const RESULT = { success: true, data: { response: 'def fib(n): ...' }, signature: null };
+
+/**
+ * Start a local server and point the SDK's https requests at it (plain HTTP)
+ * @param {Function} handler - `(req, res, body)` request handler
+ * @returns {Promise<Object>} `{ requests, close() }`
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ req, body: parsed });
+      handler(req, res, parsed, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const { port } = server.address();
+  const originalRequest = https.request;
+  https.request = (options, callback) => http.request({ ...options, hostname: '127.0.0.1', port }, callback);
+
+  return {
+    requests,
+    close: () => {
+      https.request = originalRequest;
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function createClient() {
+  return new SchemaICU({ apiKey: 'test-key', retryDelay: 1 });
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+async function test1_ServerSentEvents() {
+  console.log('Test 1: Server-Sent Events\n');
+
+  const server = await startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    // Event boundaries deliberately fall inside chunks
+    res.write(': keep-alive\n\nevent: delta\ndata: {"text":"def fib');
+    res.write('(n):"}\n\nevent: delta\r\ndata: {"text":" ..."}\r\n\r\n');
+    res.end(`event: result\ndata: ${JSON.stringify(RESULT)}\n\n`);
+  });
+
+  try {
+    const client = createClient();
+    const events = await collect(client.codeGenerator.generateStream('Fibonacci in Python', { language: 'python' }));
+    const texts = events.filter(event => event.type === 'text').map(event => event.text);
+    const final = events[events.length - 1];
+    if (texts.join('|') !== 'def fib(n):| ...' || final.type !== 'result' || final.text !== 'def fib(n): ...') {
+      throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+    }
+    if (final.result.data.response !== RESULT.data.response) {
+      throw new Error('Final result does not match the server result');
+    }
+    console.log('✓ Partial text arrives chunk by chunk, then the final result');
+
+    const { req, body } = server.requests[0];
+    if (!body.stream || body.context.language !== 'python' || !req.headers.accept.includes('text/event-stream') ||
+        req.headers['x-api-key'] !== 'test-key') {
+      throw new Error(`Unexpected request: ${JSON.stringify({ body, headers: req.headers })}`);
+    }
+    console.log('✓ Request asks for a stream with the usual auth headers');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ SSE test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+async function test2_JsonLinesAndPlainJson() {
+  console.log('Test 2: NDJSON and Plain JSON Responses\n');
+
+  const server = await startServer((req, res, body, count) => {
+    if (count === 1) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write('{"type":"delta","text":"Phase 1"}\n{"type":"del');
+      res.end(`ta","text":", Phase 2"}\n${JSON.stringify({ type: 'result', ...RESULT })}\n`);
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(RESULT));
+    }
+  });
+
+  try {
+    const client = createClient();
+    const lines = await collect(client.projectPlanner.planStream('Plan a blog'));
+    if (lines.map(event => event.type).join() !== 'text,text,result' || lines[2].text !== 'Phase 1, Phase 2') {
+      throw new Error(`Unexpected NDJSON events: ${JSON.stringify(lines)}`);
+    }
+    console.log('✓ Newline-delimited JSON is parsed across chunk boundaries');
+
+    const plain = await collect(client.projectPlanner.planStream('Plan a blog'));
+    if (plain.length !== 1 || plain[0].type !== 'result' || !plain[0].result.success) {
+      throw new Error(`Unexpected plain JSON events: ${JSON.stringify(plain)}`);
+    }
+    console.log('✓ A server that does not stream yields just the final result');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ NDJSON test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+async function test3_ErrorsRetriesAndCancellation() {
+  console.log('Test 3: Errors, Retries and Early Exit\n');
+
+  let closed = null;
+  const server = await startServer((req, res, body, count) => {
+    if (count === 1) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Warming up' }));
+    } else if (count === 2) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end('event: delta\ndata: {"text":"partial"}\n\nevent: error\ndata: {"message":"Model overloaded","statusCode":529}\n\n');
+    } else if (count === 3) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end('event: delta\ndata: {"text":"cut off"}\n\n');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: delta\ndata: {"text":"first"}\n\n');
+      closed = new Promise(resolve => res.on('close', resolve));
+    }
+  });
+
+  try {
+    const client = createClient();
+    try {
+      await collect(client.codeGenerator.generateStream('test'));
+      throw new Error('Mid-stream error event was not raised');
+    } catch (error) {
+      if (!(error instanceof APIError) || error.statusCode !== 529 || server.requests.length !== 2) {
+        throw error;
+      }
+    }
+    console.log('✓ 503 before the stream is retried; an error event raises APIError');
+
+    try {
+      await collect(client.codeGenerator.generateStream('test', { retry: false }));
+      throw new Error('Truncated stream was accepted');
+    } catch (error) {
+      if (!(error instanceof NetworkError) || error.code !== 'ESTREAMEND') throw error;
+    }
+    console.log('✓ A stream that ends without a result raises NetworkError');
+
+    for await (const event of client.codeGenerator.generateStream('test')) {
+      if (event.text === 'first') break;
+    }
+    await Promise.race([closed, new Promise((resolve, reject) => setTimeout(() => reject(new Error('Connection left open')), 2000))]);
+    console.log('✓ Leaving the loop early closes the connection');
+
+    console.log();
+    return true;
+  } catch (error) {
+    console.error('✗ Stream error test failed:', error.message);
+    return false;
+  } finally {
+    await server.close();
+  }
+}
+
+// Run all tests
+async function runAllTests() {
+  const tests = [
+    test1_ServerSentEvents,
+    test2_JsonLinesAndPlainJson,
+    test3_ErrorsRetriesAndCancellation
+  ];
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      const result = await test();
+      if (result) {
+        passed++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`✗ Test threw error: ${error.message}\n`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Passed: ${passed}/${tests.length}`);
+  console.log(`✗ Failed: ${failed}/${tests.length}\n`);
+
+  return failed === 0;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runAllTests };